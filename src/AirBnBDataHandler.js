@@ -3,121 +3,77 @@
  * @module AirBnBDataHandler
  */
 
-import { stringify as csvFormat } from 'csv-stringify/sync';
-import { writeFile } from 'fs/promises';
+import { compileFilter, toFilterExpression } from './FilterExpression.js';
+import { sortListings } from './ListingSort.js';
+import { calculateStats } from './ListingStats.js';
+import {
+  distanceFrom,
+  toFeatureCollection,
+  withinBounds,
+  withinPolygon,
+  withinRadius,
+} from './GeoSearch.js';
+import { amenityFilter, amenityReport } from './Amenities.js';
+import { ExportError, exportListings } from './Exporter.js';
+import { hostReport, printHostReport } from './HostAnalytics.js';
+import { diffSnapshots } from './SnapshotDiff.js';
+import { revenueColumns } from './RevenueModel.js';
+import { cleanListings } from './DataQuality.js';
+import { searchListings } from './TextSearch.js';
+import { groupListings, pivotListings } from './GroupAggregate.js';
+import { findDuplicates, findListing, similarListings } from './Similarity.js';
 
 /**
- * Extracts a numeric value from an object property, cleaning currency formatting
- * @param {Object} item - The object containing the property to extract
- * @param {string} prop - The property name to extract
- * @returns {number} The parsed numeric value
- * @example
- * getNumber({ price: '$100.50' }, 'price'); // returns 100.5
- */
-const getNumber = (item, prop) => {
-  const value = item[prop]?.toString().replace(/[$,]/g, '') || '0';
-  return parseFloat(value) || 0;
-};
-
-/**
- * Creates a comparator function for sorting objects
- * @param {function} getValue - Function to extract comparison value from items
- * @returns {function} Comparator function for array sorting
- * @example
- * const comparePrice = createComparator(item => item.price);
- * items.sort(comparePrice);
- */
-const createComparator = (getValue) => (a, b) => getValue(a) - getValue(b);
-
-/**
- * Filter parameters for listing selection
+ * Filter parameters for listing selection.
+ * Shorthand for between-filters on price, bedrooms and review score; a range
+ * whose max is 0 is skipped, and a min with a null max has no upper bound.
  * @typedef {Object} FilterParameters
  * @property {number} [price_min=0] - Minimum price filter
- * @property {number} [price_max=0] - Maximum price filter
+ * @property {?number} [price_max=0] - Maximum price filter
  * @property {number} [room_min=0] - Minimum bedrooms filter
- * @property {number} [room_max=0] - Maximum bedrooms filter
+ * @property {?number} [room_max=0] - Maximum bedrooms filter
  * @property {number} [score_min=0] - Minimum review score filter
- * @property {number} [score_max=0] - Maximum review score filter
+ * @property {?number} [score_max=0] - Maximum review score filter
  */
 
 /**
  * Filters listings based on specified criteria
  * @param {Array<Object>} data - Array of listing objects
- * @param {FilterParameters} filters - Filter configuration object
+ * @param {import('./FilterExpression.js').FilterExpr|FilterParameters|string} filters -
+ *   Filter expression, FilterParameters shorthand or text query
  * @returns {Array<Object>} New array with filtered listings
+ * @throws {import('./FilterExpression.js').FilterError} If the filter is malformed
  */
-const filterListings = (data, filters) => data.filter(listing => {
-  const price = getNumber(listing, 'price');
-  const bedrooms = getNumber(listing, 'bedrooms');
-  const score = getNumber(listing, 'review_scores_rating');
-
-  return (
-    (!filters.price_max || (price >= filters.price_min && price <= filters.price_max)) &&
-    (!filters.room_max || (bedrooms >= filters.room_min && bedrooms <= filters.room_max)) &&
-    (!filters.score_max || (score >= filters.score_min && score <= filters.score_max))
-  );
-});
-
-/**
- * Calculated statistics object
- * @typedef {Object} ListingStats
- * @property {number} count - Total number of listings
- * @property {number} averagePrice - Average price across listings
- * @property {number} avgPricePerRoom - Average price per room
- * @property {number} validListings - Count of listings with valid host IDs
- */
-
-/**
- * Calculates statistics for a set of listings
- * @param {Array<Object>} data - Array of listing objects
- * @returns {ListingStats} Calculated statistics object
- */
-const calculateStats = data => {
-  const totalPrice = data.reduce((sum, item) => sum + getNumber(item, 'price'), 0);
-  const totalRooms = data.reduce((sum, item) => sum + getNumber(item, 'bedrooms'), 0);
-  
-  return {
-    count: data.length,
-    averagePrice: totalPrice / data.length,
-    avgPricePerRoom: totalPrice / totalRooms,
-    validListings: data.filter(item => 
-      typeof item.host_id === 'number' && item.host_id > 0
-    ).length
-  };
-};
-
-/**
- * Host ranking entry format
- * @typedef {Array} HostRanking
- * @property {string} 0 - Host ID
- * @property {Object} 1 - Host data
- * @property {string} 1.name - Host name
- * @property {number} 1.count - Number of listings
- */
-
-/**
- * Ranks hosts by their number of listings
- * @param {Array<Object>} data - Array of listing objects
- * @returns {Array<HostRanking>} Sorted array of host rankings
- */
-const rankHosts = data => Object.entries(
-  data.reduce((acc, listing) => ({
-    ...acc,
-    [listing.host_id]: {
-      name: listing.host_name,
-      count: (acc[listing.host_id]?.count || 0) + 1
-    }
-  }), {})
-).sort((a, b) => b[1].count - a[1].count);
+const filterListings = (data, filters) =>
+  data.filter(compileFilter(toFilterExpression(filters)));
 
 /**
  * Airbnb Data Handler API
  * @typedef {Object} AirBnBHandler
- * @property {function(FilterParameters): AirBnBHandler} filter - Filters listings
- * @property {function(): AirBnBHandler} computeStats - Calculates statistics
- * @property {function(number): AirBnBHandler} rankHosts - Ranks top hosts
- * @property {function(string): AirBnBHandler} order - Sorts by property
- * @property {function(string): Promise<AirBnBHandler>} writeToFile - Exports to CSV
+ * @property {function((Object|string)): AirBnBHandler} filter - Filters by expression, shorthand or query
+ * @property {function(Object=): import('./ListingStats.js').ListingStats} computeStats - Calculates statistics
+ * @property {function(number=, Object=): AirBnBHandler} rankHosts - Prints the top hosts
+ * @property {function(Object=): Array<Object>} hostReport - Summarizes and ranks hosts
+ * @property {function((string|Array)): AirBnBHandler} order - Sorts by one or more keys
+ * @property {function(Object, number): AirBnBHandler} withinRadius - Keeps listings near a point
+ * @property {function(Object): AirBnBHandler} withinBounds - Keeps listings inside a box
+ * @property {function(Object): AirBnBHandler} withinPolygon - Keeps listings inside GeoJSON polygons
+ * @property {function(Object, string=): AirBnBHandler} withDistance - Adds a distance column
+ * @property {function(Object, string=): AirBnBHandler} orderByDistance - Sorts by distance from a point
+ * @property {function(Object=): AirBnBHandler} withRevenueEstimates - Adds estimated occupancy and revenue columns
+ * @property {function(Object): AirBnBHandler} filterAmenities - Requires all/any/none of a list of amenities
+ * @property {function(Object=): Array<Object>} amenityReport - Reports common amenities and their price uplift
+ * @property {function(Array<Object>, Object=): AirBnBHandler} compareWith - Diffs against a newer snapshot
+ * @property {function(Object=): AirBnBHandler} clean - Checks data quality and drops, imputes or flags problem rows
+ * @property {function(string, Object=): AirBnBHandler} search - Full-text search, most relevant first
+ * @property {function(...string): {aggregate: function(*, Object=): AirBnBHandler}} groupBy - Groups by columns
+ *   or derived keys; aggregate returns a handler with one row per group
+ * @property {function(string, string, string=, Object=): AirBnBHandler} pivot - Two-dimensional pivot table
+ * @property {function((string|Object), Object=): AirBnBHandler} similarTo - The k listings most like a listing
+ * @property {function(Object=): AirBnBHandler} duplicates - Likely duplicate or cross-posted listings
+ * @property {function(Array<string>=): Object} toGeoJSON - Returns a GeoJSON FeatureCollection
+ * @property {function(string, Object=): Promise<AirBnBHandler>} writeToFile - Exports to CSV, TSV, JSON,
+ *   NDJSON, XLSX, Markdown, HTML or GeoJSON
  * @property {function(): Array<Object>} getData - Returns current dataset
  */
 
@@ -126,9 +82,10 @@ const rankHosts = data => Object.entries(
  * @param {Array<Object>} [initialData=[]] - Initial dataset
  * @returns {AirBnBHandler} Handler instance with chainable methods
  * @example
- * const handler = AirBnBDataHandler(data)
+ * const stats = AirBnBDataHandler(data)
  *   .filter(filters)
- *   .order('price')
+ *   .filter('room_type = "Entire home/apt" and host_is_superhost = t')
+ *   .order('price desc, bedrooms')
  *   .computeStats();
  */
 export const AirBnBDataHandler = (initialData = []) => {
@@ -138,7 +95,8 @@ export const AirBnBDataHandler = (initialData = []) => {
   const handler = {
     /**
      * Filters listings using provided criteria
-     * @param {FilterParameters} filters - Filter parameters
+     * @param {import('./FilterExpression.js').FilterExpr|FilterParameters|string} filters -
+     *   Filter expression, FilterParameters shorthand or text query
      * @returns {AirBnBHandler} New handler instance with filtered data
      */
     filter(filters) {
@@ -148,58 +106,346 @@ export const AirBnBDataHandler = (initialData = []) => {
     },
 
     /**
-     * Calculates and displays statistics for current dataset
-     * @returns {AirBnBHandler} Current handler instance
+     * Calculates statistics for current dataset
+     * @param {Object} [options] - Statistics options
+     * @param {Array<string>} [options.groupBy] - Columns to break down, defaults to
+     *   room_type, neighbourhood_cleansed and property_type
+     * @param {number} [options.outlierK=1.5] - IQR multiplier for price outliers
+     * @param {function(import('./ListingStats.js').ListingStats): void} [options.formatter] - Called with the
+     *   statistics, e.g. printStats to show them on the console
+     * @returns {import('./ListingStats.js').ListingStats} Structured statistics
+     * @example
+     * const stats = handler.computeStats({ formatter: printStats });
+     * stats.price.median;
      */
-    computeStats() {
-      const stats = calculateStats(data);
-      console.log('\nStatistics:');
-      console.log(
-        'Number of valid listings (valid host_id):',
-        stats.validListings
-      );
-      console.log('Average price:', stats.averagePrice);
-      console.log('Average price per room:', stats.avgPricePerRoom);
-      return handler;
+    computeStats({ formatter, ...options } = {}) {
+      const stats = calculateStats(data, options);
+      formatter?.(stats);
+      return stats;
     },
 
     /**
      * Displays top ranked hosts
      * @param {number} [limit=10] - Number of top hosts to show
+     * @param {import('./HostAnalytics.js').HostReportOptions & {symbol: string}} [options] - Ranking metric,
+     *   commercial rules and the currency symbol of revenue
      * @returns {AirBnBHandler} Current handler instance
+     * @throws {import('./HostAnalytics.js').HostAnalyticsError} If the ranking metric is unknown
      */
-    rankHosts(limit = 10) {
-      const ranked = rankHosts(data).slice(0, limit);
-      console.log('\nTop 10 hosts by number of listings:');
-      ranked.map(([id, data], index) => {
-        console.log(`${index + 1}. ${data.name} (id: ${id}): ${data.count} listings`);
-      });
+    rankHosts(limit = 10, options = {}) {
+      printHostReport(hostReport(data, { ...options, limit }), options);
       return handler;
     },
 
     /**
-     * Sorts listings by specified property
-     * @param {string} property - Numeric property to sort by
+     * Summarizes hosts: listing counts by room type, calculated_host_listings_count,
+     * superhost status, response and acceptance rates, rating, estimated revenue,
+     * neighbourhoods and whether they look like commercial operators
+     * @param {import('./HostAnalytics.js').HostReportOptions & {formatter: function(Array<Object>): void}} [options] -
+     *   Ranking options; formatter is called with the report, e.g. printHostReport
+     * @returns {Array<import('./HostAnalytics.js').HostSummary>} Ranked host summaries
+     * @throws {import('./HostAnalytics.js').HostAnalyticsError} If the ranking metric is unknown
+     * @example
+     * handler.hostReport({ rankBy: 'revenue', commercialOnly: true, limit: 20 });
+     */
+    hostReport({ formatter, ...options } = {}) {
+      const report = hostReport(data, options);
+      formatter?.(report);
+      return report;
+    },
+
+    /**
+     * Sorts listings by one or more keys, each ascending or descending.
+     * Numbers sort numerically, text with locale collation, nulls last
+     * unless "nulls first" is given; ties keep their current order.
+     * @param {string|Array<string|import('./ListingSort.js').SortKey>} spec -
+     *   e.g. 'price desc, bedrooms' or 'price_per_bedroom, -review_scores_rating'
+     * @returns {AirBnBHandler} New handler instance with sorted data
+     * @throws {import('./ListingSort.js').SortError} If a key is malformed or unknown
+     */
+    order(spec) {
+      return AirBnBDataHandler(sortListings(data, spec));
+    },
+
+    /**
+     * Returns the current dataset
+     * @returns {Array<Object>} Listings held by this handler
+     */
+    getData() {
+      return data;
+    },
+
+    /**
+     * Keeps listings within a radius of a point (haversine distance)
+     * @param {import('./GeoSearch.js').GeoPoint} point - Centre, e.g. a venue
+     * @param {number} radiusKm - Radius in kilometres
+     * @returns {AirBnBHandler} New handler instance with nearby listings
+     * @throws {import('./GeoSearch.js').GeoError} If the point or radius is invalid
+     */
+    withinRadius(point, radiusKm) {
+      return handler.filter(withinRadius(point, radiusKm));
+    },
+
+    /**
+     * Keeps listings inside a latitude/longitude box
+     * @param {import('./GeoSearch.js').BoundingBox} box - Box corners
+     * @returns {AirBnBHandler} New handler instance with listings in the box
+     * @throws {import('./GeoSearch.js').GeoError} If the box is invalid
+     */
+    withinBounds(box) {
+      return handler.filter(withinBounds(box));
+    },
+
+    /**
+     * Keeps listings inside GeoJSON polygons, e.g. neighbourhoods.geojson features
+     * @param {Object} geojson - Polygon, MultiPolygon, Feature or FeatureCollection
+     * @returns {AirBnBHandler} New handler instance with listings in the area
+     * @throws {import('./GeoSearch.js').GeoError} If the GeoJSON holds no polygons
+     */
+    withinPolygon(geojson) {
+      return handler.filter(withinPolygon(geojson));
+    },
+
+    /**
+     * Adds the distance in kilometres from a point to every listing
+     * @param {import('./GeoSearch.js').GeoPoint} point - Reference point
+     * @param {string} [column='distance_km'] - Name of the added column
+     * @returns {AirBnBHandler} New handler instance with the distance column
+     */
+    withDistance(point, column = 'distance_km') {
+      const distance = distanceFrom(point);
+      return AirBnBDataHandler(data.map(listing => ({ ...listing, [column]: distance(listing) })));
+    },
+
+    /**
+     * Sorts listings by distance from a point; listings without coordinates go last
+     * @param {import('./GeoSearch.js').GeoPoint} point - Reference point
+     * @param {string} [direction='asc'] - 'asc' for nearest first, 'desc' for farthest
      * @returns {AirBnBHandler} New handler instance with sorted data
      */
-    order(property) {
-      const comparator = createComparator(item => getNumber(item, property));
-      const sorted = [...data].sort(comparator);
-      return AirBnBDataHandler(sorted);
+    orderByDistance(point, direction = 'asc') {
+      return handler.order([{ key: 'distance', direction, getValue: distanceFrom(point) }]);
+    },
+
+    /**
+     * Adds estimated_bookings, estimated_nights, estimated_occupancy (percent of the year)
+     * and estimated_revenue (per year) to every listing, so they can be filtered,
+     * sorted, summarized and exported like any other column
+     * @param {Partial<import('./RevenueModel.js').RevenueModel>} [model] - Parameters overriding
+     *   DEFAULT_REVENUE_MODEL, e.g. { reviewRate: 0.4, averageStay: 4 }
+     * @returns {AirBnBHandler} New handler instance with the estimated columns
+     * @throws {import('./RevenueModel.js').RevenueModelError} If a parameter is invalid
+     * @example
+     * handler.withRevenueEstimates()
+     *   .filter('neighbourhood_cleansed = Mission and bedrooms = 2')
+     *   .order('estimated_revenue desc');
+     */
+    withRevenueEstimates(model) {
+      return AirBnBDataHandler(data.map(revenueColumns(model)));
+    },
+
+    /**
+     * Keeps listings by their normalized amenities
+     * @param {import('./Amenities.js').AmenityRequirements} requirements - e.g.
+     *   { all: 'wifi + washer + parking', none: 'shared bathroom' }
+     * @returns {AirBnBHandler} New handler instance with matching listings
+     */
+    filterAmenities(requirements) {
+      return handler.filter(amenityFilter(requirements));
+    },
+
+    /**
+     * Reports the most common amenities in current dataset and the median
+     * price of listings with versus without each one
+     * @param {Object} [options] - Report options
+     * @param {number} [options.limit=20] - Number of amenities to report
+     * @param {number} [options.minCount=5] - Minimum listings on each side to compute an uplift
+     * @param {function(Array<Object>): void} [options.formatter] - Called with the report,
+     *   e.g. printAmenityReport
+     * @returns {Array<import('./Amenities.js').AmenityReportRow>} Report rows
+     */
+    amenityReport({ formatter, ...options } = {}) {
+      const report = amenityReport(data, options);
+      formatter?.(report);
+      return report;
+    },
+
+    /**
+     * Compares the current dataset, as the older scrape, with a newer one matched by id.
+     * The returned handler holds one row per listing with a change column ("new",
+     * "delisted", "changed" or "unchanged"), so it can be filtered, sorted and exported.
+     * @param {Array<Object>} newerData - Listings of the newer scrape
+     * @param {import('./SnapshotDiff.js').DiffOptions & {formatter: function(Object): void}} [options] -
+     *   Compared fields and group column; formatter is called with the diff, e.g. printSnapshotDiff
+     * @returns {AirBnBHandler} New handler instance with the diff rows
+     * @example
+     * const changes = AirBnBDataHandler(march)
+     *   .compareWith(june, { formatter: printSnapshotDiff })
+     *   .filter('change = "changed" and price_delta > 0');
+     */
+    compareWith(newerData, { formatter, ...options } = {}) {
+      const diff = diffSnapshots(data, newerData, options);
+      formatter?.(diff);
+      return AirBnBDataHandler(diff.rows);
+    },
+
+    /**
+     * Checks current dataset for empty, out-of-range, duplicate and inconsistent values
+     * and applies the configured fixes
+     * @param {import('./DataQuality.js').QualityOptions & {formatter: function(Object): void}} [options] -
+     *   Checks and fixes; formatter is called with the report, e.g. printQualityReport
+     * @returns {AirBnBHandler} New handler instance with the cleaned data
+     * @throws {import('./DataQuality.js').QualityError} If a fix is unknown
+     * @example
+     * const stats = handler
+     *   .clean({ fixes: { duplicate: 'drop', range: 'drop', missing: 'impute' }, formatter: printQualityReport })
+     *   .computeStats();
+     */
+    clean({ formatter, ...options } = {}) {
+      const { listings, report } = cleanListings(data, options);
+      formatter?.(report);
+      return AirBnBDataHandler(listings);
+    },
+
+    /**
+     * Searches name, description and neighborhood_overview. Words must all match,
+     * "quoted phrases" must match in order and -words or -"phrases" must not match.
+     * The index is built on the first search of this dataset and reused after.
+     * @param {string} query - Query, e.g. '"ocean view" -shared parking'
+     * @param {Object} [options] - Search options
+     * @param {Object<string, number>} [options.fields] - Columns to search and their weights
+     * @param {number} [options.limit] - Most matches to keep
+     * @param {number} [options.snippetWords=30] - Words per snippet
+     * @param {Array<string>} [options.highlight=['**', '**']] - Markers around matched words
+     * @param {function(Array<Object>): void} [options.formatter] - Called with the matches,
+     *   e.g. printSearchResults
+     * @returns {AirBnBHandler} New handler instance with the matches, most relevant first, and
+     *   search_score and search_snippet columns
+     * @throws {import('./TextSearch.js').TextSearchError} If the query has no words or an unclosed quote
+     * @example
+     * await handler
+     *   .search('"ocean view" -shared')
+     *   .filter('bedrooms >= 2')
+     *   .writeToFile('ocean-views.csv', { columns: 'id,name,price,search_score,search_snippet' });
+     */
+    search(query, { formatter, ...options } = {}) {
+      const matches = searchListings(data, query, options);
+      formatter?.(matches);
+      return AirBnBDataHandler(matches);
+    },
+
+    /**
+     * Groups current dataset by columns or derived keys (bedroom_bucket, price_band[:width],
+     * host_since_year, price_per_bedroom, ...). Call aggregate on the result to get a
+     * handler whose rows are the groups, which can be ordered and written like listings.
+     * @param {...string} keys - Group keys, e.g. 'neighbourhood_cleansed', 'room_type'
+     * @returns {{aggregate: function((string|Array<string>|Object), Object=): AirBnBHandler}} Grouping;
+     *   aggregate takes aggregates such as 'count, median(price), p90(price), distinct(host_id)'
+     *   and options with a formatter called with the group rows, e.g. printGroups, and the currency
+     *   symbol of price_band labels
+     * @throws {import('./GroupAggregate.js').GroupError} From aggregate, if a key or aggregate is invalid
+     * @example
+     * await handler
+     *   .groupBy('neighbourhood_cleansed', 'bedroom_bucket')
+     *   .aggregate({ listings: 'count', medianPrice: 'median(price)', hosts: 'distinct(host_id)' })
+     *   .order('-medianPrice')
+     *   .writeToFile('neighbourhoods.csv');
+     */
+    groupBy(...keys) {
+      return {
+        aggregate(spec = 'count', { formatter, symbol } = {}) {
+          const rows = groupListings(data, keys.flat(), spec, { symbol });
+          formatter?.(rows);
+          return AirBnBDataHandler(rows);
+        },
+      };
+    },
+
+    /**
+     * Builds a pivot table of one aggregate: a row per value of rowKey, a column per
+     * value of columnKey, plus a Total column and a Total row
+     * @param {string} rowKey - Key whose values become rows, e.g. 'neighbourhood_cleansed'
+     * @param {string} columnKey - Key whose values become columns, e.g. 'room_type'
+     * @param {string} [aggregate='count'] - Aggregate of each cell, e.g. 'median(price)'
+     * @param {Object} [options] - Pivot options
+     * @param {function(Array<Object>): void} [options.formatter] - Called with the rows, e.g. printPivotTable
+     * @param {string} [options.symbol='$'] - Currency symbol of price_band labels
+     * @returns {AirBnBHandler} New handler instance with the pivot rows
+     * @throws {import('./GroupAggregate.js').GroupError} If a key or the aggregate is invalid
+     */
+    pivot(rowKey, columnKey, aggregate = 'count', { formatter, symbol } = {}) {
+      const rows = pivotListings(data, rowKey, columnKey, aggregate, { symbol });
+      formatter?.(rows);
+      return AirBnBDataHandler(rows);
+    },
+
+    /**
+     * Finds the listings of current dataset most like a listing, by a weighted distance over
+     * location, room_type, bedrooms, accommodates, amenity overlap and review_scores_rating
+     * @param {string|Object} target - Id of a listing in current dataset, or a listing, e.g.
+     *   one looked up before filtering the candidates
+     * @param {import('./Similarity.js').SimilarityOptions & {formatter: function(Array<Object>, Object): void}} [options] -
+     *   Number of listings and weights; formatter is called with the listings and { target },
+     *   e.g. printSimilarListings
+     * @returns {AirBnBHandler} New handler instance with the most similar listings first, and
+     *   similarity and similar_distance_km columns
+     * @throws {import('./Similarity.js').SimilarityError} If the id is unknown or an option is invalid
+     * @example
+     * const target = findListing(handler.getData(), '43605780');
+     * const cheaper = handler
+     *   .filter(`price < ${target.price}`)
+     *   .similarTo(target, { k: 5, weights: { amenities: 3 } });
+     */
+    similarTo(target, { formatter, ...options } = {}) {
+      const listing = typeof target === 'object' && target !== null ? target : findListing(data, target);
+      const similar = similarListings(data, listing, options);
+      formatter?.(similar, { target: listing });
+      return AirBnBDataHandler(similar);
+    },
+
+    /**
+     * Finds likely duplicate or cross-posted listings: the same host or photo, within a
+     * few metres, with near-identical names or the same photo
+     * @param {import('./Similarity.js').DuplicateOptions & {formatter: function(Array<Object>): void}} [options] -
+     *   Thresholds; formatter is called with the rows, e.g. printDuplicates
+     * @returns {AirBnBHandler} New handler instance with the listings of every duplicate group, and
+     *   duplicate_group, duplicate_of and duplicate_reasons columns
+     * @throws {import('./Similarity.js').SimilarityError} If a threshold is invalid
+     */
+    duplicates({ formatter, ...options } = {}) {
+      const rows = findDuplicates(data, options);
+      formatter?.(rows);
+      return AirBnBDataHandler(rows);
+    },
+
+    /**
+     * Converts current dataset to a GeoJSON FeatureCollection of points
+     * @param {Array<string>} [properties] - Columns copied into each feature
+     * @returns {Object} FeatureCollection
+     */
+    toGeoJSON(properties) {
+      return toFeatureCollection(data, properties);
     },
 
     /**
-     * Writes current dataset to CSV file
+     * Writes current dataset to a file in the format named by the extension or options.
+     * CSV is formatted back with the listing schema; a trailing .gz gzips any format.
+     * The file is written to a temporary path and renamed into place.
      * @param {string} outputFilePath - Path to output file
+     * @param {import('./Exporter.js').ExportOptions} [options] - Format, columns and display formatting
      * @returns {Promise<AirBnBHandler>} Promise resolving to current handler
+     * @throws {import('./Exporter.js').ExportError} If a selected column is unknown
      * @throws {Error} If file write operation fails
+     * @example
+     * await handler.writeToFile('shortlist.md', { columns: 'name,price=Per night,bedrooms' });
      */
-    async writeToFile(outputFilePath) {
+    async writeToFile(outputFilePath, options = {}) {
       try {
-        await writeFile(outputFilePath, csvFormat(data, { header: true }));
+        await exportListings(data, outputFilePath, options);
         console.log(`Data saved to ${outputFilePath}`);
         return this;
       } catch (error) {
+        if (error instanceof ExportError) throw error;
         throw new Error(`File write failed: ${error.message}`);
       }
     },
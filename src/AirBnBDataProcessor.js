@@ -1,6 +1,40 @@
-import { readFile, writeFile } from 'fs/promises';
-import { csvParse, autoType } from "d3-dsv";
 import {AirBnBDataHandler} from './AirBnBDataHandler.js';
+import { printStats } from './ListingStats.js';
+import { CliError, EXIT_CODES, USAGE, resolveCliOptions } from './CliOptions.js';
+import { fromFilterParameters } from './FilterExpression.js';
+import { SortError } from './ListingSort.js';
+import { summarizeIssues } from './ListingSchema.js';
+import { loadListings, streamListings } from './ListingStream.js';
+import {
+  GeoError,
+  distanceFrom,
+  loadGeoJson,
+  selectFeatures,
+  withinBounds,
+  withinPolygon,
+  withinRadius,
+} from './GeoSearch.js';
+import { amenityFilter, printAmenityReport } from './Amenities.js';
+import { ExportError, isOutputPath } from './Exporter.js';
+import { printHostReport, rankHostSummaries } from './HostAnalytics.js';
+import { printSnapshotDiff } from './SnapshotDiff.js';
+import { createApiServer, createDataset } from './ApiServer.js';
+import { revenueColumns } from './RevenueModel.js';
+import { cleanListings, printQualityReport, writeQualityReport } from './DataQuality.js';
+import {
+  matchesPreset,
+  printPresetList,
+  printPresetRunChange,
+  putPreset,
+  recordPresetRun,
+  removePreset,
+  savePresetStore,
+} from './SearchPresets.js';
+import { printSearchResults } from './TextSearch.js';
+import { GroupError, printGroups, printPivotTable } from './GroupAggregate.js';
+import { runSession } from './InteractiveSession.js';
+import { priceSchema, priceSymbol, stayColumns } from './Pricing.js';
+import { SimilarityError, findListing, printDuplicates, printSimilarListings } from './Similarity.js';
 import readline from "readline";
 
 /**
@@ -16,169 +50,615 @@ import readline from "readline";
  * @returns {Object} An object containing methods to interact with Airbnb listings data.
  */
 function AirBnBDataProcessor() {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
+  /** @type {readline.Interface|null} Created only for interactive runs */
+  let rl = null;
+
+  /**
+   * Prints a summary of the cells that failed schema validation.
+   *
+   * @param {Array<import('./ListingSchema.js').ValidationIssue>|import('./ListingSchema.js').IssueTally} issues -
+   *   Rejected cells, or a tally of them.
+   */
+  function reportIssues(issues) {
+    const summary = summarizeIssues(issues);
+    const total = summary.reduce((sum, { count }) => sum + count, 0);
+    if (total === 0) {
+      return;
+    }
+    console.warn(`${total} invalid values were loaded as empty:`);
+    summary.forEach(({ column, count, example }) => {
+      console.warn(`  ${column}: ${count} (e.g. row ${example.row}: ${example.message})`);
+    });
+  }
+
+  /**
+   * Maps a failure to read an input file to a CliError.
+   *
+   * @param {Error} error - Error raised while reading.
+   * @param {string} filePath - The file being read.
+   * @returns {CliError} Error with a missing-input or bad-data exit code.
+   */
+  function inputError(error, filePath) {
+    if (error instanceof CliError) {
+      return error;
+    }
+    if (error.syscall) {
+      return new CliError(`Cannot read ${filePath}: ${error.message}`, EXIT_CODES.NO_INPUT);
+    }
+    return new CliError(`Cannot parse ${filePath}: ${error.message}`, EXIT_CODES.DATA);
+  }
 
   /**
    * Reads and parses a CSV file containing Airbnb listings data.
+   * Cells are typed with the listing schema; invalid cells are reported.
+   * Gzipped files (listings.csv.gz) are decompressed on the fly.
    *
    * @param {string} filePath - The path to the CSV file.
-   * @returns {Promise<Object>} A promise that resolves when the file is successfully read and parsed.
-   * @throws {Error} If the file cannot be read or parsed.
+   * @param {boolean} [strict=false] - Fail instead of loading invalid cells as empty.
+   * @param {?import('./Pricing.js').PriceOptions} [prices=null] - How prices are read and converted.
+   * @returns {Promise<Array<Object>>} A promise that resolves to the typed listings.
+   * @throws {CliError} If the file cannot be read or parsed, or has invalid cells in strict mode.
    */
-  async function readCsv(filePath){
+  async function readCsv(filePath, strict = false, prices = null){
+    let parsed;
     try {
-      const fileContent = await readFile(filePath, "utf-8");
-      let data = csvParse(fileContent, autoType);
-      console.log(`CSV file ${filePath} successfully loaded.`);
-      return data
+      parsed = await loadListings(filePath, prices ? priceSchema(prices) : undefined);
     } catch (error) {
-      console.error("Error reading the file:", error);
-      process.exit(1);
+      throw inputError(error, filePath);
     }
+    console.log(`CSV file ${filePath} successfully loaded.`);
+    reportIssues(parsed.issues);
+    if (strict && parsed.issues.length > 0) {
+      throw new CliError(`${filePath} has invalid values`, EXIT_CODES.DATA);
+    }
+    return parsed.listings;
   }
 
   /**
-   * Prompts user for filter criteria via CLI
-   * @async
-   * @returns {Promise<Filters>} Object containing filter values
+   * Reads a listings file and, when --quality is given, checks it and applies the fixes.
+   *
+   * @param {string} filePath - The listings CSV to read.
+   * @param {import('./CliOptions.js').RunOptions} options - Resolved run options.
+   * @param {Array<{path: string, report: Object}>} reports - Quality reports, one is added per file.
+   * @returns {Promise<Array<Object>>} The typed, checked listings.
+   * @throws {CliError} If the file cannot be read or parsed.
    */
-  async function askFilterData() {
-    let filters = {
-      price_min: 0,
-      price_max: 0,
-      room_min: 0,
-      room_max: 0,
-      score_min: 0,
-      score_max: 0,
-    };
-    return new Promise((resolve) => {
-      console.log("Enter values in 'min,max' format (e.g., 0,100). Press Enter to skip.");
-      rl.question("Price Range (min,max): ", (price) => {
-        rl.question("Number of Rooms (min,max): ", (room) => {
-          rl.question("Review Score (min,max): ", (score) => {
-            if (price) {
-              const [min, max] = price.split(",").map(Number);
-              filters[`price_min`] = !isNaN(min) ? min : 0;
-              filters[`price_max`] = !isNaN(max) ? max : 0;
-            }
-            if (room) {
-              const [min, max] = room.split(",").map(Number);
-              filters[`room_min`] = !isNaN(min) ? min : 0;
-              filters[`room_max`] = !isNaN(max) ? max : 0;
-            }
-            if (score) {
-              const [min, max] = score.split(",").map(Number);
-              filters[`score_min`] = !isNaN(min) ? min : 0;
-              filters[`score_max`] = !isNaN(max) ? max : 0;
-            }
-            console.log("Filters imported.")
-            console.log(filters);
-            resolve(filters);
-          });
-        });
-      });
-    });
+  async function readChecked(filePath, options, reports) {
+    const data = await readCsv(filePath, options.strict, options.prices);
+    if (!options.quality) {
+      return data;
+    }
+    const { listings, report } = cleanListings(data, options.quality);
+    printQualityReport(report);
+    reports.push({ path: filePath, report });
+    return listings;
+  }
+
+  /**
+   * Writes the quality reports to the --quality-report file: the report itself for
+   * one input, or an object keyed by input path for several.
+   *
+   * @param {import('./CliOptions.js').RunOptions} options - Resolved run options.
+   * @param {Array<{path: string, report: Object}>} reports - Reports collected by readChecked.
+   * @returns {Promise<void>}
+   * @throws {CliError} If the file cannot be written.
+   */
+  async function saveQualityReports(options, reports) {
+    const path = options.quality?.report;
+    if (!path) {
+      return;
+    }
+    try {
+      await writeQualityReport(
+        reports.length === 1 ? reports[0].report : Object.fromEntries(reports.map(entry => [entry.path, entry.report])),
+        path
+      );
+    } catch (error) {
+      throw new CliError(`File write failed: ${error.message}`, EXIT_CODES.CANT_CREATE);
+    }
+    console.log(`Quality report saved to ${path}`);
   }
 
   /**
-   * Prompts user for output file path
-   * @async
-   * @returns {Promise<string>} Path for output file
+   * Sorts the handler's data, reporting unknown keys as a usage error.
+   *
+   * @param {Object} handler - AirBnBDataHandler holding the data to sort.
+   * @param {string} order - Sort specification.
+   * @returns {Object} A new handler with sorted data.
+   * @throws {CliError} If the specification is invalid for this data.
    */
-  async function askOutputPath() {
-    return new Promise(async (resolve) => {
-      // Ask the user for the output file path
-      rl.question("Enter the file path (e.g., result.csv): ", async (outputFilePath) => {
-        rl.close()
-        resolve(outputFilePath); // Resolve the promise on success
-      });
-    });
+  function applyOrder(handler, order) {
+    try {
+      return handler.order(order);
+    } catch (error) {
+      if (error instanceof SortError) {
+        throw new CliError(error.message, EXIT_CODES.USAGE);
+      }
+      throw error;
+    }
   }
 
   /**
-   * Prompts user for sorting criteria
-   * @async
-   * @returns {Promise<string>} Comma-separated list of sorting fields
+   * Writes the handler's data, mapping write failures to an exit code.
+   *
+   * @param {Object} handler - AirBnBDataHandler holding the data to write.
+   * @param {string} path - Output file path.
+   * @param {import('./Exporter.js').ExportOptions} [exportOptions] - Format, columns and formatting.
+   * @returns {Promise<void>}
+   * @throws {CliError} If a selected column is unknown or the file cannot be written.
    */
-  async function askOrder() {
-    return new Promise(async (resolve) => {
-      rl.question("Order lists (e.g., price, price_pre_room, bedrooms, accommodates, review_scores_rating), Press Enter to skip: ", async (order) => {
-        resolve(order);
-      });
+  async function writeOutput(handler, path, exportOptions) {
+    try {
+      await handler.writeToFile(path, exportOptions);
+    } catch (error) {
+      if (error instanceof ExportError) {
+        throw new CliError(error.message, EXIT_CODES.USAGE);
+      }
+      throw new CliError(error.message, EXIT_CODES.CANT_CREATE);
+    }
+  }
+
+  /**
+   * Runs the menu-driven session used when no arguments are given.
+   *
+   * @param {string} filePath - The listings CSV to read.
+   * @returns {Promise<void>}
+   */
+  async function runInteractive(filePath) {
+    const data = await readCsv(filePath);
+
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
     });
+    // Lines typed or piped while a command runs are buffered until the next prompt
+    const lines = rl[Symbol.asyncIterator]();
+    const ask = async (question) => {
+      process.stdout.write(question);
+      const { value, done } = await lines.next();
+      return done ? null : value;
+    };
+
+    try {
+      await runSession(data, {
+        ask,
+        write: (handler, path) => writeOutput(handler, path),
+        loadPreset: (name) => presetStep(filePath, name),
+        input: filePath,
+      });
+    } finally {
+      rl.close();
+    }
   }
 
   /**
-   * Runs the Airbnb Data Processor application.
+   * Builds an interactive session step from a saved preset: its derived columns,
+   * search, filters and order applied as one step.
    *
-   * @returns {Promise<void>} A promise that resolves when the application completes successfully.
+   * @param {string} filePath - The listings file, as the preset's input.
+   * @param {string} name - Preset to load from DEFAULT_PRESET_STORE.
+   * @returns {Promise<import('./InteractiveSession.js').SessionStep>} The step.
+   * @throws {CliError} If the preset is unknown or its options are invalid.
    */
-  async function run() {
-    const filePath = 'listings.csv'
-    
-    console.log("Step 1: Read the CSV file")
-    let data = await readCsv(filePath)
-
-    const myHandler = AirBnBDataHandler(data)
-
-    console.log("\nStep 2: Ask for filters")
-    let filterData = {
-      price_min: 0,
-      price_max: 0,
-      room_min: 0,
-      room_max: 0,
-      score_min: 0,
-      score_max: 0,
+  async function presetStep(filePath, name) {
+    const options = await resolveCliOptions(['-i', filePath, '--preset', name]);
+    const filters = await runFilters(options);
+    const derive = derivedColumns(options);
+    return {
+      label: `preset ${name}`,
+      key: null,
+      options: options.preset.options,
+      apply: (handler) => {
+        const loaded = AirBnBDataHandler(handler.getData().map(derive));
+        const matched = (options.search ? loaded.search(options.search) : loaded).filter(filters);
+        return options.order ? matched.order(options.order) : matched;
+      },
     };
-    filterData = await askFilterData(); 
+  }
 
-    
-    console.log("\nStep 3: Apply filters")
-    let filtered = myHandler.filter(filterData).computeStats().rankHosts()
+  /**
+   * Saves the run's options when --save-preset is given and records the matches of the
+   * saved or loaded preset, printing how many were added and removed since its last run.
+   * A loaded preset run with other options, or a run that does not keep its matches,
+   * is not recorded, so the preset's next run compares with a run of the same search.
+   *
+   * @param {?import('./CliOptions.js').PresetOptions} preset - Preset store and actions.
+   * @param {string} input - Listings file the run read.
+   * @param {?Array<Object>} matches - Matching listings, null when the run does not keep them.
+   * @returns {Promise<void>}
+   * @throws {CliError} If the store cannot be written.
+   */
+  async function updatePresets(preset, input, matches) {
+    if (!preset || (!preset.name && !preset.save)) {
+      return;
+    }
+    let store = preset.store;
+    if (preset.save) {
+      store = putPreset(store, preset.save, preset.options);
+    }
+    const target = preset.save || preset.name;
+    if (!matches) {
+      console.log(`Preset ${target}: matches are not recorded with --stream, --compare or --serve`);
+    } else if (!preset.save && !matchesPreset(store, target, preset.options)) {
+      console.log(`Preset ${target}: matches are not recorded because this run's options differ from the preset`);
+    } else {
+      const recorded = recordPresetRun(store, target, input, matches);
+      store = recorded.store;
+      printPresetRunChange(target, recorded.change);
+    }
+    if (store === preset.store) {
+      return;
+    }
+    try {
+      await savePresetStore(store, preset.path);
+    } catch (error) {
+      throw new CliError(`File write failed: ${error.message}`, EXIT_CODES.CANT_CREATE);
+    }
+    if (preset.save) {
+      console.log(`Preset ${preset.save} saved to ${preset.path}`);
+    }
+  }
 
-    console.log("\nStep 4: Write results to file")
-    const order = await askOrder()
-    if(order){
-      filtered = await filtered.order(order)
+  /**
+   * Lists or deletes presets for --list-presets and --delete-preset.
+   *
+   * @param {import('./CliOptions.js').PresetOptions} preset - Preset store and actions.
+   * @returns {Promise<void>}
+   * @throws {CliError} If the store cannot be written.
+   */
+  async function managePresets(preset) {
+    if (preset.remove) {
+      try {
+        await savePresetStore(removePreset(preset.store, preset.remove), preset.path);
+      } catch (error) {
+        throw new CliError(`File write failed: ${error.message}`, EXIT_CODES.CANT_CREATE);
+      }
+      console.log(`Preset ${preset.remove} deleted from ${preset.path}`);
     }
-    const path = await askOutputPath()
-    if(path){
-      await filtered.writeToFile(path);
+    if (preset.list) {
+      printPresetList(preset.remove ? removePreset(preset.store, preset.remove) : preset.store);
     }
   }
 
-  return { run };
-}
+  /**
+   * Builds the geographic filters requested by --near, --bbox and --within.
+   *
+   * @param {import('./CliOptions.js').RunOptions} options - Resolved run options.
+   * @returns {Promise<Array<function(Object): boolean>>} Listing predicates.
+   * @throws {CliError} If the GeoJSON cannot be read or an area is unknown.
+   */
+  async function geoFilters(options) {
+    const predicates = [];
+    try {
+      if (options.near && options.near.km !== null) {
+        predicates.push(withinRadius(options.near, options.near.km));
+      }
+      if (options.bbox) {
+        predicates.push(withinBounds(options.bbox));
+      }
+      if (options.within) {
+        let geojson;
+        try {
+          geojson = await loadGeoJson(options.within);
+        } catch (error) {
+          throw new CliError(`Cannot read ${options.within}: ${error.message}`, EXIT_CODES.NO_INPUT);
+        }
+        predicates.push(withinPolygon(
+          options.areas.length > 0 ? selectFeatures(geojson, options.areas) : geojson
+        ));
+      }
+    } catch (error) {
+      if (error instanceof GeoError) {
+        throw new CliError(error.message, EXIT_CODES.USAGE);
+      }
+      throw error;
+    }
+    return predicates;
+  }
 
-// Main execution
-(async () => {
-  try {
-    const app = AirBnBDataProcessor(); // Initialize the app
-    await app.run(); // Run the app
-    process.exit(0); // Exit with success status code
-  } catch (error) {
-    console.error('Error running the application:', error);
-    process.exit(1); // Exit with failure status code
+  /**
+   * Replaces the listings with one row per group, or with a pivot table.
+   *
+   * @param {Object} handler - AirBnBDataHandler holding the listings.
+   * @param {Object} grouping - Resolved --group-by or --pivot options.
+   * @param {string} symbol - Currency symbol of price_band labels.
+   * @returns {Object} A new handler with the group or pivot rows.
+   * @throws {CliError} If an aggregated column is not in the data.
+   */
+  function applyGrouping(handler, { keys, pivot, aggregate }, symbol) {
+    try {
+      return pivot
+        ? handler.pivot(keys[0], keys[1], aggregate, { symbol })
+        : handler.groupBy(...keys).aggregate(aggregate, { symbol });
+    } catch (error) {
+      if (error instanceof GroupError) {
+        throw new CliError(error.message, EXIT_CODES.USAGE);
+      }
+      throw error;
+    }
   }
-})();
 
+  /**
+   * Replaces the filtered listings with those most like --similar-to, looked up
+   * among all loaded listings, or with the likely duplicates for --duplicates.
+   *
+   * @param {Object} loaded - AirBnBDataHandler holding every loaded listing.
+   * @param {Object} filtered - AirBnBDataHandler holding the candidates.
+   * @param {import('./CliOptions.js').RunOptions} options - Resolved run options.
+   * @returns {{handler: Object, print: function(): void}} A new handler with the similar or
+   *   duplicate listings, and a function printing them.
+   * @throws {CliError} If the --similar-to listing is not in the input.
+   */
+  function applySimilarity(loaded, filtered, { similar, duplicates, prices }) {
+    try {
+      if (duplicates) {
+        const handler = filtered.duplicates(duplicates);
+        return { handler, print: () => printDuplicates(handler.getData()) };
+      }
+      const { id, ...search } = similar;
+      const target = findListing(loaded.getData(), id);
+      const handler = filtered.similarTo(target, search);
+      return { handler, print: () => printSimilarListings(handler.getData(), { target, symbol: priceSymbol(prices) }) };
+    } catch (error) {
+      if (error instanceof SimilarityError) {
+        throw new CliError(error.message, EXIT_CODES.USAGE);
+      }
+      throw error;
+    }
+  }
 
+  /**
+   * Adds the distance_km column when --near is given, the revenue estimates
+   * when --revenue is given and the stay cost when --stay is given, before any
+   * filter runs.
+   *
+   * @param {import('./CliOptions.js').RunOptions} options - Resolved run options.
+   * @returns {function(Object): Object} Listing transform.
+   */
+  function derivedColumns(options) {
+    const distance = options.near ? distanceFrom(options.near) : null;
+    const revenue = options.revenueModel ? revenueColumns(options.revenueModel) : null;
+    const stay = options.stay ? stayColumns(options.stay, options.prices) : null;
+    return listing => {
+      const withDistance = distance ? { ...listing, distance_km: distance(listing) } : listing;
+      const withRevenue = revenue ? revenue(withDistance) : withDistance;
+      return stay ? stay(withRevenue) : withRevenue;
+    };
+  }
 
+  /**
+   * Combines the range filters, the --where query and geographic filters into one expression.
+   *
+   * @param {import('./CliOptions.js').RunOptions} options - Resolved run options.
+   * @returns {Promise<Object>} Anything handler.filter() accepts.
+   */
+  async function runFilters(options) {
+    return {
+      and: [
+        fromFilterParameters(options.filters),
+        ...(options.where ? [options.where] : []),
+        ...(Object.keys(options.amenities).length > 0 ? [amenityFilter(options.amenities)] : []),
+        ...await geoFilters(options),
+      ],
+    };
+  }
 
+  /**
+   * Runs the same pipeline from resolved options, without prompting.
+   *
+   * @param {import('./CliOptions.js').RunOptions} options - Resolved run options.
+   * @returns {Promise<void>}
+   */
+  async function runBatch(options) {
+    const filters = await runFilters(options);
+    const reports = [];
+    const data = (await readChecked(options.input, options, reports)).map(derivedColumns(options));
+    await saveQualityReports(options, reports);
 
+    const symbol = priceSymbol(options.prices);
+    const loaded = AirBnBDataHandler(data);
+    let filtered = (options.search ? loaded.search(options.search) : loaded).filter(filters);
+    let printMatches = () => {};
+    if (options.similar || options.duplicates) {
+      ({ handler: filtered, print: printMatches } = applySimilarity(loaded, filtered, options));
+    }
+    // Grouped and sorted before anything is printed, so a bad key fails the run up front
+    let result = options.grouping ? applyGrouping(filtered, options.grouping, symbol) : filtered;
+    if (options.order) {
+      result = applyOrder(result, options.order);
+    }
 
+    await updatePresets(options.preset, options.input, filtered.getData());
+    if (options.search) {
+      printSearchResults(filtered.getData(), { query: options.search });
+    }
+    printMatches();
+    filtered.computeStats({ formatter: (stats) => printStats(stats, { symbol }) });
+    if (options.hosts > 0) {
+      filtered.rankHosts(options.hosts, { ...options.hostReport, symbol });
+    }
+    if (options.amenityReport > 0) {
+      filtered.amenityReport({ limit: options.amenityReport, formatter: (report) => printAmenityReport(report, { symbol }) });
+    }
+    if (options.grouping) {
+      (options.grouping.pivot ? printPivotTable : printGroups)(result.getData());
+    }
+    if (options.output) {
+      await writeOutput(result, options.output, options.exportOptions);
+    }
+  }
 
+  /**
+   * Runs the batch pipeline row by row, for files too large to load.
+   * Prints and writes the same results as runBatch without --order.
+   *
+   * @param {import('./CliOptions.js').RunOptions} options - Resolved run options.
+   * @returns {Promise<void>}
+   * @throws {CliError} If the input cannot be read or the output cannot be written.
+   */
+  async function runStream(options) {
+    const filters = await runFilters(options);
+    let result;
+    try {
+      result = await streamListings({
+        input: options.input,
+        output: options.output,
+        filters,
+        strict: options.strict,
+        schema: options.prices ? priceSchema(options.prices) : undefined,
+        transform: derivedColumns(options),
+        exportOptions: options.exportOptions,
+      });
+    } catch (error) {
+      if (error instanceof ExportError) {
+        throw new CliError(error.message, EXIT_CODES.USAGE);
+      }
+      if (error.syscall && isOutputPath(error.path, options.output)) {
+        throw new CliError(`File write failed: ${error.message}`, EXIT_CODES.CANT_CREATE);
+      }
+      throw inputError(error, options.input);
+    }
 
+    console.log(`CSV file ${options.input} successfully streamed (${result.rows} rows).`);
+    reportIssues(result.issues);
+    console.log('Number of listings found:', result.found);
+    printStats(result.stats, { symbol: priceSymbol(options.prices) });
+    if (options.hosts > 0) {
+      printHostReport(rankHostSummaries(result.hosts, { ...options.hostReport, limit: options.hosts }),
+        { ...options.hostReport, symbol: priceSymbol(options.prices) });
+    }
+    if (options.output) {
+      console.log(`Data saved to ${options.output}`);
+    }
+    await updatePresets(options.preset, options.input, null);
+  }
 
+  /**
+   * Compares the input, as the older scrape, with the --compare file.
+   * Prints the diff, then filters, sorts and writes one row per listing.
+   *
+   * @param {import('./CliOptions.js').RunOptions} options - Resolved run options.
+   * @returns {Promise<void>}
+   */
+  async function runCompare(options) {
+    const filters = await runFilters(options);
+    const reports = [];
+    const before = (await readChecked(options.input, options, reports)).map(derivedColumns(options));
+    const after = (await readChecked(options.compare, options, reports)).map(derivedColumns(options));
+    await saveQualityReports(options, reports);
 
+    let diff;
+    let filtered = AirBnBDataHandler(before)
+      .compareWith(after, { formatter: (result) => { diff = result; } })
+      .filter(filters);
+    if (options.order) {
+      filtered = applyOrder(filtered, options.order);
+    }
+    printSnapshotDiff(diff, { symbol: priceSymbol(options.prices) });
+    await updatePresets(options.preset, options.input, null);
+    if (options.output) {
+      await writeOutput(filtered, options.output, options.exportOptions);
+    }
+  }
 
+  /**
+   * Loads the datasets and serves them over HTTP until the process is interrupted.
+   *
+   * @param {import('./CliOptions.js').RunOptions} options - Resolved run options.
+   * @returns {Promise<void>} Resolves once the server has shut down.
+   * @throws {CliError} If a file cannot be read or the port cannot be opened.
+   */
+  async function runServe(options) {
+    const { port, host, datasets } = options.serve;
+    const loaded = [];
+    const reports = [];
+    for (const { name, path } of datasets) {
+      loaded.push(createDataset(name, await readChecked(path, options, reports), path));
+    }
+    await saveQualityReports(options, reports);
 
+    await updatePresets(options.preset, options.input, null);
 
+    const server = createApiServer({
+      datasets: loaded,
+      revenueModel: options.revenueModel ?? undefined,
+      currency: options.prices?.convertTo ?? options.prices?.currency ?? 'USD',
+    });
+    try {
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+      });
+    } catch (error) {
+      throw new CliError(`Cannot listen on ${host}:${port}: ${error.message}`, EXIT_CODES.FAILURE);
+    }
+    const address = server.address();
+    console.log(`API server listening on http://${address.address}:${address.port}/ ` +
+      `(datasets: ${loaded.map(dataset => `${dataset.name} ${dataset.listings.length} listings`).join(', ')})`);
 
+    await new Promise(resolve => {
+      const stop = () => {
+        console.log('Shutting down API server');
+        server.close(resolve);
+      };
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+    });
+  }
 
+  /**
+   * Runs the Airbnb Data Processor application.
+   * Without arguments the user is prompted for every step; otherwise the
+   * run is driven entirely by flags and an optional config file.
+   *
+   * @param {Array<string>} [argv=[]] - Command-line arguments.
+   * @returns {Promise<void>} A promise that resolves when the application completes successfully.
+   * @throws {CliError} With the exit code matching the failure.
+   */
+  async function run(argv = []) {
+    const options = await resolveCliOptions(argv);
 
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+    if (options.interactive) {
+      await runInteractive(options.input);
+      return;
+    }
+    if (options.preset?.list || options.preset?.remove) {
+      await managePresets(options.preset);
+      return;
+    }
+    if (options.serve) {
+      await runServe(options);
+      return;
+    }
+    if (options.compare) {
+      await runCompare(options);
+      return;
+    }
+    await (options.stream ? runStream(options) : runBatch(options));
+  }
 
+  return { run };
+}
 
+// Main execution
+(async () => {
+  try {
+    const app = AirBnBDataProcessor(); // Initialize the app
+    await app.run(process.argv.slice(2)); // Run the app
+    process.exit(EXIT_CODES.OK); // Exit with success status code
+  } catch (error) {
+    if (error instanceof CliError) {
+      console.error(`Error: ${error.message}`);
+      if (error.exitCode === EXIT_CODES.USAGE) {
+        console.error("Run with --help for usage.");
+      }
+      process.exit(error.exitCode);
+    }
+    console.error('Error running the application:', error);
+    process.exit(EXIT_CODES.FAILURE); // Exit with failure status code
+  }
+})();
@@ -0,0 +1,237 @@
+/**
+ * Amenities module.
+ * Normalizes the free-form amenity names of Inside Airbnb listings into
+ * canonical categories, filters on them and reports how common they are and
+ * how they relate to price.
+ *
+ * @module Amenities
+ */
+
+import { toNumber } from "./FilterExpression.js";
+import { describe } from "./ListingStats.js";
+
+/**
+ * Canonical categories and the patterns that map amenity names onto them.
+ * Checked in order and the first match wins, so specific patterns
+ * ("hair dryer", "dishwasher") come before general ones ("dryer", "washer").
+ * @type {Array<[string, RegExp]>}
+ */
+export const AMENITY_CATEGORIES = [
+  ["hair_dryer", /\bhair ?dryer\b/],
+  ["dishwasher", /\bdishwasher\b/],
+  ["washer", /\bwasher\b|washing machine|laundry in unit/],
+  ["dryer", /\bdryer\b/],
+  ["drying_rack", /drying rack/],
+  ["wifi", /\bwi-?fi\b|wireless internet|\binternet\b/],
+  ["ethernet", /ethernet/],
+  ["ev_charger", /\bev charger\b|electric vehicle/],
+  ["parking", /\bparking\b|\bgarage\b|carport/],
+  ["pool_table", /pool table/],
+  ["pool", /\bpool\b/],
+  ["hot_tub", /hot tub|jacuzzi/],
+  ["air_conditioning", /air conditioning|\bac\b|\ba\/c\b/],
+  ["heating", /heating|\bheater\b/],
+  ["kitchen", /\bkitchen(ette)?\b/],
+  ["workspace", /workspace|\bdesk\b/],
+  ["tv", /\b(hd)?tv\b|television/],
+  ["gym", /\bgym\b|exercise equipment|fitness/],
+  ["pets_allowed", /pets allowed/],
+  ["self_check_in", /self check-?in|lockbox|smart ?lock|keypad/],
+  ["crib", /\bcrib\b|pack ['’]n play/],
+  ["elevator", /\belevator\b|\blift\b/],
+  ["bbq_grill", /\bbbq\b|barbecue|\bgrill\b/],
+  ["patio_or_balcony", /\bpatio\b|\bbalcony\b|\bterrace\b/],
+  ["backyard", /backyard/],
+  ["garden", /\bgarden\b(?! view)/],
+  ["coffee_maker", /coffee|espresso|nespresso|keurig/],
+  ["refrigerator", /refrigerator|\bfridge\b/],
+  ["microwave", /microwave/],
+  ["oven", /\boven\b/],
+  ["stove", /\bstove\b|cooktop/],
+  ["fireplace", /fireplace/],
+  ["smoke_alarm", /smoke alarm|smoke detector/],
+  ["carbon_monoxide_alarm", /carbon monoxide/],
+  ["fire_extinguisher", /fire extinguisher/],
+  ["first_aid_kit", /first aid/],
+  ["beach_access", /beach access|beachfront/],
+  ["waterfront", /waterfront|lake access/],
+  ["long_term_stays", /long term stays/],
+  ["private_entrance", /private entrance/],
+  ["luggage_dropoff", /luggage drop-?off/],
+  ["breakfast", /breakfast/],
+  ["essentials", /^essentials$/],
+  ["iron", /\biron\b/],
+  ["shampoo", /shampoo/],
+  ["bed_linens", /bed linens/],
+  ["sound_system", /sound system|bluetooth speaker/],
+  ["game_console", /game console|playstation|xbox|nintendo/],
+];
+
+/**
+ * Turns an unmatched amenity name into a stable slug
+ * @param {string} text - Lower-cased amenity name
+ * @returns {string} Slug such as "books_and_reading_material"
+ */
+const slug = text => text
+  .normalize("NFKD")
+  .replace(/[\u0300-\u036f]/g, "")
+  .replace(/[^a-z0-9]+/g, "_")
+  .replace(/^_+|_+$/g, "");
+
+/**
+ * Maps an amenity name to its canonical category
+ * @param {string} name - Amenity as listed, e.g. "Free driveway parking on premises"
+ * @returns {string} Category such as "parking", or a slug of the name when no category matches
+ * @example
+ * normalizeAmenity('Free street parking'); // returns 'parking'
+ * normalizeAmenity('Wifi – 500 Mbps'); // returns 'wifi'
+ */
+export const normalizeAmenity = name => {
+  const text = String(name).toLowerCase().replace(/[–—]/g, "-").replace(/\s+/g, " ").trim();
+  const match = AMENITY_CATEGORIES.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : slug(text);
+};
+
+/**
+ * Reads the raw amenity names of a listing.
+ * Handles the parsed array from the listing schema as well as the JSON text.
+ * @param {Object} listing - Listing with an amenities column
+ * @returns {Array<string>} Amenity names, empty when missing or unreadable
+ */
+export const listingAmenities = listing => {
+  const raw = listing.amenities;
+  if (Array.isArray(raw)) return raw.map(String);
+  if (typeof raw !== "string" || raw.trim() === "") return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed.map(String) : [];
+  } catch {
+    return [];
+  }
+};
+
+/** @type {WeakMap<Object, Set<string>>} */
+const amenitySetCache = new WeakMap();
+
+/**
+ * Returns the canonical amenity categories of a listing.
+ * Results are cached per listing object, which is never modified.
+ * @param {Object} listing - Listing with an amenities column
+ * @returns {Set<string>} Canonical categories
+ */
+export const amenitySet = listing => {
+  let set = amenitySetCache.get(listing);
+  if (!set) {
+    set = new Set(listingAmenities(listing).map(normalizeAmenity));
+    amenitySetCache.set(listing, set);
+  }
+  return set;
+};
+
+/**
+ * Parses an amenity list such as "wifi + washer + parking" or "Wifi, Free parking"
+ * @param {string|Array<string>} list - Amenities separated by "+" or ","
+ * @returns {Array<string>} Canonical categories
+ */
+export const parseAmenityList = list => (Array.isArray(list) ? list : String(list).split(/[+,]/))
+  .map(name => String(name).trim())
+  .filter(Boolean)
+  .map(normalizeAmenity);
+
+/**
+ * Amenity requirements
+ * @typedef {Object} AmenityRequirements
+ * @property {string|Array<string>} [all] - Every one of these is required
+ * @property {string|Array<string>} [any] - At least one of these is required
+ * @property {string|Array<string>} [none] - None of these may be present
+ */
+
+/**
+ * Builds a predicate for amenity requirements
+ * @param {AmenityRequirements} requirements - Required, alternative and excluded amenities
+ * @returns {function(Object): boolean} Listing predicate
+ * @example
+ * listings.filter(amenityFilter({ all: 'wifi + washer + parking', none: 'shared bathroom' }));
+ */
+export const amenityFilter = ({ all = [], any = [], none = [] }) => {
+  const required = parseAmenityList(all);
+  const alternatives = parseAmenityList(any);
+  const excluded = parseAmenityList(none);
+  return listing => {
+    const set = amenitySet(listing);
+    return required.every(amenity => set.has(amenity)) &&
+      (alternatives.length === 0 || alternatives.some(amenity => set.has(amenity))) &&
+      !excluded.some(amenity => set.has(amenity));
+  };
+};
+
+/**
+ * One row of the amenity report
+ * @typedef {Object} AmenityReportRow
+ * @property {string} amenity - Canonical category
+ * @property {number} count - Listings with the amenity
+ * @property {number} share - Fraction of listings with the amenity
+ * @property {?number} medianWith - Median price of listings with it
+ * @property {?number} medianWithout - Median price of listings without it
+ * @property {?number} uplift - medianWith - medianWithout
+ * @property {?number} upliftPct - Uplift as a percentage of medianWithout
+ */
+
+/**
+ * Reports the most common amenities and the median price difference
+ * between listings with and without each one. The uplift is an association
+ * within the selection, not a causal effect.
+ * @param {Array<Object>} listings - Listings to analyse
+ * @param {Object} [options] - Report options
+ * @param {number} [options.limit=20] - Number of amenities to return
+ * @param {number} [options.minCount=5] - Minimum listings on each side to compute an uplift
+ * @returns {Array<AmenityReportRow>} Most common amenities first
+ */
+export const amenityReport = (listings, { limit = 20, minCount = 5 } = {}) => {
+  const counts = new Map();
+  listings.forEach(listing => {
+    amenitySet(listing).forEach(amenity => counts.set(amenity, (counts.get(amenity) ?? 0) + 1));
+  });
+  const priced = listings
+    .map(listing => [amenitySet(listing), toNumber(listing.price ?? null)])
+    .filter(([, price]) => price !== null);
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([amenity, count]) => {
+      const withPrices = priced.filter(([set]) => set.has(amenity)).map(([, price]) => price);
+      const withoutPrices = priced.filter(([set]) => !set.has(amenity)).map(([, price]) => price);
+      const enough = withPrices.length >= minCount && withoutPrices.length >= minCount;
+      const medianWith = enough ? describe(withPrices).median : null;
+      const medianWithout = enough ? describe(withoutPrices).median : null;
+      const uplift = enough ? medianWith - medianWithout : null;
+      return {
+        amenity,
+        count,
+        share: count / listings.length,
+        medianWith,
+        medianWithout,
+        uplift,
+        upliftPct: enough && medianWithout ? (uplift / medianWithout) * 100 : null,
+      };
+    });
+};
+
+/**
+ * Prints an amenity report to the console
+ * @param {Array<AmenityReportRow>} report - Report rows
+ * @param {Object} [options] - Printing options
+ * @param {string} [options.symbol="$"] - Currency symbol of prices
+ */
+export const printAmenityReport = (report, { symbol = "$" } = {}) => {
+  console.log("\nMost common amenities (median price with vs without):");
+  report.forEach((row, index) => {
+    const share = `${(row.share * 100).toFixed(1)}%`;
+    const uplift = row.uplift === null
+      ? "too few listings to compare"
+      : `${symbol}${row.medianWith.toFixed(2)} vs ${symbol}${row.medianWithout.toFixed(2)} ` +
+        `(${row.uplift >= 0 ? "+" : ""}${row.upliftPct === null ? "n/a" : `${row.upliftPct.toFixed(1)}%`})`;
+    console.log(`${index + 1}. ${row.amenity}: ${row.count} listings (${share}), ${uplift}`);
+  });
+};
@@ -0,0 +1,581 @@
+/**
+ * API server module.
+ * Serves listings files loaded at startup over a local HTTP JSON API backed by
+ * AirBnBDataHandler: filtering, sorting, paging, statistics, host rankings and
+ * export. Responses carry ETags and repeated queries are answered from a cache.
+ *
+ * @module ApiServer
+ */
+
+import { createHash } from "crypto";
+import { createServer } from "http";
+import { basename } from "path";
+import { AirBnBDataHandler } from "./AirBnBDataHandler.js";
+import { amenityFilter } from "./Amenities.js";
+import { ExportError, detectFormat, serializeListings } from "./Exporter.js";
+import { FilterError, compileFilter, fromFilterParameters, parseFilterQuery, toFilterExpression } from "./FilterExpression.js";
+import { GeoError, checkPoint, withinBounds, withinRadius } from "./GeoSearch.js";
+import { HostAnalyticsError } from "./HostAnalytics.js";
+import { SortError } from "./ListingSort.js";
+import { RevenueModelError } from "./RevenueModel.js";
+import { TextSearchError, textIndexFor } from "./TextSearch.js";
+
+/**
+ * Error answered with an HTTP status and a JSON body
+ * @extends Error
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Description of the problem
+   * @param {string} [code="bad_request"] - Machine readable error code
+   */
+  constructor(status, message, code = "bad_request") {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Content types of the export formats
+ * @type {Object<string, string>}
+ */
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  tsv: "text/tab-separated-values; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  md: "text/markdown; charset=utf-8",
+  html: "text/html; charset=utf-8",
+  geojson: "application/geo+json; charset=utf-8",
+};
+
+/**
+ * Parameters every query endpoint accepts for selecting listings
+ * @type {Array<string>}
+ */
+const FILTER_PARAMS = ["search", "where", "price", "rooms", "score", "near", "bbox", "amenities", "anyAmenity", "noAmenity", "revenue"];
+
+/**
+ * Largest page the listings endpoint returns
+ * @type {number}
+ */
+export const MAX_PAGE_SIZE = 1000;
+
+/**
+ * A listings file loaded into memory
+ * @typedef {Object} Dataset
+ * @property {string} name - Name used in URLs
+ * @property {string} source - Path the listings were read from
+ * @property {Array<Object>} listings - Typed listings
+ * @property {string} loadedAt - ISO timestamp of loading
+ * @property {string} version - Changes whenever the data changes; part of every ETag
+ */
+
+/**
+ * Creates a dataset for the server and builds its text search index
+ * @param {string} name - Name used in URLs, e.g. "sf-2024-12"
+ * @param {Array<Object>} listings - Typed listings
+ * @param {string} [source=name] - Path the listings were read from
+ * @returns {Dataset} Dataset
+ */
+export const createDataset = (name, listings, source = name) => {
+  const loadedAt = new Date().toISOString();
+  const version = createHash("sha1").update(`${name}\0${source}\0${loadedAt}\0${listings.length}`).digest("hex").slice(0, 12);
+  textIndexFor(listings);
+  return { name, source, listings, loadedAt, version };
+};
+
+/**
+ * Derives a dataset name from a file path, e.g. "listings" for data/listings.csv.gz
+ * @param {string} filePath - Listings file path
+ * @returns {string} Dataset name
+ */
+export const datasetName = filePath => basename(filePath).replace(/(\.csv)?(\.gz)?$/i, "");
+
+/**
+ * Reads a number parameter
+ * @param {*} value - Raw value from the query string or body
+ * @param {string} name - Parameter name, used in the error message
+ * @param {Object} [bounds] - Accepted range
+ * @param {number} [bounds.min=-Infinity] - Smallest accepted value
+ * @param {number} [bounds.max=Infinity] - Largest accepted value
+ * @param {boolean} [bounds.integer=false] - Require a whole number
+ * @returns {number} The number
+ * @throws {ApiError} If the value is not an accepted number
+ */
+const numberParam = (value, name, { min = -Infinity, max = Infinity, integer = false } = {}) => {
+  const number = typeof value === "number" ? value : Number(String(value).trim() === "" ? NaN : value);
+  if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+    const range = `${integer ? "an integer" : "a number"}${min > -Infinity ? ` >= ${min}` : ""}${max < Infinity ? ` <= ${max}` : ""}`;
+    throw new ApiError(400, `"${name}" must be ${range}, got ${JSON.stringify(value)}`, "invalid_parameter");
+  }
+  return number;
+};
+
+/**
+ * Checks that a parameter is a string, or also an array of strings where lists are accepted
+ * @param {*} value - Raw value
+ * @param {string} name - Parameter name, used in the error message
+ * @param {Object} [options] - Accepted values
+ * @param {boolean} [options.list=false] - Also accept an array of strings
+ * @returns {string|Array<string>} The value
+ * @throws {ApiError} If the value is of another type
+ */
+const textParam = (value, name, { list = false } = {}) => {
+  if (typeof value === "string" || (list && Array.isArray(value) && value.every(item => typeof item === "string"))) {
+    return value;
+  }
+  throw new ApiError(400, `"${name}" must be ${list ? "a string or an array of strings" : "a string"}, got ${JSON.stringify(value)}`, "invalid_parameter");
+};
+
+/**
+ * Reads a list parameter given as "a,b,c" or a JSON array
+ * @param {*} value - Raw value
+ * @returns {Array<string>} Trimmed, non-empty items
+ */
+const listParam = value => (Array.isArray(value) ? value : String(value).split(","))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+/**
+ * Reads a boolean parameter such as "true", "1" or false
+ * @param {*} value - Raw value
+ * @param {string} name - Parameter name, used in the error message
+ * @returns {boolean} The flag
+ * @throws {ApiError} If the value is not a boolean
+ */
+const booleanParam = (value, name) => {
+  if (typeof value === "boolean") return value;
+  const text = String(value).trim().toLowerCase();
+  if (["true", "1", "yes", ""].includes(text)) return true;
+  if (["false", "0", "no"].includes(text)) return false;
+  throw new ApiError(400, `"${name}" must be true or false, got ${JSON.stringify(value)}`, "invalid_parameter");
+};
+
+/**
+ * Reads a "min,max" range parameter, or a [min, max] array; either side may be empty
+ * @param {*} value - Raw value
+ * @param {string} name - Parameter name, used in the error message
+ * @returns {Array<number>} [min, max]; an open max is Infinity
+ * @throws {ApiError} If the range is malformed
+ */
+const rangeParam = (value, name) => {
+  const parts = Array.isArray(value) ? value : String(value).split(",");
+  if (parts.length !== 2) {
+    throw new ApiError(400, `"${name}" must be "min,max", got ${JSON.stringify(value)}`, "invalid_parameter");
+  }
+  const [min, max] = parts.map(part => (part === null ? "" : String(part).trim()));
+  return [min ? numberParam(min, name) : 0, max ? numberParam(max, name) : Infinity];
+};
+
+/**
+ * Builds the filter expression of a query
+ * @param {Object} query - Merged query parameters
+ * @returns {{expression: Object, near: ?import('./GeoSearch.js').GeoPoint}} Filter and the
+ *   reference point for the distance column
+ * @throws {ApiError} If a filter parameter is invalid
+ */
+const queryFilters = query => {
+  const ranges = { price: "price", rooms: "room", score: "score" };
+  const parameters = Object.fromEntries(Object.entries(ranges)
+    .filter(([param]) => query[param] !== undefined)
+    .flatMap(([param, prefix]) => {
+      const [min, max] = rangeParam(query[param], param);
+      return [[`${prefix}_min`, min], [`${prefix}_max`, max]];
+    }));
+  const and = [fromFilterParameters(parameters)];
+
+  if (query.where !== undefined && query.where !== "") {
+    if (typeof query.where !== "string" && (query.where === null || typeof query.where !== "object" || Array.isArray(query.where))) {
+      throw new ApiError(400, `"where" must be a query string or a filter expression object, got ${JSON.stringify(query.where)}`, "invalid_parameter");
+    }
+    and.push(typeof query.where === "string" ? parseFilterQuery(query.where) : toFilterExpression(query.where));
+  }
+  const amenities = Object.fromEntries([["all", "amenities"], ["any", "anyAmenity"], ["none", "noAmenity"]]
+    .filter(([, param]) => query[param] !== undefined)
+    .map(([key, param]) => [key, textParam(query[param], param, { list: true })]));
+  if (Object.keys(amenities).length > 0) and.push(amenityFilter(amenities));
+
+  let near = null;
+  if (query.near !== undefined) {
+    const parts = listParam(query.near);
+    if (parts.length < 2 || parts.length > 3) {
+      throw new ApiError(400, `"near" must be "lat,lon" or "lat,lon,km", got ${JSON.stringify(query.near)}`, "invalid_parameter");
+    }
+    const [lat, lon, km] = parts.map(part => numberParam(part, "near"));
+    near = checkPoint({ lat, lon });
+    if (km !== undefined) and.push(withinRadius(near, km));
+  }
+  if (query.bbox !== undefined) {
+    const parts = listParam(query.bbox);
+    if (parts.length !== 4) {
+      throw new ApiError(400, `"bbox" must be "south,west,north,east", got ${JSON.stringify(query.bbox)}`, "invalid_parameter");
+    }
+    const [minLat, minLon, maxLat, maxLon] = parts.map(part => numberParam(part, "bbox"));
+    and.push(withinBounds({ minLat, minLon, maxLat, maxLon }));
+  }
+  return { expression: { and }, near };
+};
+
+/**
+ * Applies the derived columns, filters and sort order of a query
+ * @param {Dataset} dataset - Dataset to query
+ * @param {Object} query - Merged query parameters
+ * @param {Object} [revenueModel] - Revenue model parameters, used when the query asks for revenue
+ * @returns {import('./AirBnBDataHandler.js').AirBnBHandler} Handler with the selected listings
+ */
+const selectListings = (dataset, query, revenueModel) => {
+  const { expression, near } = queryFilters(query);
+  let handler = AirBnBDataHandler(dataset.listings);
+  if (query.search !== undefined) handler = handler.search(textParam(query.search, "search"));
+  if (near) handler = handler.withDistance(near);
+  if (query.revenue !== undefined && booleanParam(query.revenue, "revenue")) {
+    handler = handler.withRevenueEstimates(revenueModel);
+  }
+  // Filtered here rather than through handler.filter, which prints the number of matches
+  handler = AirBnBDataHandler(handler.getData().filter(compileFilter(expression)));
+  return query.order ? handler.order(textParam(query.order, "order")) : handler;
+};
+
+/**
+ * Keeps the requested columns of a listing
+ * @param {Object} listing - Listing
+ * @param {?Array<string>} columns - Columns to keep, null for all
+ * @returns {Object} Projected listing
+ */
+const project = (listing, columns) =>
+  columns === null ? listing : Object.fromEntries(columns.map(column => [column, listing[column] ?? null]));
+
+/**
+ * Query endpoints: the parameters each accepts beyond the filters, and what it returns
+ * @type {Object<string, {params: Array<string>, run: function(Dataset, Object, {revenueModel: ?Object, currency: string}): (Object|Promise<Object>)}>}
+ */
+const ENDPOINTS = {
+  listings: {
+    params: ["order", "limit", "offset", "columns"],
+    run(dataset, query, context) {
+      const limit = query.limit === undefined ? 50 : numberParam(query.limit, "limit", { min: 0, max: MAX_PAGE_SIZE, integer: true });
+      const offset = query.offset === undefined ? 0 : numberParam(query.offset, "offset", { min: 0, integer: true });
+      const columns = query.columns === undefined ? null : listParam(textParam(query.columns, "columns", { list: true }));
+      const data = selectListings(dataset, query, context.revenueModel).getData();
+      return {
+        body: {
+          dataset: dataset.name,
+          total: data.length,
+          offset,
+          limit,
+          items: data.slice(offset, offset + limit).map(listing => project(listing, columns)),
+        },
+      };
+    },
+  },
+  stats: {
+    params: ["groupBy", "outlierK"],
+    run(dataset, query, context) {
+      const options = {
+        ...(query.groupBy !== undefined ? { groupBy: listParam(query.groupBy) } : {}),
+        ...(query.outlierK !== undefined ? { outlierK: numberParam(query.outlierK, "outlierK", { min: 0 }) } : {}),
+      };
+      return { body: { dataset: dataset.name, ...selectListings(dataset, query, context.revenueModel).computeStats(options) } };
+    },
+  },
+  hosts: {
+    params: ["rankBy", "direction", "limit", "commercialOnly"],
+    run(dataset, query, context) {
+      if (query.direction !== undefined && !["asc", "desc"].includes(query.direction)) {
+        throw new ApiError(400, `"direction" must be asc or desc, got ${JSON.stringify(query.direction)}`, "invalid_parameter");
+      }
+      const hosts = selectListings(dataset, query, context.revenueModel).hostReport({
+        rankBy: query.rankBy ?? "listings",
+        direction: query.direction ?? "desc",
+        limit: query.limit === undefined ? 10 : numberParam(query.limit, "limit", { min: 0, max: MAX_PAGE_SIZE, integer: true }),
+        commercialOnly: query.commercialOnly === undefined ? false : booleanParam(query.commercialOnly, "commercialOnly"),
+      });
+      return { body: { dataset: dataset.name, hosts } };
+    },
+  },
+  export: {
+    params: ["order", "format", "columns", "currency", "dateFormat"],
+    async run(dataset, query, context) {
+      const format = detectFormat("", query.format === undefined ? "csv" : textParam(query.format, "format"));
+      if (query.dateFormat !== undefined && !["iso", "locale"].includes(query.dateFormat)) {
+        throw new ApiError(400, `"dateFormat" must be iso or locale, got ${JSON.stringify(query.dateFormat)}`, "invalid_parameter");
+      }
+      if (query.currency !== undefined) {
+        try {
+          new Intl.NumberFormat("en-US", { style: "currency", currency: query.currency });
+        } catch {
+          throw new ApiError(400, `Unknown currency code ${JSON.stringify(query.currency)}`, "invalid_parameter");
+        }
+        if (query.currency !== context.currency) {
+          throw new ApiError(400, `Prices are in ${context.currency}; "currency" formats them and cannot convert to ${query.currency}`, "invalid_parameter");
+        }
+      }
+      const content = await serializeListings(selectListings(dataset, query, context.revenueModel).getData(), format, {
+        columns: query.columns === undefined ? undefined : listParam(textParam(query.columns, "columns", { list: true })),
+        currency: query.currency,
+        dateFormat: query.dateFormat,
+        title: dataset.name,
+      });
+      return {
+        raw: content,
+        contentType: CONTENT_TYPES[format],
+        headers: { "Content-Disposition": `attachment; filename="${dataset.name}.${format}"` },
+      };
+    },
+  },
+};
+
+/**
+ * Serializes a value with sorted object keys, so equal queries get equal cache keys
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = value => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+/**
+ * Reads a JSON request body
+ * @async
+ * @param {import('http').IncomingMessage} request - Request
+ * @param {number} maxBytes - Largest accepted body
+ * @returns {Promise<Object>} Parsed body, {} when empty
+ * @throws {ApiError} If the body is too large, not JSON or not an object
+ */
+const readJsonBody = async (request, maxBytes) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new ApiError(413, `Request body exceeds ${maxBytes} bytes`, "payload_too_large");
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString("utf-8").trim();
+  if (text === "") return {};
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw new ApiError(400, `Request body is not valid JSON: ${error.message}`, "invalid_json");
+  }
+  if (body === null || typeof body !== "object" || Array.isArray(body)) {
+    throw new ApiError(400, "Request body must be a JSON object", "invalid_json");
+  }
+  return body;
+};
+
+/**
+ * Maps errors from the data modules onto API errors
+ * @param {Error} error - Error thrown while answering
+ * @returns {ApiError} Error to answer with
+ */
+const toApiError = error => {
+  if (error instanceof ApiError) return error;
+  if ([FilterError, SortError, GeoError, HostAnalyticsError, ExportError, RevenueModelError, TextSearchError].some(type => error instanceof type)) {
+    return new ApiError(400, error.message, "invalid_query");
+  }
+  return new ApiError(500, "Internal server error", "internal_error");
+};
+
+/**
+ * Server options
+ * @typedef {Object} ApiServerOptions
+ * @property {Array<Dataset>} datasets - Datasets to serve; the first is the default
+ * @property {number} [cacheSize=200] - Responses kept for repeated queries
+ * @property {number} [maxBodyBytes=1048576] - Largest accepted JSON body
+ * @property {number} [maxAge=60] - Seconds clients may reuse a response without revalidating
+ * @property {Object} [revenueModel] - Revenue model parameters for queries with revenue=true
+ * @property {string} [currency="USD"] - Currency the datasets' prices are in; export only formats
+ *   prices in this currency
+ * @property {function(string): void} [log=console.log] - Request logger
+ */
+
+/**
+ * Creates the HTTP server. Routes, all answering GET, HEAD and POST with a JSON body:
+ *
+ *   GET /health                          status and dataset names
+ *   GET /datasets                        loaded datasets
+ *   /datasets/{name}/listings            filtered, sorted page of listings (limit, offset, columns)
+ *   /datasets/{name}/stats               statistics of the filtered listings (groupBy, outlierK)
+ *   /datasets/{name}/hosts               host report (rankBy, direction, limit, commercialOnly)
+ *   /datasets/{name}/export              filtered listings as a file (format, columns, currency, dateFormat)
+ *
+ * /listings, /stats, /hosts and /export query the default dataset. Every query
+ * endpoint takes search (full text, most relevant first unless ordered), where, price, rooms, score, near, bbox, amenities, anyAmenity,
+ * noAmenity and revenue (adds the estimated revenue columns), plus order where rows are returned, as query parameters or in
+ * a JSON body; body values win.
+ * @param {ApiServerOptions} options - Server options
+ * @returns {import('http').Server} Server, not yet listening
+ * @throws {Error} If no dataset is given or two share a name
+ * @example
+ * const server = createApiServer({ datasets: [createDataset('sf', listings)] });
+ * server.listen(8080, '127.0.0.1');
+ * // curl 'http://127.0.0.1:8080/listings?where=bedrooms>=2&order=price&limit=10'
+ */
+export const createApiServer = ({
+  datasets,
+  cacheSize = 200,
+  maxBodyBytes = 1024 * 1024,
+  maxAge = 60,
+  revenueModel,
+  currency = "USD",
+  log = console.log,
+}) => {
+  if (!datasets?.length) {
+    throw new Error("The API server needs at least one dataset");
+  }
+  const byName = new Map();
+  datasets.forEach(dataset => {
+    if (byName.has(dataset.name)) throw new Error(`Duplicate dataset name "${dataset.name}"`);
+    byName.set(dataset.name, dataset);
+  });
+  const [defaultDataset] = datasets;
+  /** @type {Map<string, {etag: string, content: Buffer, contentType: string, headers: Object}>} */
+  const cache = new Map();
+
+  const describeDataset = dataset => ({
+    name: dataset.name,
+    source: dataset.source,
+    listings: dataset.listings.length,
+    loadedAt: dataset.loadedAt,
+    default: dataset === defaultDataset,
+  });
+
+  /**
+   * Resolves a path to a dataset and endpoint
+   * @param {Array<string>} segments - Decoded path segments
+   * @returns {{dataset: Dataset, endpoint: string}|{info: Object}} Query target, or static information
+   * @throws {ApiError} 404 for unknown paths and datasets
+   */
+  const route = segments => {
+    if (segments.length === 0 || (segments.length === 1 && segments[0] === "health")) {
+      return { info: { status: "ok", datasets: datasets.map(dataset => dataset.name) } };
+    }
+    if (segments[0] === "datasets") {
+      if (segments.length === 1) return { info: { datasets: datasets.map(describeDataset) } };
+      const dataset = byName.get(segments[1]);
+      if (!dataset) throw new ApiError(404, `Unknown dataset "${segments[1]}"`, "not_found");
+      if (segments.length === 2) return { info: describeDataset(dataset) };
+      if (segments.length === 3 && ENDPOINTS[segments[2]]) return { dataset, endpoint: segments[2] };
+    } else if (segments.length === 1 && ENDPOINTS[segments[0]]) {
+      return { dataset: defaultDataset, endpoint: segments[0] };
+    }
+    throw new ApiError(404, `No route for /${segments.join("/")}`, "not_found");
+  };
+
+  /**
+   * Answers a query endpoint, from the cache when the same query was answered before
+   * @async
+   * @param {Dataset} dataset - Dataset to query
+   * @param {string} endpoint - Key of ENDPOINTS
+   * @param {Object} query - Merged query parameters
+   * @returns {Promise<{etag: string, content: Buffer, contentType: string, headers: Object}>} Response
+   * @throws {ApiError} If a parameter is unknown or invalid
+   */
+  const answer = async (dataset, endpoint, query) => {
+    const { params, run } = ENDPOINTS[endpoint];
+    const unknown = Object.keys(query).filter(key => !FILTER_PARAMS.includes(key) && !params.includes(key));
+    if (unknown.length > 0) {
+      throw new ApiError(400, `Unknown parameter${unknown.length > 1 ? "s" : ""} ${unknown.map(key => `"${key}"`).join(", ")} ` +
+        `for ${endpoint}; expected ${[...FILTER_PARAMS, ...params].join(", ")}`, "unknown_parameter");
+    }
+    const key = `${dataset.version}:${endpoint}:${canonicalJson(query)}`;
+    const cached = cache.get(key);
+    if (cached) {
+      // Refresh the entry so the least recently used one is evicted first
+      cache.delete(key);
+      cache.set(key, cached);
+      return cached;
+    }
+
+    const result = await run(dataset, query, { revenueModel, currency });
+    const content = result.raw !== undefined
+      ? Buffer.from(result.raw)
+      : Buffer.from(`${JSON.stringify(result.body)}\n`);
+    const response = {
+      etag: `"${createHash("sha1").update(content).digest("base64url").slice(0, 27)}"`,
+      content,
+      contentType: result.contentType ?? "application/json; charset=utf-8",
+      headers: result.headers ?? {},
+    };
+    cache.set(key, response);
+    if (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+    return response;
+  };
+
+  const send = (request, response, status, { content, contentType, etag, headers = {}, cacheable = false }) => {
+    response.writeHead(status, {
+      "Content-Type": contentType,
+      "Content-Length": content.length,
+      ...(etag ? { ETag: etag } : {}),
+      "Cache-Control": cacheable ? `private, max-age=${maxAge}` : "no-store",
+      ...headers,
+    });
+    response.end(request.method === "HEAD" ? undefined : content);
+  };
+
+  const sendJson = (request, response, status, body, options = {}) => send(request, response, status, {
+    content: Buffer.from(`${JSON.stringify(body)}\n`),
+    contentType: "application/json; charset=utf-8",
+    ...options,
+  });
+
+  return createServer(async (request, response) => {
+    const started = Date.now();
+    try {
+      if (!["GET", "HEAD", "POST"].includes(request.method)) {
+        throw new ApiError(405, `Method ${request.method} not allowed`, "method_not_allowed");
+      }
+      const url = new URL(request.url, "http://localhost");
+      let segments;
+      try {
+        segments = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+      } catch {
+        throw new ApiError(400, "Malformed URL", "invalid_url");
+      }
+      const target = route(segments);
+      if (target.info) {
+        sendJson(request, response, 200, target.info);
+        return;
+      }
+
+      const query = Object.fromEntries(url.searchParams);
+      if (request.method === "POST") {
+        if (!/^application\/json\b/i.test(request.headers["content-type"] ?? "application/json")) {
+          throw new ApiError(415, "POST bodies must be application/json", "unsupported_media_type");
+        }
+        Object.assign(query, await readJsonBody(request, maxBodyBytes));
+      }
+      const result = await answer(target.dataset, target.endpoint, query);
+      const notModified = request.headers["if-none-match"]
+        ?.split(",")
+        .map(tag => tag.trim().replace(/^W\//, ""))
+        .some(tag => tag === result.etag || tag === "*");
+      if (notModified) {
+        response.writeHead(304, { ETag: result.etag, "Cache-Control": `private, max-age=${maxAge}` });
+        response.end();
+      } else {
+        send(request, response, 200, { ...result, cacheable: true });
+      }
+    } catch (caught) {
+      const error = toApiError(caught);
+      if (error.status >= 500) log(`${caught.stack ?? caught}`);
+      sendJson(request, response, error.status, { error: { status: error.status, code: error.code, message: error.message } }, {
+        headers: error.status === 405 ? { Allow: "GET, HEAD, POST" } : {},
+      });
+    } finally {
+      log(`${request.method} ${request.url} ${response.statusCode} ${Date.now() - started}ms`);
+    }
+  });
+};
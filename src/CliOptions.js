@@ -0,0 +1,1221 @@
+/**
+ * Command-line options module.
+ * Parses flags and config files into the options used by a non-interactive run.
+ *
+ * @module CliOptions
+ */
+
+import { readFile } from "fs/promises";
+import { extname } from "path";
+import { parseArgs } from "util";
+import YAML from "yaml";
+import { FilterError, parseFilterQuery, toFilterExpression } from "./FilterExpression.js";
+import { SortError, parseSortSpec } from "./ListingSort.js";
+import { GeoError, checkPoint } from "./GeoSearch.js";
+import { ExportError, STREAMABLE_FORMATS, detectFormat } from "./Exporter.js";
+import { HostAnalyticsError, hostMetric } from "./HostAnalytics.js";
+import { datasetName } from "./ApiServer.js";
+import { RevenueModelError, parseRevenueModel, resolveRevenueModel } from "./RevenueModel.js";
+import { QualityError, parseFixes, resolveFixes } from "./DataQuality.js";
+import { TextSearchError, parseTextQuery } from "./TextSearch.js";
+import { GroupError, parseAggregates, resolveGroupKey } from "./GroupAggregate.js";
+import { PricingError, createPriceType, loadRates, parseStay, checkStay, resolveRates } from "./Pricing.js";
+import { DEFAULT_DUPLICATE_OPTIONS, SimilarityError, findDuplicates, resolveWeights } from "./Similarity.js";
+import {
+  DEFAULT_PRESET_STORE,
+  PRESET_KEYS,
+  PresetError,
+  checkPresetName,
+  getPreset,
+  loadPresetStore,
+} from "./SearchPresets.js";
+
+/**
+ * Process exit codes, following the BSD sysexits convention
+ * @readonly
+ * @enum {number}
+ */
+export const EXIT_CODES = Object.freeze({
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 64,
+  DATA: 65,
+  NO_INPUT: 66,
+  CANT_CREATE: 73,
+  CONFIG: 78,
+});
+
+/**
+ * Error carrying the exit code the process should terminate with
+ * @extends Error
+ */
+export class CliError extends Error {
+  /**
+   * @param {string} message - Human readable description
+   * @param {number} [exitCode=EXIT_CODES.FAILURE] - Exit code for the process
+   */
+  constructor(message, exitCode = EXIT_CODES.FAILURE) {
+    super(message);
+    this.name = "CliError";
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Options for a single processor run
+ * @typedef {Object} RunOptions
+ * @property {boolean} interactive - True when no arguments were given
+ * @property {boolean} help - True when usage should be printed
+ * @property {string} input - Path to the listings CSV
+ * @property {import('./AirBnBDataHandler.js').FilterParameters} filters - Filter ranges
+ * @property {?import('./FilterExpression.js').FilterExpr} where - Parsed --where query, ANDed with the ranges
+ * @property {string} search - Full-text query over name, description and neighborhood_overview, empty for none
+ * @property {string} order - Sort specification, empty to keep file order
+ * @property {string} output - Output file path, empty to skip writing
+ * @property {number} hosts - Number of top hosts to display, 0 to skip the host report
+ * @property {{rankBy: string, commercialOnly: boolean}} hostReport - Host ranking metric, and whether
+ *   to show only likely commercial operators
+ * @property {boolean} strict - Fail when cells do not match the listing schema
+ * @property {?(import('./DataQuality.js').QualityOptions & {report: string})} quality - Quality checks
+ *   and fixes run after loading, with the JSON report path (empty for none); null to skip them
+ * @property {boolean} stream - Process the file row by row instead of loading it
+ * @property {string} compare - Newer listings file to compare the input with, empty for none
+ * @property {?{port: number, host: string, datasets: Array<{name: string, path: string}>}} serve -
+ *   HTTP API settings, null unless the API server was requested
+ * @property {?{lat: number, lon: number, km: ?number}} near - Reference point and optional radius
+ * @property {?import('./GeoSearch.js').BoundingBox} bbox - Bounding box filter
+ * @property {string} within - GeoJSON file of areas to keep listings inside
+ * @property {Array<string>} areas - Names of the features of `within` to use; empty for all
+ * @property {import('./Amenities.js').AmenityRequirements} amenities - Amenity requirements
+ * @property {number} amenityReport - Number of amenities to report, 0 for none
+ * @property {?import('./RevenueModel.js').RevenueModel} revenueModel - Model for the estimated occupancy
+ *   and revenue columns, null to leave them out
+ * @property {?import('./Pricing.js').PriceOptions} prices - How prices are read and converted, null for
+ *   US dollar prices as written by Inside Airbnb
+ * @property {?import('./Pricing.js').Stay} stay - Nights and guests for the stay_cost columns, null to
+ *   leave them out
+ * @property {?{keys: Array<string>, pivot: boolean, aggregate: (string|Array<string>|Object)}} grouping -
+ *   Group keys and aggregates; with pivot, the row and column keys and one aggregate. Null to
+ *   write listings rather than groups
+ * @property {?{id: string, k: number, weights: Object<string, number>, locationKm: number}} similar -
+ *   Listing to find the most similar listings to among the filtered ones, null for none
+ * @property {?import('./Similarity.js').DuplicateOptions} duplicates - Thresholds to keep only likely
+ *   duplicate listings with, null to keep every listing
+ * @property {import('./Exporter.js').ExportOptions} exportOptions - Format, columns and display
+ *   formatting of the output file
+ * @property {?PresetOptions} preset - Preset store and actions, null when no preset flag was given
+ */
+
+/**
+ * Preset actions of a run
+ * @typedef {Object} PresetOptions
+ * @property {string} path - Preset store file
+ * @property {import('./SearchPresets.js').PresetStore} store - Store contents
+ * @property {string} name - Preset the run was loaded from, empty for none
+ * @property {string} save - Name to save the run's options under, empty for none
+ * @property {boolean} list - List the saved presets instead of running
+ * @property {string} remove - Preset to delete instead of running, empty for none
+ * @property {Object} options - The run's options as preset (config file) keys
+ */
+
+/** @type {RunOptions} */
+const DEFAULT_OPTIONS = {
+  interactive: false,
+  help: false,
+  input: "listings.csv",
+  filters: {
+    price_min: 0,
+    price_max: 0,
+    room_min: 0,
+    room_max: 0,
+    score_min: 0,
+    score_max: 0,
+  },
+  where: null,
+  search: "",
+  order: "",
+  output: "",
+  hosts: 10,
+  hostReport: { rankBy: "listings", commercialOnly: false },
+  strict: false,
+  quality: null,
+  stream: false,
+  compare: "",
+  serve: null,
+  near: null,
+  bbox: null,
+  within: "",
+  areas: [],
+  amenities: {},
+  amenityReport: 0,
+  revenueModel: null,
+  prices: null,
+  stay: null,
+  grouping: null,
+  similar: null,
+  duplicates: null,
+  exportOptions: {},
+  preset: null,
+};
+
+/**
+ * Range flags and the FilterParameters prefix they populate
+ * @type {Object<string, string>}
+ */
+const RANGE_FLAGS = {
+  price: "price",
+  rooms: "room",
+  score: "score",
+};
+
+/**
+ * Usage text printed by --help
+ * @type {string}
+ */
+export const USAGE = `Usage: node src/AirBnBDataProcessor.js [options]
+
+Runs interactively when no options are given.
+
+Options:
+  -i, --input <path>      Listings CSV to read, optionally .gz (default: listings.csv)
+  -c, --config <path>     JSON or YAML file with the same options
+  -o, --output <path>     Write the filtered listings to this file; the extension picks
+                          the format: .csv .tsv .json .ndjson .xlsx .md .html .geojson,
+                          with an optional .gz; other extensions need --format
+      --format <name>     Output format, overriding the extension
+      --columns <list>    Columns to write, in order; rename with "=", e.g.
+                          "id,name,price=Nightly price,review_scores_rating=Rating"
+      --currency <code>   Format prices as currency, in the currency they are loaded in or
+                          converted to; --convert-to changes the currency
+      --date-format <iso|locale>
+                          Write dates as YYYY-MM-DD (default) or the locale's short date
+      --order <keys>      Sort before writing, e.g. "price desc, bedrooms" or
+                          "-review_scores_rating, price_per_bedroom nulls first"
+      --hosts <n>         Number of top hosts to show, 0 for none (default: 10)
+      --host-rank <metric>
+                          Rank hosts by listings (default), calculatedListings, entireHomes,
+                          privateRooms, sharedRooms, superhost, responseRate,
+                          acceptanceRate, rating, reviews, revenue, neighbourhoods or unlicensed
+      --commercial        Only show hosts flagged as likely commercial operators
+      --price <min,max>   Price range; either side may be left empty
+      --price-min <n>     Minimum price
+      --price-max <n>     Maximum price
+      --rooms <min,max>   Bedroom range
+      --room-min <n>      Minimum bedrooms
+      --room-max <n>      Maximum bedrooms
+      --score <min,max>   Review score range
+      --score-min <n>     Minimum review score
+      --score-max <n>     Maximum review score
+      --near <lat,lon[,km]>
+                          Add a distance_km column from this point, and keep
+                          listings within km of it when given
+      --bbox <s,w,n,e>    Keep listings inside a latitude/longitude box
+      --within <file>     Keep listings inside the polygons of a GeoJSON file
+      --area <names>      Comma-separated neighbourhood names from --within
+      --amenities <list>  Require every amenity, e.g. "wifi + washer + parking"
+      --any-amenity <list>
+                          Require at least one of these amenities
+      --no-amenity <list> Exclude listings with any of these amenities
+      --amenity-report <n>
+                          Show the n most common amenities and their price uplift
+      --revenue           Add estimated_bookings, estimated_nights, estimated_occupancy and
+                          estimated_revenue columns that filters, --order and -o can use
+      --revenue-model <params>
+                          Revenue model parameters, implies --revenue, e.g.
+                          "reviewRate=0.4,averageStay=4,maxOccupancy=0.7,capByAvailability=false"
+      --price-locale <locale>
+                          Read prices with this locale's separators, e.g. de-DE for
+                          "1.234,00 €"; without it "." and "," are told apart by position
+      --price-currency <code>
+                          Currency of prices without a symbol or with "$" (default: USD)
+      --convert-to <code> Convert every price to this currency, e.g. EUR, to combine cities
+      --rates <path>      JSON or YAML exchange rates {base, asOf, rates: {EUR: 0.96, ...}}
+                          replacing the built-in table's entries
+      --stay <nights[,guests]>
+                          Add stay_cost and stay_cost_per_guest columns for this stay, null
+                          where minimum_nights, maximum_nights or accommodates rule it out
+  -w, --where <query>     Filter on any column, e.g.
+                          'room_type = "Entire home/apt" and (accommodates >= 4 or bedrooms >= 2)'
+                          Operators: = != > >= < <= ~ =~ in between "is null" "is not null"
+  -s, --search <query>    Full-text search of name, description and neighborhood overview;
+                          every word must match, "quoted phrases" in order, -words must not,
+                          e.g. '"ocean view" -shared'; listings come most relevant first and
+                          get search_score and search_snippet columns
+      --group-by <keys>   Print one row per group instead of listings; -o and --order then
+                          apply to the groups. Keys are columns or bedroom_bucket,
+                          price_band[:width], host_since_year, price_per_bedroom, ...
+                          e.g. "neighbourhood_cleansed,bedroom_bucket"
+      --aggregate <list>  Columns of each group (default: "count, median(price)"): count,
+                          count(col), sum, mean, median, min, max, pNN, percentile(col, n)
+                          and distinct, e.g. "count, median(price), p90(price), distinct(host_id)"
+      --pivot <row,column>
+                          Print a pivot table of one aggregate (default: count), e.g.
+                          --pivot neighbourhood_cleansed,room_type --aggregate "median(price)"
+      --similar-to <id>   Keep the listings most like this one, most similar first, with
+                          similarity and similar_distance_km columns; the other filters pick
+                          the candidates, e.g. --similar-to 43605780 --price ,150
+      --similar-count <n> Number of similar listings (default: 10)
+      --similarity-weights <list>
+                          Weights of location, room_type, bedrooms, accommodates, amenities
+                          and rating, 0 to ignore one (default: "location=3,room_type=2,
+                          bedrooms=2,accommodates=1,amenities=1,rating=1"), e.g. "amenities=3"
+      --duplicates        Keep only likely duplicate or cross-posted listings: the same host
+                          or photo within 150 m, with names 80% alike or the same photo; adds
+                          duplicate_group, duplicate_of and duplicate_reasons columns
+      --compare <path>    Compare the input, as the older scrape, with a newer listings
+                          file: prints new, delisted and changed listings and the median
+                          price change per neighbourhood; filters, --order and -o then
+                          apply to one row per listing with a "change" column
+      --serve             Load the listings and serve them over a local HTTP JSON API
+                          (/listings, /stats, /hosts, /export) instead of running once
+      --port <n>          Port of the API server (default: 8080)
+      --host <address>    Address of the API server (default: 127.0.0.1)
+      --dataset <name=path>
+                          Serve this listings file as /datasets/<name>/...; repeat for
+                          several files (default: the --input file)
+      --stream            Read, filter and write row by row for very large files;
+                          cannot be combined with --order; writes CSV, TSV or NDJSON
+      --strict            Exit with an error if any cell fails schema validation
+      --quality           Check for empty required values, out-of-range values, coordinates
+                          far from the city, duplicate ids and inconsistent bathroom and host
+                          counts after loading, and print a report
+      --fix <actions>     Fix what --quality finds: drop, impute, flag (quality_issues column)
+                          or keep, for every check or per check, e.g.
+                          "duplicate=drop,range=drop,missing=impute,default=flag"; implies --quality
+      --quality-report <path>
+                          Also write the quality report as JSON; implies --quality
+      --preset <name>     Load a saved search: its filters, order, host, revenue, quality and
+                          export options apply under any flags given; prints how many
+                          matches were added and removed since the preset last ran
+      --save-preset <name>
+                          Save this run's filters, order and export options as a preset
+      --list-presets      List the saved presets
+      --delete-preset <name>
+                          Delete a saved preset
+      --presets <path>    Preset store (default: presets.json)
+  -h, --help              Show this help`;
+
+/**
+ * Parses a number supplied on the command line
+ * @param {string} value - Raw flag value
+ * @param {string} name - Flag name, used in the error message
+ * @returns {number} The parsed number
+ * @throws {CliError} If the value is not a finite number
+ */
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (value.trim() === "" || !Number.isFinite(number)) {
+    throw new CliError(`--${name} expects a number, got "${value}"`, EXIT_CODES.USAGE);
+  }
+  return number;
+};
+
+/**
+ * Parses a "min,max" range where either bound may be omitted
+ * @param {string} value - Raw range such as "50,200", "50," or ",200"
+ * @param {string} name - Flag name, used in the error message
+ * @returns {Array<number>} Tuple of [min, max]; an open max is Infinity
+ * @throws {CliError} If the range is malformed
+ * @example
+ * parseRange('50,', 'price'); // returns [50, Infinity]
+ */
+export const parseRange = (value, name) => {
+  const parts = String(value).split(",");
+  if (parts.length !== 2) {
+    throw new CliError(`--${name} expects "min,max", got "${value}"`, EXIT_CODES.USAGE);
+  }
+  const [min, max] = parts.map(part => part.trim());
+  return [
+    min ? parseNumber(min, name) : 0,
+    max ? parseNumber(max, name) : Infinity,
+  ];
+};
+
+/**
+ * Builds FilterParameters from range and bound flags.
+ * A bound given without its counterpart leaves the other side open.
+ * @param {Object} values - Values returned by parseArgs
+ * @returns {Object} Partial FilterParameters for the supplied flags
+ */
+const filtersFromFlags = values => Object.entries(RANGE_FLAGS).reduce((filters, [flag, prefix]) => {
+  const minFlag = `${prefix}-min`;
+  const maxFlag = `${prefix}-max`;
+  if (values[flag] === undefined && values[minFlag] === undefined && values[maxFlag] === undefined) {
+    return filters;
+  }
+  const [min, max] = values[flag] !== undefined ? parseRange(values[flag], flag) : [0, Infinity];
+  return {
+    ...filters,
+    [`${prefix}_min`]: values[minFlag] !== undefined ? parseNumber(values[minFlag], minFlag) : min,
+    [`${prefix}_max`]: values[maxFlag] !== undefined ? parseNumber(values[maxFlag], maxFlag) : max,
+  };
+}, {});
+
+/**
+ * Parses a comma-separated list of numbers
+ * @param {string|Array<number>} value - Raw list, or an array from a config file
+ * @param {string} name - Flag name, used in the error message
+ * @param {Array<number>} counts - Accepted list lengths
+ * @returns {Array<number>} Parsed numbers
+ * @throws {CliError} If the list has the wrong length or a bad number
+ */
+const parseNumberList = (value, name, counts) => {
+  const parts = Array.isArray(value) ? value.map(String) : String(value).split(",");
+  if (!counts.includes(parts.length)) {
+    throw new CliError(`--${name} expects ${counts.join(" or ")} comma-separated numbers, got "${value}"`, EXIT_CODES.USAGE);
+  }
+  return parts.map(part => parseNumber(part, name));
+};
+
+/**
+ * Checks that coordinates are in range
+ * @param {string} name - Flag name, used in the error message
+ * @param {...import('./GeoSearch.js').GeoPoint} points - Points to check
+ * @throws {CliError} If a latitude or longitude is out of range
+ */
+const checkPoints = (name, ...points) => {
+  try {
+    points.forEach(checkPoint);
+  } catch (error) {
+    if (error instanceof GeoError) {
+      throw new CliError(`--${name}: ${error.message}`, EXIT_CODES.USAGE);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Parses --near "lat,lon[,km]"
+ * @param {string|undefined} value - Raw flag or config value
+ * @returns {?{lat: number, lon: number, km: ?number}} Point and radius, null when absent
+ */
+const parseNear = value => {
+  if (value === undefined || value === null || value === "") return null;
+  const [lat, lon, km = null] = parseNumberList(value, "near", [2, 3]);
+  checkPoints("near", { lat, lon });
+  if (km !== null && km < 0) {
+    throw new CliError("--near radius must not be negative", EXIT_CODES.USAGE);
+  }
+  return { lat, lon, km };
+};
+
+/**
+ * Parses --bbox "south,west,north,east"
+ * @param {string|undefined} value - Raw flag or config value
+ * @returns {?import('./GeoSearch.js').BoundingBox} Box, null when absent
+ */
+const parseBbox = value => {
+  if (value === undefined || value === null || value === "") return null;
+  const [minLat, minLon, maxLat, maxLon] = parseNumberList(value, "bbox", [4]);
+  checkPoints("bbox", { lat: minLat, lon: minLon }, { lat: maxLat, lon: maxLon });
+  return { minLat, minLon, maxLat, maxLon };
+};
+
+/**
+ * Top-level keys a config file may hold
+ * @type {Array<string>}
+ */
+const CONFIG_KEYS = [
+  "input", "output", "order", "hosts", "filters", "where", "strict", "stream", "near", "bbox", "within", "area",
+  "amenities", "amenityReport", "format", "columns", "currency", "dateFormat", "hostRank", "commercial", "compare",
+  "serve", "revenue", "quality", "preset", "presets", "search", "groupBy", "pivot", "aggregate", "prices", "stay",
+  "similar", "duplicates",
+];
+
+/**
+ * Reads a JSON or YAML config file, chosen by extension
+ * @async
+ * @param {string} configPath - Path to the config file
+ * @returns {Promise<Object>} Parsed config object
+ * @throws {CliError} If the file is missing, unparseable, not an object or has unknown keys
+ */
+export const loadConfigFile = async configPath => {
+  let content;
+  try {
+    content = await readFile(configPath, "utf-8");
+  } catch (error) {
+    throw new CliError(`Cannot read config file ${configPath}: ${error.message}`, EXIT_CODES.NO_INPUT);
+  }
+
+  let config;
+  try {
+    config = extname(configPath).toLowerCase() === ".json"
+      ? JSON.parse(content)
+      : YAML.parse(content);
+  } catch (error) {
+    throw new CliError(`Invalid config file ${configPath}: ${error.message}`, EXIT_CODES.CONFIG);
+  }
+
+  if (config === null || typeof config !== "object" || Array.isArray(config)) {
+    throw new CliError(`Config file ${configPath} must contain an object`, EXIT_CODES.CONFIG);
+  }
+  const unknown = Object.keys(config).filter(key => !CONFIG_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new CliError(`Unknown option ${unknown.map(key => `"${key}"`).join(", ")} in config file ${configPath}; ` +
+      `expected ${CONFIG_KEYS.join(", ")}`, EXIT_CODES.CONFIG);
+  }
+  return config;
+};
+
+/**
+ * Normalizes the filters section of a config file.
+ * Max bounds may be null to leave them open.
+ * @param {Object} [filters={}] - Filters from the config file
+ * @returns {Object} Partial FilterParameters
+ * @throws {CliError} If a bound is not a number
+ */
+const filtersFromConfig = (filters = {}) => Object.entries(filters).reduce((acc, [key, value]) => {
+  if (!(key in DEFAULT_OPTIONS.filters)) {
+    throw new CliError(`Unknown filter "${key}" in config file`, EXIT_CODES.CONFIG);
+  }
+  if (value === null && key.endsWith("_max")) {
+    return { ...acc, [key]: Infinity };
+  }
+  if (typeof value !== "number" || Number.isNaN(value)) {
+    throw new CliError(`Filter "${key}" must be a number`, EXIT_CODES.CONFIG);
+  }
+  return { ...acc, [key]: value };
+}, {});
+
+/**
+ * Parses the --where query or the config's where entry.
+ * The config may hold a query string or an expression object.
+ * @param {string|Object|undefined} where - Query or expression
+ * @param {number} exitCode - Exit code used when it is invalid
+ * @returns {?import('./FilterExpression.js').FilterExpr} Parsed expression, null when absent
+ * @throws {CliError} If the query is malformed
+ */
+const parseWhere = (where, exitCode) => {
+  if (where === undefined || where === null || where === "") return null;
+  try {
+    return typeof where === "string" ? parseFilterQuery(where) : toFilterExpression(where);
+  } catch (error) {
+    if (error instanceof FilterError) {
+      throw new CliError(`Invalid filter query: ${error.message}`, exitCode);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Checks the number of top hosts to show
+ * @param {*} hosts - Number from a flag or the config
+ * @param {number} exitCode - Exit code used when it is invalid
+ * @returns {number} The number, unchanged; 0 skips the host report
+ * @throws {CliError} If it is not a whole number from 0
+ */
+const checkHosts = (hosts, exitCode) => {
+  if (!Number.isInteger(hosts) || hosts < 0) {
+    throw new CliError(`Number of hosts must be a whole number, 0 for none, got ${hosts}`, exitCode);
+  }
+  return hosts;
+};
+
+/**
+ * Checks that a sort specification parses
+ * @param {string} order - Sort specification
+ * @param {number} exitCode - Exit code used when it is invalid
+ * @returns {string} The specification, unchanged
+ * @throws {CliError} If it is malformed
+ */
+const checkOrder = (order, exitCode) => {
+  if (!order) return order;
+  try {
+    parseSortSpec(order);
+    return order;
+  } catch (error) {
+    if (error instanceof SortError) {
+      throw new CliError(`Invalid sort order: ${error.message}`, exitCode);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Checks that a full-text query parses
+ * @param {string} search - Query
+ * @param {number} exitCode - Exit code used when it is invalid
+ * @returns {string} The query, unchanged
+ * @throws {CliError} If it has no words or an unclosed quote
+ */
+const checkSearch = (search, exitCode) => {
+  if (!search) return search;
+  try {
+    parseTextQuery(search);
+    return String(search);
+  } catch (error) {
+    if (error instanceof TextSearchError) throw new CliError(error.message, exitCode);
+    throw error;
+  }
+};
+
+/**
+ * Checks a host ranking metric
+ * @param {string} rankBy - Metric name
+ * @param {number} exitCode - Exit code used when it is unknown
+ * @returns {string} Canonical metric name
+ * @throws {CliError} If the metric is unknown
+ */
+const checkHostMetric = (rankBy, exitCode) => {
+  try {
+    return hostMetric(rankBy);
+  } catch (error) {
+    if (error instanceof HostAnalyticsError) throw new CliError(error.message, exitCode);
+    throw error;
+  }
+};
+
+/**
+ * Resolves the API server settings from flags and the config's serve section
+ * @param {Object} values - Parsed flags
+ * @param {Object} config - Config file contents
+ * @param {string} input - Resolved input file, served when no dataset is named
+ * @returns {?{port: number, host: string, datasets: Array<{name: string, path: string}>}} Settings,
+ *   null when the server was not requested
+ * @throws {CliError} If the port or a dataset is invalid
+ */
+const serveFromOptions = (values, config, input) => {
+  const section = config.serve === true ? {} : config.serve;
+  if (!values.serve && !section) return null;
+  const port = values.port !== undefined ? parseNumber(values.port, "port") : section?.port ?? 8080;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new CliError(`--port must be an integer from 0 to 65535, got ${port}`, EXIT_CODES.USAGE);
+  }
+  const specs = values.dataset ??
+    Object.entries(section?.datasets ?? {}).map(([name, path]) => `${name}=${path}`);
+  const datasets = specs.map(spec => {
+    const separator = spec.indexOf("=");
+    const name = separator > 0 ? spec.slice(0, separator).trim() : datasetName(spec);
+    const path = separator > 0 ? spec.slice(separator + 1).trim() : spec.trim();
+    if (!/^[\w.-]+$/.test(name) || path === "") {
+      throw new CliError(`--dataset expects name=path with a name of letters, digits, ".", "_" or "-", got "${spec}"`, EXIT_CODES.USAGE);
+    }
+    return { name, path };
+  });
+  if (new Set(datasets.map(({ name }) => name)).size !== datasets.length) {
+    throw new CliError("Dataset names must be unique", EXIT_CODES.USAGE);
+  }
+  return {
+    port,
+    host: values.host ?? section?.host ?? "127.0.0.1",
+    datasets: datasets.length > 0 ? datasets : [{ name: datasetName(input), path: input }],
+  };
+};
+
+/**
+ * Resolves the revenue model from --revenue, --revenue-model or the config's revenue entries
+ * @param {Object} values - Parsed flags
+ * @param {Object} config - Config file contents; revenue may be true or a parameters object
+ * @returns {?import('./RevenueModel.js').RevenueModel} Model, null when no estimates were asked for
+ * @throws {CliError} If a parameter is invalid
+ */
+const revenueFromOptions = (values, config) => {
+  try {
+    if (values["revenue-model"] !== undefined) return parseRevenueModel(values["revenue-model"]);
+    if (values.revenue === false) return null;
+    if (config.revenue && typeof config.revenue === "object") return resolveRevenueModel(config.revenue);
+    return values.revenue || config.revenue ? resolveRevenueModel() : null;
+  } catch (error) {
+    if (error instanceof RevenueModelError) {
+      throw new CliError(error.message, values["revenue-model"] !== undefined ? EXIT_CODES.USAGE : EXIT_CODES.CONFIG);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Keys accepted in the config's prices section
+ * @type {Array<string>}
+ */
+const PRICE_KEYS = ["locale", "currency", "convertTo", "rates"];
+
+/**
+ * Resolves how prices are read from --price-locale, --price-currency, --convert-to and
+ * --rates or the config's prices section, whose rates may be a path or a table
+ * @async
+ * @param {Object} values - Parsed flags
+ * @param {Object} config - Config file contents
+ * @returns {Promise<?import('./Pricing.js').PriceOptions>} Options, null when none were given
+ * @throws {CliError} If a key, locale, currency or the rate table is invalid
+ */
+const pricesFromOptions = async (values, config) => {
+  const section = config.prices ?? {};
+  if (section === null || typeof section !== "object" || Array.isArray(section)) {
+    throw new CliError("prices must be an object in the config file", EXIT_CODES.CONFIG);
+  }
+  const unknown = Object.keys(section).filter(key => !PRICE_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new CliError(`Unknown prices option ${unknown.map(key => `"${key}"`).join(", ")}; ` +
+      `expected ${PRICE_KEYS.join(", ")}`, EXIT_CODES.CONFIG);
+  }
+  const flags = {
+    locale: values["price-locale"],
+    currency: values["price-currency"],
+    convertTo: values["convert-to"],
+    rates: values.rates,
+  };
+  const merged = Object.fromEntries(PRICE_KEYS
+    .map(key => [key, flags[key] ?? section[key]])
+    .filter(([, value]) => value !== undefined && value !== null && value !== ""));
+  if (Object.keys(merged).length === 0) {
+    return null;
+  }
+  const flagGiven = Object.values(flags).some(value => value !== undefined);
+  try {
+    const rates = typeof merged.rates === "string" ? await loadRates(merged.rates) : resolveRates(merged.rates);
+    const prices = { ...merged, rates };
+    createPriceType(prices);
+    return prices;
+  } catch (error) {
+    if (error instanceof PricingError) throw new CliError(error.message, flagGiven ? EXIT_CODES.USAGE : EXIT_CODES.CONFIG);
+    throw error;
+  }
+};
+
+/**
+ * Resolves the stay from --stay or the config's stay entry
+ * @param {Object} values - Parsed flags
+ * @param {Object} config - Config file contents; stay may be "nights,guests" or {nights, guests}
+ * @returns {?import('./Pricing.js').Stay} Stay, null when none was given
+ * @throws {CliError} If nights or guests is invalid
+ */
+const stayFromOptions = (values, config) => {
+  const stay = values.stay ?? config.stay;
+  if (stay === undefined || stay === null || stay === "") {
+    return null;
+  }
+  try {
+    return typeof stay === "object" ? checkStay(stay) : parseStay(stay);
+  } catch (error) {
+    if (error instanceof PricingError) throw new CliError(error.message, values.stay !== undefined ? EXIT_CODES.USAGE : EXIT_CODES.CONFIG);
+    throw error;
+  }
+};
+
+/**
+ * Keys accepted in the config's quality section
+ * @type {Array<string>}
+ */
+const QUALITY_KEYS = ["fixes", "report", "required", "ranges", "bounds", "maxDistanceKm", "groupBy"];
+
+/**
+ * Resolves the quality checks from --quality, --fix, --quality-report or the config's quality entry
+ * @param {Object} values - Parsed flags
+ * @param {Object} config - Config file contents; quality may be true or an object of QUALITY_KEYS
+ * @returns {?(import('./DataQuality.js').QualityOptions & {report: string})} Options, null when no
+ *   checks were asked for; without fixes the data is reported on but kept as loaded
+ * @throws {CliError} If a fix, key or value is invalid
+ */
+const qualityFromOptions = (values, config) => {
+  const section = config.quality === true ? {} : config.quality || null;
+  if (!values.quality && values.fix === undefined && values["quality-report"] === undefined && !section) {
+    return null;
+  }
+  if (section !== null && (typeof section !== "object" || Array.isArray(section))) {
+    throw new CliError("quality must be true or an object in the config file", EXIT_CODES.CONFIG);
+  }
+  const unknown = Object.keys(section ?? {}).filter(key => !QUALITY_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new CliError(`Unknown quality option ${unknown.map(key => `"${key}"`).join(", ")}; ` +
+      `expected ${QUALITY_KEYS.join(", ")}`, EXIT_CODES.CONFIG);
+  }
+  const { fixes, report, bounds, maxDistanceKm, ...rest } = section ?? {};
+  if (maxDistanceKm !== undefined && (typeof maxDistanceKm !== "number" || !(maxDistanceKm > 0))) {
+    throw new CliError(`quality.maxDistanceKm must be a positive number, got ${maxDistanceKm}`, EXIT_CODES.CONFIG);
+  }
+  try {
+    return {
+      ...rest,
+      ...(maxDistanceKm !== undefined ? { maxDistanceKm } : {}),
+      bounds: parseBbox(bounds),
+      fixes: values.fix !== undefined ? parseFixes(values.fix) : resolveFixes(fixes ?? "keep"),
+      report: values["quality-report"] ?? report ?? "",
+    };
+  } catch (error) {
+    if (error instanceof QualityError) {
+      throw new CliError(error.message, values.fix !== undefined ? EXIT_CODES.USAGE : EXIT_CODES.CONFIG);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Aggregates of --group-by when none are given
+ * @type {string}
+ */
+const DEFAULT_AGGREGATES = "count, median(price)";
+
+/**
+ * Resolves the grouping from --group-by, --pivot and --aggregate or the config's groupBy,
+ * pivot and aggregate entries. Keys given as flags replace both config keys.
+ * @param {Object} values - Parsed flags
+ * @param {Object} config - Config file contents; groupBy and pivot are lists or comma-separated strings
+ * @returns {?{keys: Array<string>, pivot: boolean, aggregate: (string|Array<string>|Object)}} Grouping,
+ *   null when neither group keys nor a pivot were given
+ * @throws {CliError} If both or neither are given with --aggregate, or a key or aggregate is invalid
+ */
+const groupingFromOptions = (values, config) => {
+  const fromFlags = values["group-by"] !== undefined || values.pivot !== undefined;
+  const { groupBy, pivot } = fromFlags ? { groupBy: values["group-by"], pivot: values.pivot } : config;
+  const exitCode = fromFlags ? EXIT_CODES.USAGE : EXIT_CODES.CONFIG;
+  const aggregateExitCode = values.aggregate !== undefined ? EXIT_CODES.USAGE : EXIT_CODES.CONFIG;
+  const aggregate = values.aggregate ?? config.aggregate;
+  if (!groupBy && !pivot) {
+    if (values.aggregate !== undefined) {
+      throw new CliError("--aggregate needs --group-by or --pivot", EXIT_CODES.USAGE);
+    }
+    return null;
+  }
+  if (groupBy && pivot) {
+    throw new CliError("--group-by and --pivot cannot be used together", exitCode);
+  }
+  const keys = [groupBy || pivot].flat()
+    .flatMap(key => String(key).split(","))
+    .map(key => key.trim())
+    .filter(Boolean);
+  if (pivot && keys.length !== 2) {
+    throw new CliError(`--pivot needs a row and a column key, e.g. "neighbourhood_cleansed,room_type", got "${pivot}"`, exitCode);
+  }
+  try {
+    keys.forEach(key => resolveGroupKey(key));
+  } catch (error) {
+    if (error instanceof GroupError) throw new CliError(error.message, exitCode);
+    throw error;
+  }
+  try {
+    const aggregates = parseAggregates(aggregate ?? (pivot ? "count" : DEFAULT_AGGREGATES));
+    if (pivot && aggregates.length !== 1) {
+      throw new CliError(`--pivot shows one aggregate, got ${aggregates.length}`, aggregateExitCode);
+    }
+  } catch (error) {
+    if (error instanceof GroupError) throw new CliError(error.message, aggregateExitCode);
+    throw error;
+  }
+  return { keys, pivot: Boolean(pivot), aggregate: aggregate ?? (pivot ? "count" : DEFAULT_AGGREGATES) };
+};
+
+/**
+ * Keys accepted in the config's similar section
+ * @type {Array<string>}
+ */
+const SIMILAR_KEYS = ["id", "k", "weights", "locationKm"];
+
+/**
+ * Resolves the similarity search from --similar-to, --similar-count and --similarity-weights
+ * or the config's similar section
+ * @param {Object} values - Parsed flags
+ * @param {Object} config - Config file contents; similar is an object of SIMILAR_KEYS
+ * @returns {?{id: string, k: number, weights: Object<string, number>, locationKm: number}} Search,
+ *   null when no listing was given
+ * @throws {CliError} If a key, the count or a weight is invalid
+ */
+const similarFromOptions = (values, config) => {
+  const section = config.similar ?? {};
+  if (section === null || typeof section !== "object" || Array.isArray(section)) {
+    throw new CliError("similar must be an object in the config file", EXIT_CODES.CONFIG);
+  }
+  const unknown = Object.keys(section).filter(key => !SIMILAR_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new CliError(`Unknown similar option ${unknown.map(key => `"${key}"`).join(", ")}; ` +
+      `expected ${SIMILAR_KEYS.join(", ")}`, EXIT_CODES.CONFIG);
+  }
+  const id = values["similar-to"] ?? section.id;
+  if (id === undefined || id === null || id === "") {
+    if (values["similar-count"] !== undefined || values["similarity-weights"] !== undefined) {
+      throw new CliError("--similar-count and --similarity-weights need --similar-to", EXIT_CODES.USAGE);
+    }
+    return null;
+  }
+  const k = values["similar-count"] !== undefined ? parseNumber(values["similar-count"], "similar-count") : section.k ?? 10;
+  if (!Number.isInteger(k) || k < 1) {
+    throw new CliError(`Number of similar listings must be a positive integer, got ${k}`,
+      values["similar-count"] !== undefined ? EXIT_CODES.USAGE : EXIT_CODES.CONFIG);
+  }
+  const locationKm = section.locationKm ?? 2;
+  if (typeof locationKm !== "number" || !(locationKm > 0)) {
+    throw new CliError(`similar.locationKm must be a positive number, got ${locationKm}`, EXIT_CODES.CONFIG);
+  }
+  try {
+    return { id: String(id), k, weights: resolveWeights(values["similarity-weights"] ?? section.weights), locationKm };
+  } catch (error) {
+    if (error instanceof SimilarityError) {
+      throw new CliError(error.message, values["similarity-weights"] !== undefined ? EXIT_CODES.USAGE : EXIT_CODES.CONFIG);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Resolves duplicate detection from --duplicates or the config's duplicates entry
+ * @param {Object} values - Parsed flags
+ * @param {Object} config - Config file contents; duplicates may be true or {maxMeters, minNameSimilarity}
+ * @returns {?import('./Similarity.js').DuplicateOptions} Thresholds, null when not asked for
+ * @throws {CliError} If a key or threshold is invalid
+ */
+const duplicatesFromOptions = (values, config) => {
+  const section = config.duplicates === true ? {} : config.duplicates || null;
+  if (!values.duplicates && !section) {
+    return null;
+  }
+  if (section !== null && (typeof section !== "object" || Array.isArray(section))) {
+    throw new CliError("duplicates must be true or an object in the config file", EXIT_CODES.CONFIG);
+  }
+  const unknown = Object.keys(section ?? {}).filter(key => !Object.hasOwn(DEFAULT_DUPLICATE_OPTIONS, key));
+  if (unknown.length > 0) {
+    throw new CliError(`Unknown duplicates option ${unknown.map(key => `"${key}"`).join(", ")}; ` +
+      `expected ${Object.keys(DEFAULT_DUPLICATE_OPTIONS).join(", ")}`, EXIT_CODES.CONFIG);
+  }
+  const duplicates = { ...DEFAULT_DUPLICATE_OPTIONS, ...section };
+  try {
+    findDuplicates([], duplicates);
+    return duplicates;
+  } catch (error) {
+    if (error instanceof SimilarityError) throw new CliError(error.message, EXIT_CODES.CONFIG);
+    throw error;
+  }
+};
+
+/**
+ * Collects a run's options as preset keys: the config's, overridden by the flags given
+ * @param {Object} values - Parsed flags
+ * @param {Object} config - Config file contents, including a loaded preset
+ * @returns {Object} Config file keys, see PRESET_KEYS
+ */
+const presetFromOptions = (values, config) => {
+  const flagFilters = filtersFromFlags(values);
+  const flagAmenities = Object.fromEntries(Object.entries({
+    all: values.amenities, any: values["any-amenity"], none: values["no-amenity"],
+  }).filter(([, list]) => list !== undefined));
+  const flagQuality = values.fix !== undefined || values["quality-report"] !== undefined
+    ? {
+      ...(typeof config.quality === "object" ? config.quality : {}),
+      ...(values.fix !== undefined ? { fixes: parseFixes(values.fix) } : {}),
+      ...(values["quality-report"] !== undefined ? { report: values["quality-report"] } : {}),
+    }
+    : values.quality || undefined;
+  const flagSimilar = Object.fromEntries(Object.entries({
+    id: values["similar-to"],
+    k: values["similar-count"] !== undefined ? parseNumber(values["similar-count"], "similar-count") : undefined,
+    weights: values["similarity-weights"],
+  }).filter(([, value]) => value !== undefined));
+  const flagPrices = Object.fromEntries(Object.entries({
+    locale: values["price-locale"], currency: values["price-currency"], convertTo: values["convert-to"], rates: values.rates,
+  }).filter(([, value]) => value !== undefined));
+  const flags = {
+    filters: Object.keys(flagFilters).length > 0 ? { ...config.filters, ...flagFilters } : undefined,
+    where: values.where,
+    search: values.search,
+    order: values.order,
+    hosts: values.hosts !== undefined ? checkHosts(parseNumber(values.hosts, "hosts"), EXIT_CODES.USAGE) : undefined,
+    hostRank: values["host-rank"],
+    commercial: values.commercial,
+    near: values.near,
+    bbox: values.bbox,
+    within: values.within,
+    area: values.area,
+    amenities: Object.keys(flagAmenities).length > 0 ? { ...config.amenities, ...flagAmenities } : undefined,
+    amenityReport: values["amenity-report"] !== undefined ? parseNumber(values["amenity-report"], "amenity-report") : undefined,
+    revenue: values["revenue-model"] !== undefined ? parseRevenueModel(values["revenue-model"]) : values.revenue,
+    quality: flagQuality,
+    prices: Object.keys(flagPrices).length > 0 ? { ...config.prices, ...flagPrices } : undefined,
+    stay: values.stay,
+    groupBy: values["group-by"],
+    pivot: values.pivot,
+    aggregate: values.aggregate,
+    similar: Object.keys(flagSimilar).length > 0 ? { ...config.similar, ...flagSimilar } : undefined,
+    duplicates: values.duplicates,
+    format: values.format,
+    columns: values.columns,
+    currency: values.currency,
+    dateFormat: values["date-format"],
+  };
+  return Object.fromEntries(PRESET_KEYS
+    .map(key => [key, flags[key] !== undefined ? flags[key] : config[key]])
+    .filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Loads the preset store when a preset flag is given, and the named preset
+ * @param {Object} values - Parsed flags
+ * @param {Object} config - Config file contents
+ * @returns {Promise<?{path: string, store: Object, loaded: Object}>} Store and the loaded preset's
+ *   options, empty without --preset; null when no preset flag was given
+ * @throws {CliError} If the store is unreadable or a preset unknown
+ */
+const presetStoreFromOptions = async (values, config) => {
+  const path = values.presets ?? config.presets ?? DEFAULT_PRESET_STORE;
+  const wanted = values.preset ?? config.preset;
+  if (!wanted && !values["save-preset"] && !values["list-presets"] && !values["delete-preset"]) {
+    return null;
+  }
+  let store;
+  try {
+    store = await loadPresetStore(path);
+  } catch (error) {
+    if (error instanceof PresetError) throw new CliError(error.message, EXIT_CODES.CONFIG);
+    throw error;
+  }
+  try {
+    [values["save-preset"], values["delete-preset"]].filter(Boolean).forEach(checkPresetName);
+    if (values["delete-preset"]) getPreset(store, values["delete-preset"]);
+    return { path, store, loaded: wanted ? getPreset(store, wanted).options : {} };
+  } catch (error) {
+    if (error instanceof PresetError) {
+      throw new CliError(error.message, values.preset || values["save-preset"] || values["delete-preset"] ? EXIT_CODES.USAGE : EXIT_CODES.CONFIG);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Checks and collects the export options from flags and config
+ * @param {Object} values - Parsed flags
+ * @param {Object} config - Config file contents
+ * @param {?import('./Pricing.js').PriceOptions} prices - How prices are read; prices in or converted
+ *   to a currency other than USD are written in that currency
+ * @returns {import('./Exporter.js').ExportOptions} Export options, without unset entries
+ * @throws {CliError} If the format, currency or date format is unknown, or the currency is not
+ *   the one prices are in, since --currency only formats amounts
+ */
+const exportFromOptions = (values, config, prices) => {
+  const priceCurrency = prices?.convertTo ?? prices?.currency ?? "USD";
+  const exitCode = name => (values[name] !== undefined ? EXIT_CODES.USAGE : EXIT_CODES.CONFIG);
+  const exportOptions = Object.fromEntries(Object.entries({
+    format: values.format ?? config.format,
+    columns: values.columns ?? config.columns,
+    currency: values.currency ?? config.currency ?? (priceCurrency !== "USD" ? priceCurrency : undefined),
+    dateFormat: values["date-format"] ?? config.dateFormat,
+  }).filter(([, value]) => value !== undefined && value !== null && value !== ""));
+
+  if (exportOptions.format) {
+    try {
+      exportOptions.format = detectFormat("", exportOptions.format);
+    } catch (error) {
+      if (error instanceof ExportError) throw new CliError(error.message, exitCode("format"));
+      throw error;
+    }
+  }
+  if (exportOptions.currency) {
+    try {
+      new Intl.NumberFormat("en-US", { style: "currency", currency: exportOptions.currency });
+    } catch {
+      throw new CliError(`Unknown currency code "${exportOptions.currency}"`, exitCode("currency"));
+    }
+    if (exportOptions.currency !== priceCurrency) {
+      throw new CliError(`--currency ${exportOptions.currency} would label ${priceCurrency} prices without converting them; ` +
+        `use --convert-to ${exportOptions.currency}`, exitCode("currency"));
+    }
+  }
+  if (exportOptions.dateFormat && !["iso", "locale"].includes(exportOptions.dateFormat)) {
+    throw new CliError(`Date format must be "iso" or "locale", got "${exportOptions.dateFormat}"`, exitCode("date-format"));
+  }
+  return exportOptions;
+};
+
+/**
+ * Resolves the options for a run from command-line arguments.
+ * Precedence is defaults, then the config file, then explicit flags.
+ * @async
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Promise<RunOptions>} Resolved run options
+ * @throws {CliError} On unknown flags, bad values or an unreadable config
+ * @example
+ * await resolveCliOptions(['-i', 'listings.csv', '--price', '50,200', '-o', 'out.csv']);
+ */
+export const resolveCliOptions = async argv => {
+  if (argv.length === 0) {
+    return { ...DEFAULT_OPTIONS, interactive: true };
+  }
+
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      strict: true,
+      allowPositionals: false,
+      options: {
+        input: { type: "string", short: "i" },
+        config: { type: "string", short: "c" },
+        output: { type: "string", short: "o" },
+        order: { type: "string" },
+        hosts: { type: "string" },
+        price: { type: "string" },
+        "price-min": { type: "string" },
+        "price-max": { type: "string" },
+        rooms: { type: "string" },
+        "room-min": { type: "string" },
+        "room-max": { type: "string" },
+        score: { type: "string" },
+        "score-min": { type: "string" },
+        "score-max": { type: "string" },
+        where: { type: "string", short: "w" },
+        search: { type: "string", short: "s" },
+        near: { type: "string" },
+        bbox: { type: "string" },
+        within: { type: "string" },
+        area: { type: "string" },
+        amenities: { type: "string" },
+        "any-amenity": { type: "string" },
+        "no-amenity": { type: "string" },
+        "amenity-report": { type: "string" },
+        format: { type: "string" },
+        columns: { type: "string" },
+        currency: { type: "string" },
+        "date-format": { type: "string" },
+        "host-rank": { type: "string" },
+        revenue: { type: "boolean" },
+        "revenue-model": { type: "string" },
+        commercial: { type: "boolean" },
+        strict: { type: "boolean" },
+        quality: { type: "boolean" },
+        fix: { type: "string" },
+        "quality-report": { type: "string" },
+        "group-by": { type: "string" },
+        "price-locale": { type: "string" },
+        "price-currency": { type: "string" },
+        "convert-to": { type: "string" },
+        rates: { type: "string" },
+        stay: { type: "string" },
+        aggregate: { type: "string" },
+        pivot: { type: "string" },
+        "similar-to": { type: "string" },
+        "similar-count": { type: "string" },
+        "similarity-weights": { type: "string" },
+        duplicates: { type: "boolean" },
+        stream: { type: "boolean" },
+        compare: { type: "string" },
+        serve: { type: "boolean" },
+        port: { type: "string" },
+        host: { type: "string" },
+        dataset: { type: "string", multiple: true },
+        preset: { type: "string" },
+        "save-preset": { type: "string" },
+        "list-presets": { type: "boolean" },
+        "delete-preset": { type: "string" },
+        presets: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    }));
+  } catch (error) {
+    throw new CliError(error.message, EXIT_CODES.USAGE);
+  }
+
+  if (values.help) {
+    return { ...DEFAULT_OPTIONS, help: true };
+  }
+
+  const fileConfig = values.config ? await loadConfigFile(values.config) : {};
+  const presets = await presetStoreFromOptions(values, fileConfig);
+  const config = { ...fileConfig, ...presets?.loaded };
+  const hosts = values.hosts !== undefined
+    ? checkHosts(parseNumber(values.hosts, "hosts"), EXIT_CODES.USAGE)
+    : config.hosts !== undefined ? checkHosts(config.hosts, EXIT_CODES.CONFIG) : undefined;
+  const prices = await pricesFromOptions(values, config);
+
+  const options = {
+    ...DEFAULT_OPTIONS,
+    input: values.input ?? config.input ?? DEFAULT_OPTIONS.input,
+    output: values.output ?? config.output ?? DEFAULT_OPTIONS.output,
+    where: values.where !== undefined
+      ? parseWhere(values.where, EXIT_CODES.USAGE)
+      : parseWhere(config.where, EXIT_CODES.CONFIG),
+    search: checkSearch(values.search ?? config.search ?? DEFAULT_OPTIONS.search, values.search !== undefined ? EXIT_CODES.USAGE : EXIT_CODES.CONFIG),
+    order: values.order !== undefined
+      ? checkOrder(values.order, EXIT_CODES.USAGE)
+      : checkOrder(config.order ?? DEFAULT_OPTIONS.order, EXIT_CODES.CONFIG),
+    hosts: hosts ?? DEFAULT_OPTIONS.hosts,
+    hostReport: {
+      rankBy: values["host-rank"] !== undefined
+        ? checkHostMetric(values["host-rank"], EXIT_CODES.USAGE)
+        : checkHostMetric(config.hostRank ?? DEFAULT_OPTIONS.hostReport.rankBy, EXIT_CODES.CONFIG),
+      commercialOnly: values.commercial ?? config.commercial ?? DEFAULT_OPTIONS.hostReport.commercialOnly,
+    },
+    strict: values.strict ?? config.strict ?? DEFAULT_OPTIONS.strict,
+    quality: qualityFromOptions(values, config),
+    stream: values.stream ?? config.stream ?? DEFAULT_OPTIONS.stream,
+    compare: values.compare ?? config.compare ?? DEFAULT_OPTIONS.compare,
+    serve: serveFromOptions(values, config, values.input ?? config.input ?? DEFAULT_OPTIONS.input),
+    near: parseNear(values.near ?? config.near),
+    bbox: parseBbox(values.bbox ?? config.bbox),
+    within: values.within ?? config.within ?? DEFAULT_OPTIONS.within,
+    amenities: Object.fromEntries(Object.entries({
+      all: values.amenities ?? config.amenities?.all,
+      any: values["any-amenity"] ?? config.amenities?.any,
+      none: values["no-amenity"] ?? config.amenities?.none,
+    }).filter(([, list]) => list !== undefined)),
+    amenityReport: values["amenity-report"] !== undefined
+      ? parseNumber(values["amenity-report"], "amenity-report")
+      : config.amenityReport ?? DEFAULT_OPTIONS.amenityReport,
+    areas: [values.area ?? config.area ?? []].flat()
+      .flatMap(area => String(area).split(","))
+      .map(area => area.trim())
+      .filter(Boolean),
+    revenueModel: revenueFromOptions(values, config),
+    grouping: groupingFromOptions(values, config),
+    similar: similarFromOptions(values, config),
+    duplicates: duplicatesFromOptions(values, config),
+    prices,
+    stay: stayFromOptions(values, config),
+    exportOptions: exportFromOptions(values, config, prices),
+    filters: {
+      ...DEFAULT_OPTIONS.filters,
+      ...filtersFromConfig(config.filters),
+      ...filtersFromFlags(values),
+    },
+    preset: presets && {
+      path: presets.path,
+      store: presets.store,
+      name: values.preset ?? config.preset ?? "",
+      save: values["save-preset"] ?? "",
+      list: values["list-presets"] ?? false,
+      remove: values["delete-preset"] ?? "",
+      options: presetFromOptions(values, config),
+    },
+  };
+
+  if (options.areas.length > 0 && !options.within) {
+    throw new CliError("--area needs a GeoJSON file given with --within", EXIT_CODES.USAGE);
+  }
+  if (options.stream && options.order) {
+    throw new CliError("--order needs the whole file in memory and cannot be used with --stream", EXIT_CODES.USAGE);
+  }
+  if (options.stream && options.amenityReport > 0) {
+    throw new CliError("--amenity-report needs the whole file in memory and cannot be used with --stream", EXIT_CODES.USAGE);
+  }
+  if (options.search && (options.stream || options.compare)) {
+    throw new CliError("--search needs the whole file in memory and cannot be used with --stream or --compare", EXIT_CODES.USAGE);
+  }
+  if (options.grouping && (options.stream || options.compare || options.serve)) {
+    throw new CliError("--group-by and --pivot need the whole file in memory and cannot be used with --stream, --compare or --serve", EXIT_CODES.USAGE);
+  }
+  if ((options.similar || options.duplicates) && (options.stream || options.compare || options.serve)) {
+    throw new CliError("--similar-to and --duplicates need the whole file in memory and cannot be used with --stream, --compare or --serve", EXIT_CODES.USAGE);
+  }
+  if (options.similar && options.duplicates) {
+    throw new CliError("--similar-to and --duplicates cannot be used together", EXIT_CODES.USAGE);
+  }
+  if (options.stream && options.quality) {
+    throw new CliError("--quality needs the whole file in memory and cannot be used with --stream", EXIT_CODES.USAGE);
+  }
+  if (options.serve && (options.stream || options.compare)) {
+    throw new CliError("--serve keeps the data in memory and cannot be used with --stream or --compare", EXIT_CODES.USAGE);
+  }
+  if (options.stream && options.compare) {
+    throw new CliError("--compare needs both files in memory and cannot be used with --stream", EXIT_CODES.USAGE);
+  }
+  if (options.output) {
+    let format;
+    try {
+      format = detectFormat(options.output, options.exportOptions.format);
+    } catch (error) {
+      if (error instanceof ExportError) {
+        throw new CliError(error.message, values.output !== undefined ? EXIT_CODES.USAGE : EXIT_CODES.CONFIG);
+      }
+      throw error;
+    }
+    if (options.stream && !STREAMABLE_FORMATS.includes(format)) {
+      throw new CliError(`${format} output needs the whole file in memory; --stream writes ${STREAMABLE_FORMATS.join(", ")}`, EXIT_CODES.USAGE);
+    }
+  }
+  return options;
+};
@@ -0,0 +1,463 @@
+/**
+ * Data quality module.
+ * Checks loaded listings for missing values, out-of-range values, coordinates
+ * far from the city, duplicate ids and fields that contradict each other, then
+ * drops, imputes or flags the affected rows so statistics are computed on
+ * data whose gaps are known.
+ *
+ * @module DataQuality
+ */
+
+import { writeFileAtomic } from "./Exporter.js";
+import { haversineKm, listingPoint } from "./GeoSearch.js";
+import { quantile } from "./ListingStats.js";
+
+/**
+ * Error raised for invalid quality options
+ * @extends Error
+ */
+export class QualityError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = "QualityError";
+  }
+}
+
+/**
+ * What to do with a row that fails a check:
+ * drop it, impute the value, keep it with a quality_issues entry, or keep it silently
+ * @typedef {"drop"|"impute"|"flag"|"keep"} QualityAction
+ */
+
+/** @type {Array<QualityAction>} */
+export const QUALITY_ACTIONS = ["drop", "impute", "flag", "keep"];
+
+/**
+ * Checks run on every dataset, and what each one reports
+ * @type {Object<string, string>}
+ */
+export const QUALITY_CHECKS = {
+  missing: "Required value is empty",
+  range: "Value outside its valid range",
+  location: "Coordinates far from the city",
+  duplicate: "Id already seen in an earlier row",
+  bathrooms: "bathrooms disagrees with bathrooms_text",
+  hostCount: "Host listing counts disagree with the rows in the file",
+};
+
+/**
+ * Checks whose values can be imputed; impute falls back to flag for the others
+ * @type {Array<string>}
+ */
+const IMPUTABLE = ["missing", "range", "bathrooms", "hostCount"];
+
+/**
+ * Inclusive valid range of a numeric column; either bound may be left out
+ * @typedef {Object} ValueRange
+ * @property {number} [min] - Smallest valid value
+ * @property {number} [max] - Largest valid value
+ */
+
+/** @type {Object<string, ValueRange>} */
+export const DEFAULT_RANGES = {
+  price: { min: 1 },
+  latitude: { min: -90, max: 90 },
+  longitude: { min: -180, max: 180 },
+  accommodates: { min: 1, max: 50 },
+  bedrooms: { min: 0, max: 50 },
+  beds: { min: 0, max: 100 },
+  bathrooms: { min: 0, max: 50 },
+  minimum_nights: { min: 1 },
+  maximum_nights: { min: 1 },
+  availability_30: { min: 0, max: 30 },
+  availability_60: { min: 0, max: 60 },
+  availability_90: { min: 0, max: 90 },
+  availability_365: { min: 0, max: 365 },
+  number_of_reviews: { min: 0 },
+  number_of_reviews_ltm: { min: 0 },
+  reviews_per_month: { min: 0 },
+  host_response_rate: { min: 0, max: 100 },
+  host_acceptance_rate: { min: 0, max: 100 },
+  review_scores_rating: { min: 0, max: 5 },
+  review_scores_accuracy: { min: 0, max: 5 },
+  review_scores_cleanliness: { min: 0, max: 5 },
+  review_scores_checkin: { min: 0, max: 5 },
+  review_scores_communication: { min: 0, max: 5 },
+  review_scores_location: { min: 0, max: 5 },
+  review_scores_value: { min: 0, max: 5 },
+};
+
+/**
+ * Options for the quality checks and fixes
+ * @typedef {Object} QualityOptions
+ * @property {QualityAction|Object<string, QualityAction>} [fixes="flag"] - One action for every
+ *   check, or an action per check name; unnamed checks use the "default" entry, else flag
+ * @property {Array<string>} [required=["price", "bedrooms"]] - Columns that must not be empty
+ * @property {Object<string, ValueRange>} [ranges] - Ranges to add or override; null removes a column's range
+ * @property {?import('./GeoSearch.js').BoundingBox} [bounds] - City area; by default listings more than
+ *   maxDistanceKm from the median coordinates are outside it
+ * @property {number} [maxDistanceKm=50] - Radius of the city around its median coordinates
+ * @property {string} [groupBy="room_type"] - Column whose groups get their own imputed medians
+ * @property {number} [exampleLimit=5] - Problems listed per check in the report
+ */
+
+/**
+ * One failed check on one row
+ * @typedef {Object} QualityProblem
+ * @property {string} check - Check name, a key of QUALITY_CHECKS
+ * @property {string} column - Column at fault
+ * @property {*} value - Value found
+ * @property {string} message - What is wrong
+ * @property {*} [imputed] - Replacement value, for checks that can impute one
+ */
+
+/**
+ * Result of one check
+ * @typedef {Object} CheckSummary
+ * @property {string} check - Check name
+ * @property {string} description - What the check reports
+ * @property {QualityAction} action - Action taken
+ * @property {number} count - Problems found
+ * @property {Object<string, number>} columns - Problems per column
+ * @property {Array<{row: number, id: ?string, column: string, value: *, message: string}>} examples -
+ *   First problems found
+ */
+
+/**
+ * Data quality report
+ * @typedef {Object} QualityReport
+ * @property {number} rows - Rows checked
+ * @property {number} kept - Rows kept
+ * @property {number} dropped - Rows dropped
+ * @property {number} imputed - Values imputed
+ * @property {number} flagged - Kept rows with a quality_issues entry
+ * @property {Array<{column: string, count: number, rate: number}>} nulls - Empty cells per column,
+ *   highest rate first; columns without empty cells are left out
+ * @property {Array<CheckSummary>} checks - One entry per check
+ * @property {?{lat: number, lon: number}} center - Median coordinates, used as the city center
+ */
+
+/**
+ * Resolves the action of every check
+ * @param {QualityAction|Object<string, QualityAction>} [fixes="flag"] - Action or actions per check
+ * @returns {Object<string, QualityAction>} Action per check name
+ * @throws {QualityError} If a check or action is unknown
+ */
+export const resolveFixes = (fixes = "flag") => {
+  const entries = typeof fixes === "string" ? { default: fixes } : { ...fixes };
+  Object.entries(entries).forEach(([check, action]) => {
+    if (check !== "default" && !(check in QUALITY_CHECKS)) {
+      throw new QualityError(`Unknown quality check "${check}"; expected ${Object.keys(QUALITY_CHECKS).join(", ")}`);
+    }
+    if (!QUALITY_ACTIONS.includes(action)) {
+      throw new QualityError(`Unknown fix "${action}" for ${check}; expected ${QUALITY_ACTIONS.join(", ")}`);
+    }
+  });
+  return Object.fromEntries(Object.keys(QUALITY_CHECKS)
+    .map(check => [check, entries[check] ?? entries.default ?? "flag"]));
+};
+
+/**
+ * Parses fixes written as "flag" or "duplicate=drop, missing=impute, default=flag"
+ * @param {string} text - One action, or comma-separated check=action pairs
+ * @returns {Object<string, QualityAction>} Action per check name
+ * @throws {QualityError} If a pair is malformed or a check or action unknown
+ */
+export const parseFixes = text => {
+  const pairs = String(text).split(",").map(pair => pair.trim()).filter(Boolean);
+  if (pairs.length === 1 && !pairs[0].includes("=")) return resolveFixes(pairs[0]);
+  return resolveFixes(Object.fromEntries(pairs.map(pair => {
+    const [check, action, ...rest] = pair.split("=").map(part => part.trim());
+    if (!check || !action || rest.length > 0) {
+      throw new QualityError(`Expected check=action in the fixes, got "${pair}"`);
+    }
+    return [check, action];
+  })));
+};
+
+/**
+ * Reads the number of bathrooms from text such as "1.5 shared baths" or "Private half-bath"
+ * @param {?string} text - bathrooms_text value
+ * @returns {?number} Number of bathrooms, null when the text has none
+ */
+export const parseBathroomsText = text => {
+  if (typeof text !== "string") return null;
+  const number = /(\d+(?:\.\d+)?)/.exec(text);
+  if (number) return Number(number[1]);
+  return /half-bath/i.test(text) ? 0.5 : null;
+};
+
+const isEmpty = value => value === null || value === undefined || value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+const median = values => quantile(Float64Array.from(values).sort(), 0.5);
+
+/**
+ * Median of a column per group and overall, over values that passed the checks
+ * @param {Array<Object>} listings - Listings
+ * @param {string} column - Numeric column
+ * @param {string} groupBy - Grouping column
+ * @param {function(number): boolean} isValid - Values to include
+ * @returns {function(Object): ?number} Median of the listing's group, else the overall median
+ */
+const groupMedian = (listings, column, groupBy, isValid) => {
+  const groups = new Map();
+  const all = [];
+  listings.forEach(listing => {
+    const value = listing[column];
+    if (typeof value !== "number" || !isValid(value)) return;
+    all.push(value);
+    const key = listing[groupBy] ?? null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(value);
+  });
+  const medians = new Map([...groups].map(([key, values]) => [key, median(values)]));
+  const overall = median(all);
+  const integer = all.every(Number.isInteger);
+  return listing => {
+    const value = medians.get(listing[groupBy] ?? null) ?? overall;
+    return value === null || !integer ? value : Math.round(value);
+  };
+};
+
+/**
+ * Runs every check on every row
+ * @param {Array<Object>} listings - Typed listings
+ * @param {QualityOptions} options - Check options
+ * @returns {{problems: Array<Array<QualityProblem>>, center: ?{lat: number, lon: number}}} Problems per row
+ */
+const findProblems = (listings, { required, ranges, bounds, maxDistanceKm, groupBy }) => {
+  const inRange = column => {
+    const { min = -Infinity, max = Infinity } = ranges[column] ?? {};
+    return value => value >= min && value <= max;
+  };
+  const imputers = {};
+  const imputeFor = column => {
+    imputers[column] ??= groupMedian(listings, column, groupBy, inRange(column));
+    return imputers[column];
+  };
+
+  const points = listings.map(listingPoint)
+    .filter(point => point && Math.abs(point.lat) <= 90 && Math.abs(point.lon) <= 180);
+  const center = points.length > 0
+    ? { lat: median(points.map(({ lat }) => lat)), lon: median(points.map(({ lon }) => lon)) }
+    : null;
+  const hostRows = new Map();
+  listings.forEach(({ host_id: hostId }) => {
+    if (!isEmpty(hostId)) hostRows.set(hostId, (hostRows.get(hostId) ?? 0) + 1);
+  });
+  const seen = new Set();
+
+  const problems = listings.map(listing => {
+    const found = [];
+    const add = problem => found.push(problem);
+
+    required.forEach(column => {
+      if (isEmpty(listing[column])) {
+        add({ check: "missing", column, value: null, message: `${column} is empty`, imputed: imputeFor(column)(listing) });
+      }
+    });
+
+    Object.keys(ranges).forEach(column => {
+      const value = listing[column];
+      if (typeof value !== "number" || inRange(column)(value)) return;
+      const { min, max } = ranges[column];
+      add({
+        check: "range", column, value,
+        message: `${column} ${value} is outside ${min ?? "-∞"}…${max ?? "∞"}`,
+        imputed: column === "latitude" || column === "longitude" ? null : imputeFor(column)(listing),
+      });
+    });
+
+    const point = listingPoint(listing);
+    if (point && center) {
+      if (bounds) {
+        if (point.lat < bounds.minLat || point.lat > bounds.maxLat || point.lon < bounds.minLon || point.lon > bounds.maxLon) {
+          add({ check: "location", column: "latitude", value: `${point.lat},${point.lon}`, message: "Coordinates outside the city bounds" });
+        }
+      } else {
+        const km = haversineKm(center, point);
+        if (km > maxDistanceKm) {
+          add({ check: "location", column: "latitude", value: `${point.lat},${point.lon}`, message: `${km.toFixed(1)} km from the city center` });
+        }
+      }
+    }
+
+    if (!isEmpty(listing.id)) {
+      if (seen.has(listing.id)) {
+        add({ check: "duplicate", column: "id", value: listing.id, message: `id ${listing.id} repeats an earlier row` });
+      }
+      seen.add(listing.id);
+    }
+
+    const fromText = parseBathroomsText(listing.bathrooms_text);
+    if (fromText !== null && listing.bathrooms !== fromText) {
+      add({
+        check: "bathrooms", column: "bathrooms", value: listing.bathrooms ?? null,
+        message: `bathrooms is ${listing.bathrooms ?? "empty"} but bathrooms_text says "${listing.bathrooms_text}"`,
+        imputed: fromText,
+      });
+    }
+
+    const rows = hostRows.get(listing.host_id);
+    if (rows !== undefined) {
+      if (typeof listing.host_listings_count === "number" && listing.host_listings_count < rows) {
+        add({
+          check: "hostCount", column: "host_listings_count", value: listing.host_listings_count,
+          message: `host_listings_count ${listing.host_listings_count} is below the host's ${rows} row${rows === 1 ? "" : "s"} in the file`,
+          imputed: rows,
+        });
+      }
+      if (typeof listing.calculated_host_listings_count === "number" && listing.calculated_host_listings_count !== rows) {
+        add({
+          check: "hostCount", column: "calculated_host_listings_count", value: listing.calculated_host_listings_count,
+          message: `calculated_host_listings_count ${listing.calculated_host_listings_count} but the host has ${rows} row${rows === 1 ? "" : "s"} in the file`,
+          imputed: rows,
+        });
+      }
+    }
+    return found;
+  });
+  return { problems, center };
+};
+
+/**
+ * Counts the empty cells of every column
+ * @param {Array<Object>} listings - Listings
+ * @returns {Array<{column: string, count: number, rate: number}>} Columns with empty cells, highest rate first
+ */
+export const nullRates = listings => {
+  const counts = new Map();
+  listings.forEach(listing => Object.entries(listing).forEach(([column, value]) => {
+    counts.set(column, (counts.get(column) ?? 0) + (isEmpty(value) ? 1 : 0));
+  }));
+  return [...counts]
+    .filter(([, count]) => count > 0)
+    .map(([column, count]) => ({ column, count, rate: Number(((count / listings.length) * 100).toFixed(1)) }))
+    .sort((a, b) => b.rate - a.rate || a.column.localeCompare(b.column));
+};
+
+/**
+ * Checks listings and applies the configured fixes.
+ * A row is dropped when any of its problems has the drop action. Kept rows get
+ * their imputed values and, when any check flags, a quality_issues column
+ * listing "check:column" entries, null on clean rows.
+ * @param {Array<Object>} listings - Typed listings, as loaded
+ * @param {QualityOptions} [options={}] - Checks and fixes
+ * @returns {{listings: Array<Object>, report: QualityReport}} Cleaned listings and the report
+ * @throws {QualityError} If a fix or range is invalid
+ * @example
+ * const { listings, report } = cleanListings(data, { fixes: { duplicate: "drop", missing: "impute" } });
+ */
+export const cleanListings = (listings, {
+  fixes,
+  required = ["price", "bedrooms"],
+  ranges = {},
+  bounds = null,
+  maxDistanceKm = 50,
+  groupBy = "room_type",
+  exampleLimit = 5,
+} = {}) => {
+  const actions = resolveFixes(fixes);
+  const mergedRanges = Object.fromEntries(Object.entries({ ...DEFAULT_RANGES, ...ranges })
+    .filter(([, range]) => range !== null));
+  if (!Number.isFinite(maxDistanceKm) || maxDistanceKm <= 0) {
+    throw new QualityError(`maxDistanceKm must be a positive number, got ${maxDistanceKm}`);
+  }
+  const { problems, center } = findProblems(listings, { required, ranges: mergedRanges, bounds, maxDistanceKm, groupBy });
+  const actionOf = ({ check }) => (actions[check] === "impute" && !IMPUTABLE.includes(check) ? "flag" : actions[check]);
+  const flags = Object.keys(QUALITY_CHECKS).some(check => ["flag", "impute"].includes(actionOf({ check })));
+
+  const summaries = Object.fromEntries(Object.entries(QUALITY_CHECKS).map(([check, description]) => [check, {
+    check, description, action: actions[check], count: 0, columns: {}, examples: [],
+  }]));
+  let imputed = 0;
+  let flagged = 0;
+  const kept = [];
+
+  listings.forEach((listing, index) => {
+    problems[index].forEach(problem => {
+      const summary = summaries[problem.check];
+      summary.count += 1;
+      summary.columns[problem.column] = (summary.columns[problem.column] ?? 0) + 1;
+      if (summary.examples.length < exampleLimit) {
+        summary.examples.push({ row: index + 1, id: listing.id ?? null, column: problem.column, value: problem.value, message: problem.message });
+      }
+    });
+    if (problems[index].some(problem => actionOf(problem) === "drop")) return;
+
+    const cleaned = { ...listing };
+    const issues = [];
+    problems[index].forEach(problem => {
+      const action = actionOf(problem);
+      if (action === "impute" && problem.imputed !== null && problem.imputed !== undefined) {
+        cleaned[problem.column] = problem.imputed;
+        imputed += 1;
+        issues.push(`${problem.check}:${problem.column} (imputed)`);
+      } else if (action === "impute" || action === "flag") {
+        issues.push(`${problem.check}:${problem.column}`);
+      }
+    });
+    if (flags) cleaned.quality_issues = issues.length > 0 ? issues.join("; ") : null;
+    if (issues.length > 0) flagged += 1;
+    kept.push(cleaned);
+  });
+
+  return {
+    listings: kept,
+    report: {
+      rows: listings.length,
+      kept: kept.length,
+      dropped: listings.length - kept.length,
+      imputed,
+      flagged,
+      nulls: nullRates(listings),
+      checks: Object.values(summaries),
+      center,
+    },
+  };
+};
+
+/**
+ * Checks listings without changing them
+ * @param {Array<Object>} listings - Typed listings
+ * @param {QualityOptions} [options={}] - Check options; fixes are ignored
+ * @returns {QualityReport} Report
+ */
+export const assessQuality = (listings, options = {}) =>
+  cleanListings(listings, { ...options, fixes: "keep" }).report;
+
+/**
+ * Prints a quality report to the console
+ * @param {QualityReport} report - Report
+ * @param {Object} [options] - Printing options
+ * @param {number} [options.nullLimit=10] - Columns with the most empty cells to show
+ */
+export const printQualityReport = (report, { nullLimit = 10 } = {}) => {
+  console.log(`\nData quality: ${report.rows} rows checked, ${report.kept} kept, ${report.dropped} dropped, ` +
+    `${report.imputed} values imputed, ${report.flagged} rows flagged`);
+  if (report.nulls.length > 0) {
+    console.log("Empty cells:");
+    report.nulls.slice(0, nullLimit).forEach(({ column, count, rate }) => {
+      console.log(`  ${column}: ${count} (${rate}%)`);
+    });
+  }
+  report.checks.filter(({ count }) => count > 0).forEach(({ description, action, count, columns, examples }) => {
+    const breakdown = Object.entries(columns).map(([column, n]) => `${column} ${n}`).join(", ");
+    console.log(`${description}: ${count} [${action}] (${breakdown})`);
+    examples.forEach(({ row, id, message }) => console.log(`  row ${row}${id ? ` (id ${id})` : ""}: ${message}`));
+  });
+};
+
+/**
+ * Writes a quality report as indented JSON, atomically
+ * @async
+ * @param {QualityReport} report - Report
+ * @param {string} filePath - Output path
+ * @returns {Promise<void>}
+ */
+export const writeQualityReport = (report, filePath) =>
+  writeFileAtomic(filePath, `${JSON.stringify(report, null, 2)}\n`);
@@ -0,0 +1,429 @@
+/**
+ * Exporter module.
+ * Writes listings as CSV, TSV, JSON, NDJSON, XLSX, Markdown, HTML or GeoJSON
+ * with column selection, renaming and display formatting. Files are written
+ * to a temporary path and renamed into place, so a failed run never leaves a
+ * truncated file behind.
+ *
+ * @module Exporter
+ */
+
+import { randomBytes } from "crypto";
+import { rename, unlink, writeFile } from "fs/promises";
+import { basename, dirname, extname, join } from "path";
+import { gzipSync } from "zlib";
+import { stringify as csvFormat } from "csv-stringify/sync";
+import ExcelJS from "exceljs";
+import { formatListing, schemaType } from "./ListingSchema.js";
+import { toFeatureCollection } from "./GeoSearch.js";
+
+/**
+ * Error raised for unknown formats or bad export options
+ * @extends Error
+ */
+export class ExportError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = "ExportError";
+  }
+}
+
+/**
+ * File extensions and the format each selects
+ * @type {Object<string, string>}
+ */
+const EXTENSION_FORMATS = {
+  ".csv": "csv",
+  ".tsv": "tsv",
+  ".tab": "tsv",
+  ".json": "json",
+  ".ndjson": "ndjson",
+  ".jsonl": "ndjson",
+  ".xlsx": "xlsx",
+  ".md": "md",
+  ".markdown": "md",
+  ".html": "html",
+  ".htm": "html",
+  ".geojson": "geojson",
+};
+
+/**
+ * Supported export formats
+ * @type {Array<string>}
+ */
+export const EXPORT_FORMATS = [...new Set(Object.values(EXTENSION_FORMATS))];
+
+/**
+ * Formats that can be written one row at a time
+ * @type {Array<string>}
+ */
+export const STREAMABLE_FORMATS = ["csv", "tsv", "ndjson"];
+
+/**
+ * Export options
+ * @typedef {Object} ExportOptions
+ * @property {string} [format] - One of EXPORT_FORMATS; defaults to the file extension, CSV for paths without one
+ * @property {string|Array<string|{column: string, as: string}>} [columns] - Columns to write, in
+ *   order; "price=Nightly price" or { column: 'price', as: 'Nightly price' } renames. Defaults to all
+ * @property {Object<string, string>} [rename] - Header renames applied after column selection
+ * @property {string} [currency] - ISO code for currency columns, e.g. "USD". Setting it formats
+ *   prices for display in every format; Markdown, HTML and XLSX always do
+ * @property {string} [locale="en-US"] - Locale for currency and date display
+ * @property {string} [dateFormat="iso"] - "iso" keeps YYYY-MM-DD, "locale" uses the locale's short date
+ * @property {string} [title="Listings"] - Title of HTML documents and XLSX sheets
+ */
+
+/**
+ * Picks the export format for a path
+ * @param {string} filePath - Output path; a trailing .gz is ignored
+ * @param {string} [format] - Explicit format, overrides the extension
+ * @returns {string} Format name; CSV for a path without an extension
+ * @throws {ExportError} If the explicit format is unknown, or without one, the extension
+ */
+export const detectFormat = (filePath, format) => {
+  if (format) {
+    const name = format.toLowerCase().replace(/^\./, "");
+    const resolved = EXTENSION_FORMATS[`.${name}`] ?? (EXPORT_FORMATS.includes(name) ? name : null);
+    if (!resolved) {
+      throw new ExportError(`Unknown export format "${format}"; expected one of ${EXPORT_FORMATS.join(", ")}`);
+    }
+    return resolved;
+  }
+  const extension = extname(filePath.toLowerCase().replace(/\.gz$/, ""));
+  if (!extension) return "csv";
+  if (!EXTENSION_FORMATS[extension]) {
+    throw new ExportError(`Unknown output extension "${extension}"; expected one of ` +
+      `${Object.keys(EXTENSION_FORMATS).join(" ")}, optionally followed by .gz, or an explicit format`);
+  }
+  return EXTENSION_FORMATS[extension];
+};
+
+/**
+ * Parses a column selection into [column, header] pairs
+ * @param {ExportOptions['columns']} columns - Selection from the options
+ * @param {Array<Object>} listings - Listings, used for the default of every column
+ * @param {Object<string, string>} [renames={}] - Extra header renames
+ * @returns {Array<{column: string, header: string}>} Selected columns in order
+ * @throws {ExportError} If a selected column is in none of the listings
+ */
+export const resolveColumns = (columns, listings, renames = {}) => {
+  const all = [...new Set(listings.flatMap(listing => Object.keys(listing)))];
+  const entries = columns === undefined || columns === null || columns === ""
+    ? all
+    : typeof columns === "string" ? columns.split(",") : columns;
+  const selected = entries
+    .map(entry => {
+      if (typeof entry === "object") return { column: entry.column, header: entry.as ?? entry.column };
+      const [column, header] = String(entry).split("=").map(part => part.trim());
+      return { column, header: header || column };
+    })
+    .filter(({ column }) => column);
+  const unknown = listings.length > 0 ? selected.filter(({ column }) => !all.includes(column)) : [];
+  if (unknown.length > 0) {
+    throw new ExportError(`Unknown column ${unknown.map(({ column }) => `"${column}"`).join(", ")}`);
+  }
+  return selected.map(({ column, header }) => ({ column, header: renames[header] ?? renames[column] ?? header }));
+};
+
+/**
+ * Formats values for humans: prices as currency, dates by locale, lists joined
+ * @param {ExportOptions} options - Export options
+ * @returns {function(*, string): string} Formatter over (value, column)
+ */
+const displayFormatter = ({ currency = "USD", locale = "en-US", dateFormat = "iso" }) => {
+  const money = new Intl.NumberFormat(locale, { style: "currency", currency });
+  const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 6, useGrouping: false });
+  const date = new Intl.DateTimeFormat(locale, { dateStyle: "short", timeZone: "UTC" });
+  return (value, column) => {
+    if (value === null || value === undefined || (typeof value === "number" && Number.isNaN(value))) return "";
+    const type = schemaType(column);
+    if (type === "currency" && typeof value === "number") return money.format(value);
+    if (type === "date" && dateFormat === "locale") return date.format(new Date(`${value}T00:00:00Z`));
+    if (type === "percent" && typeof value === "number") return `${value}%`;
+    if (typeof value === "boolean") return value ? "yes" : "no";
+    if (Array.isArray(value)) return value.join(", ");
+    if (typeof value === "number") return number.format(value);
+    if (typeof value === "object") return JSON.stringify(value);
+    return String(value);
+  };
+};
+
+/**
+ * Formats values for CSV and TSV: the schema's text form unless display
+ * formatting was asked for with currency or dateFormat
+ * @param {ExportOptions} options - Export options
+ * @returns {function(Object): function(*, string): string} Formatter factory over a listing
+ */
+const textFormatter = options => {
+  if (options.currency || (options.dateFormat && options.dateFormat !== "iso")) {
+    const display = displayFormatter(options);
+    return () => display;
+  }
+  return listing => {
+    const text = formatListing(listing);
+    return (value, column) => text[column] ?? "";
+  };
+};
+
+/**
+ * Keeps typed values for JSON, applying display formatting only when asked
+ * @param {ExportOptions} options - Export options
+ * @returns {function(*, string): *} Formatter over (value, column)
+ */
+const jsonFormatter = options => {
+  const display = displayFormatter(options);
+  return (value, column) => {
+    if (value === undefined) return null;
+    const type = schemaType(column);
+    if (options.currency && type === "currency" && value !== null) return display(value, column);
+    if (options.dateFormat === "locale" && type === "date" && value !== null) return display(value, column);
+    return value;
+  };
+};
+
+/**
+ * Builds one output record per listing with the selected columns
+ * @param {Array<Object>} listings - Listings to export
+ * @param {Array<{column: string, header: string}>} columns - Selected columns
+ * @param {function(Object): function(*, string): *} formatterFor - Formatter factory over a listing
+ * @returns {Array<Array<*>>} Rows of values in column order
+ */
+const buildRows = (listings, columns, formatterFor) => listings.map(listing => {
+  const format = formatterFor(listing);
+  return columns.map(({ column }) => format(listing[column], column));
+});
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+const escapeMarkdown = text => String(text)
+  .replace(/\\/g, "\\\\")
+  .replace(/\|/g, "\\|")
+  .replace(/\r?\n/g, "<br>");
+
+/**
+ * Renders a Markdown table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Display values
+ * @returns {string} Markdown text
+ */
+const toMarkdown = (headers, rows) => [
+  `| ${headers.map(escapeMarkdown).join(" | ")} |`,
+  `| ${headers.map(() => "---").join(" | ")} |`,
+  ...rows.map(row => `| ${row.map(escapeMarkdown).join(" | ")} |`),
+].join("\n") + "\n";
+
+/**
+ * Renders a standalone HTML document holding one table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Display values
+ * @param {string} title - Document title
+ * @returns {string} HTML text
+ */
+const toHtml = (headers, rows, title) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 1.5rem; }
+table { border-collapse: collapse; font-size: 0.9rem; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f3f3f3; position: sticky; top: 0; }
+tr:nth-child(even) td { background: #fafafa; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${rows.length} listings</p>
+<table>
+<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join("")}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(value => `<td>${escapeHtml(value)}</td>`).join("")}</tr>`).join("\n")}
+</tbody>
+</table>
+</body>
+</html>
+`;
+
+/**
+ * Renders an XLSX workbook with typed cells
+ * @async
+ * @param {Array<Object>} listings - Listings to export
+ * @param {Array<{column: string, header: string}>} columns - Selected columns
+ * @param {ExportOptions} options - Export options
+ * @returns {Promise<Buffer>} Workbook bytes
+ */
+const toXlsx = async (listings, columns, { title = "Listings", currency = "USD", locale = "en-US" }) => {
+  const symbol = new Intl.NumberFormat(locale, { style: "currency", currency })
+    .formatToParts(0)
+    .find(part => part.type === "currency")?.value ?? "$";
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(title.slice(0, 31));
+  sheet.columns = columns.map(({ column, header }) => {
+    const type = schemaType(column);
+    return {
+      header,
+      key: column,
+      width: Math.min(Math.max(header.length + 2, 10), 60),
+      style: type === "currency" ? { numFmt: `"${symbol}"#,##0.00` }
+        : type === "date" ? { numFmt: "yyyy-mm-dd" }
+          : {},
+    };
+  });
+  listings.forEach(listing => {
+    sheet.addRow(Object.fromEntries(columns.map(({ column }) => {
+      const value = listing[column];
+      const type = schemaType(column);
+      if (value === null || value === undefined) return [column, null];
+      if (type === "date") return [column, new Date(`${value}T00:00:00Z`)];
+      if (Array.isArray(value)) return [column, value.join(", ")];
+      if (typeof value === "object") return [column, JSON.stringify(value)];
+      return [column, value];
+    })));
+  });
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Serializes listings in the requested format
+ * @async
+ * @param {Array<Object>} listings - Listings to export
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {ExportOptions} [options={}] - Export options
+ * @returns {Promise<string|Buffer>} File content
+ * @throws {ExportError} If the format is unknown
+ */
+export const serializeListings = async (listings, format, options = {}) => {
+  const columns = resolveColumns(options.columns, listings, options.rename);
+  const headers = columns.map(({ header }) => header);
+  switch (format) {
+    case "csv":
+    case "tsv": {
+      const rows = buildRows(listings, columns, textFormatter(options));
+      return rows.length === 0 ? "" : csvFormat([headers, ...rows], { delimiter: format === "tsv" ? "\t" : "," });
+    }
+    case "json":
+    case "ndjson": {
+      const formatValue = jsonFormatter(options);
+      const records = listings.map(listing => Object.fromEntries(
+        columns.map(({ column, header }) => [header, formatValue(listing[column], column)])
+      ));
+      return format === "json"
+        ? `${JSON.stringify(records, null, 2)}\n`
+        : records.map(record => `${JSON.stringify(record)}\n`).join("");
+    }
+    case "md":
+      return toMarkdown(headers, buildRows(listings, columns, () => displayFormatter(options)));
+    case "html":
+      return toHtml(headers, buildRows(listings, columns, () => displayFormatter(options)), options.title ?? "Listings");
+    case "xlsx":
+      return toXlsx(listings, columns, options);
+    case "geojson": {
+      const renamed = listings.map(listing => Object.fromEntries(
+        columns.map(({ column, header }) => [header, listing[column]])
+          .concat([["latitude", listing.latitude], ["longitude", listing.longitude], ["id", listing.id]])
+      ));
+      return JSON.stringify(toFeatureCollection(
+        renamed,
+        options.columns ? headers : undefined
+      ));
+    }
+    default:
+      throw new ExportError(`Unknown export format "${format}"`);
+  }
+};
+
+/**
+ * Creates a serializer that turns listings into text one at a time, for streaming.
+ * Without a column selection the columns of the first listing are used.
+ * @param {string} format - One of STREAMABLE_FORMATS
+ * @param {ExportOptions} [options={}] - Export options
+ * @returns {function(Object): string} Serializer; its first call also returns the CSV/TSV header
+ * @throws {ExportError} If the format cannot be streamed
+ */
+export const createRowSerializer = (format, options = {}) => {
+  if (!STREAMABLE_FORMATS.includes(format)) {
+    throw new ExportError(`${format} cannot be written row by row; use one of ${STREAMABLE_FORMATS.join(", ")}`);
+  }
+  const json = jsonFormatter(options);
+  const formatterFor = format === "ndjson" ? () => json : textFormatter(options);
+  let columns = null;
+  return listing => {
+    const header = columns === null;
+    if (header) columns = resolveColumns(options.columns, [listing], options.rename);
+    const [row] = buildRows([listing], columns, formatterFor);
+    if (format === "ndjson") {
+      return `${JSON.stringify(Object.fromEntries(columns.map(({ header: name }, index) => [name, row[index]])))}\n`;
+    }
+    const rows = header ? [columns.map(({ header: name }) => name), row] : [row];
+    return csvFormat(rows, { delimiter: format === "tsv" ? "\t" : "," });
+  };
+};
+
+/**
+ * Returns a unique temporary path next to the target, so rename stays on one file system
+ * @param {string} filePath - Final path
+ * @returns {string} Temporary path
+ */
+export const temporaryPathFor = filePath =>
+  join(dirname(filePath), `.${basename(filePath)}.${process.pid}.${randomBytes(4).toString("hex")}.tmp`);
+
+/**
+ * Checks whether a path is the target or one of its temporary files, e.g. to
+ * tell write errors from read errors
+ * @param {string} path - Path reported by an error
+ * @param {string} filePath - Final path
+ * @returns {boolean} True when the path belongs to the output
+ */
+export const isOutputPath = (path, filePath) => typeof path === "string" &&
+  (path === filePath || path.startsWith(join(dirname(filePath), `.${basename(filePath)}.`)));
+
+/**
+ * Writes a file atomically: content goes to a temporary file that is renamed over the target
+ * @async
+ * @param {string} filePath - Final path
+ * @param {string|Buffer} content - File content
+ * @returns {Promise<void>}
+ * @throws {Error} If writing or renaming fails; the temporary file is removed
+ */
+export const writeFileAtomic = async (filePath, content) => {
+  const temporary = temporaryPathFor(filePath);
+  try {
+    await writeFile(temporary, content);
+    await rename(temporary, filePath);
+  } catch (error) {
+    await unlink(temporary).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Exports listings to a file, choosing the format from the options or extension.
+ * A trailing .gz gzips any format.
+ * @async
+ * @param {Array<Object>} listings - Listings to export
+ * @param {string} filePath - Output path
+ * @param {ExportOptions} [options={}] - Export options
+ * @returns {Promise<string>} The format written
+ * @throws {ExportError} If the format is unknown
+ * @example
+ * await exportListings(listings, 'shortlist.xlsx', {
+ *   columns: 'name=Listing,price=Nightly price,bedrooms,review_scores_rating=Rating,listing_url',
+ * });
+ */
+export const exportListings = async (listings, filePath, options = {}) => {
+  const format = detectFormat(filePath, options.format);
+  const content = await serializeListings(listings, format, options);
+  await writeFileAtomic(filePath, filePath.toLowerCase().endsWith(".gz") ? gzipSync(content) : content);
+  return format;
+};
@@ -0,0 +1,487 @@
+/**
+ * Filter expression module.
+ * Describes listing filters as a tree of conditions joined by AND/OR/NOT,
+ * compiles them to predicates and parses a small text query syntax.
+ *
+ * @module FilterExpression
+ */
+
+import { parsePrice } from "./Pricing.js";
+
+/**
+ * Error raised for malformed filter expressions or queries
+ * @extends Error
+ */
+export class FilterError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} [position] - Offset in the query text, for syntax errors
+   */
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position}`);
+    this.name = "FilterError";
+    this.position = position;
+  }
+}
+
+/**
+ * A single comparison against one column
+ * @typedef {Object} Condition
+ * @property {string} field - Column name, e.g. "room_type"
+ * @property {string} op - One of OPERATORS
+ * @property {*} [value] - Operand; an array for "in" and "between", a string or RegExp for "regex"
+ */
+
+/**
+ * A filter expression: a Condition, a group of expressions, or a listing
+ * predicate such as the geographic filters of GeoSearch
+ * @typedef {Condition|{and: Array<FilterExpr>}|{or: Array<FilterExpr>}|{not: FilterExpr}|function(Object): boolean} FilterExpr
+ */
+
+/**
+ * Interprets a raw cell as a number, ignoring currency symbols and separators.
+ * Prices in other currencies or locales, such as "1.234,00 €", are read with parsePrice.
+ * @param {*} raw - Cell value
+ * @returns {number|null} The number, or null when the cell is not numeric
+ */
+export const toNumber = raw => {
+  if (typeof raw === "number") return Number.isNaN(raw) ? null : raw;
+  if (typeof raw === "boolean") return raw ? 1 : 0;
+  const cleaned = String(raw).replace(/[$,%\s]/g, "");
+  if (cleaned === "") return null;
+  const number = Number(cleaned);
+  if (!Number.isNaN(number)) return number;
+  try {
+    return parsePrice(raw).amount;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Interprets a raw cell as a boolean, accepting the t/f flags used by Inside Airbnb
+ * @param {*} raw - Cell value
+ * @returns {boolean|null} The boolean, or null when the cell is not a flag
+ */
+const toBoolean = raw => {
+  if (typeof raw === "boolean") return raw;
+  const text = String(raw).trim().toLowerCase();
+  if (["t", "true", "1", "yes"].includes(text)) return true;
+  if (["f", "false", "0", "no"].includes(text)) return false;
+  return null;
+};
+
+/**
+ * Checks whether a cell is missing
+ * @param {*} raw - Cell value
+ * @returns {boolean} True for null, undefined, NaN and blank strings
+ */
+export const isMissing = raw =>
+  raw === null ||
+  raw === undefined ||
+  (typeof raw === "number" && Number.isNaN(raw)) ||
+  (typeof raw === "string" && raw.trim() === "");
+
+/**
+ * Coerces a cell to the type of the operand it is compared with.
+ * Numbers compare numerically, booleans as flags and anything else as text.
+ * @param {*} raw - Cell value
+ * @param {*} operand - Value from the filter
+ * @returns {*} The coerced cell, or null when it cannot be compared
+ */
+const coerce = (raw, operand) => {
+  if (isMissing(raw)) return null;
+  if (typeof operand === "number") return toNumber(raw);
+  if (typeof operand === "boolean") return toBoolean(raw);
+  if (raw instanceof Date) return raw.toISOString();
+  return String(raw);
+};
+
+/**
+ * Compares two values of the same type; text compares case-insensitively
+ * @param {*} a - Coerced cell value
+ * @param {*} b - Operand
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+const compareValues = (a, b) => {
+  if (typeof a === "string" && typeof b === "string") {
+    const left = a.toLowerCase();
+    const right = b.toLowerCase();
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * Builds a predicate that compares the coerced cell with the operand.
+ * A boolean cell, as loaded by the listing schema, compares with the operand read as
+ * a flag, so `host_is_superhost = t` matches as it does on raw cells.
+ * @param {function(number): boolean} test - Receives the comparator result
+ * @returns {function(*, *): boolean} Predicate over (cell, operand)
+ */
+const comparison = test => (raw, operand) => {
+  if (typeof raw === "boolean") {
+    const flag = toBoolean(operand);
+    return flag !== null && test(compareValues(raw, flag));
+  }
+  const value = coerce(raw, operand);
+  return value !== null && test(compareValues(value, operand));
+};
+
+/**
+ * Converts a regex operand to a RegExp, case-insensitive by default
+ * @param {string|RegExp} pattern - Pattern source or RegExp
+ * @returns {RegExp} Compiled expression
+ * @throws {FilterError} If the pattern is invalid
+ */
+const toRegExp = pattern => {
+  if (pattern instanceof RegExp) return pattern;
+  try {
+    return new RegExp(pattern, "i");
+  } catch (error) {
+    throw new FilterError(`Invalid regex "${pattern}": ${error.message}`);
+  }
+};
+
+/**
+ * Supported operators, each a predicate over (cell, operand)
+ * @type {Object<string, function(*, *): boolean>}
+ */
+const OPERATORS = {
+  eq: comparison(result => result === 0),
+  neq: (raw, operand) => !OPERATORS.eq(raw, operand),
+  gt: comparison(result => result > 0),
+  gte: comparison(result => result >= 0),
+  lt: comparison(result => result < 0),
+  lte: comparison(result => result <= 0),
+  between: (raw, [min, max]) => OPERATORS.gte(raw, min) && OPERATORS.lte(raw, max),
+  in: (raw, operands) => operands.some(operand => OPERATORS.eq(raw, operand)),
+  contains: (raw, operand) =>
+    !isMissing(raw) && String(raw).toLowerCase().includes(String(operand).toLowerCase()),
+  regex: (raw, pattern) => !isMissing(raw) && pattern.test(String(raw)),
+  isNull: raw => isMissing(raw),
+  notNull: raw => !isMissing(raw),
+};
+
+/**
+ * Operator aliases accepted in expressions
+ * @type {Object<string, string>}
+ */
+const OPERATOR_ALIASES = {
+  "is-null": "isNull",
+  "not-null": "notNull",
+  ne: "neq",
+};
+
+/**
+ * Validates a condition and returns its predicate
+ * @param {Condition} condition - Condition to compile
+ * @returns {function(Object): boolean} Predicate over a listing
+ * @throws {FilterError} If the operator or operand is invalid
+ */
+const compileCondition = ({ field, op, value }) => {
+  const name = OPERATOR_ALIASES[op] ?? op;
+  const operator = OPERATORS[name];
+  if (typeof field !== "string" || field === "") {
+    throw new FilterError("Condition is missing a field name");
+  }
+  if (!operator) {
+    throw new FilterError(`Unknown operator "${op}" for field "${field}"`);
+  }
+  if (name === "between" && !(Array.isArray(value) && value.length === 2)) {
+    throw new FilterError(`"between" on "${field}" expects [min, max]`);
+  }
+  if (name === "in" && !Array.isArray(value)) {
+    throw new FilterError(`"in" on "${field}" expects a list of values`);
+  }
+  const operand = name === "regex" ? toRegExp(value) : value;
+  return listing => operator(listing[field], operand);
+};
+
+/**
+ * Compiles a filter expression into a predicate
+ * @param {FilterExpr} expr - Expression to compile
+ * @returns {function(Object): boolean} Predicate over a listing
+ * @throws {FilterError} If the expression is malformed
+ * @example
+ * const isLargeHome = compileFilter({ and: [
+ *   { field: 'room_type', op: 'eq', value: 'Entire home/apt' },
+ *   { field: 'bedrooms', op: 'gte', value: 3 },
+ * ] });
+ * listings.filter(isLargeHome);
+ */
+export const compileFilter = expr => {
+  if (typeof expr === "function") {
+    return expr;
+  }
+  if (!expr || typeof expr !== "object") {
+    throw new FilterError("Filter expression must be an object");
+  }
+  if (Array.isArray(expr.and)) {
+    const predicates = expr.and.map(compileFilter);
+    return listing => predicates.every(predicate => predicate(listing));
+  }
+  if (Array.isArray(expr.or)) {
+    const predicates = expr.or.map(compileFilter);
+    return listing => predicates.some(predicate => predicate(listing));
+  }
+  if ("not" in expr) {
+    const predicate = compileFilter(expr.not);
+    return listing => !predicate(listing);
+  }
+  return compileCondition(expr);
+};
+
+/**
+ * Columns addressed by the FilterParameters shorthand
+ * @type {Object<string, string>}
+ */
+const SHORTHAND_FIELDS = {
+  price: "price",
+  room: "bedrooms",
+  score: "review_scores_rating",
+};
+
+/**
+ * Converts the FilterParameters shorthand into an expression.
+ * As before, a range with max 0 and no min is skipped; a min with an
+ * open max (null, undefined or Infinity) filters on the lower bound only.
+ * @param {import('./AirBnBDataHandler.js').FilterParameters} filters - Shorthand ranges
+ * @returns {FilterExpr} Equivalent expression
+ */
+export const fromFilterParameters = (filters = {}) => ({
+  and: Object.entries(SHORTHAND_FIELDS).flatMap(([prefix, field]) => {
+    const min = filters[`${prefix}_min`] ?? 0;
+    const max = filters[`${prefix}_max`];
+    const openMax = max === null || max === undefined || max === Infinity;
+    if (openMax) {
+      return min ? [{ field, op: "gte", value: min }] : [];
+    }
+    return max ? [{ field, op: "between", value: [min, max] }] : [];
+  }),
+});
+
+/**
+ * Checks whether an object is a filter expression rather than the shorthand
+ * @param {Object} filters - Candidate expression
+ * @returns {boolean} True for conditions and groups
+ */
+const isExpression = filters =>
+  "field" in filters || "and" in filters || "or" in filters || "not" in filters;
+
+/**
+ * Normalizes anything handler.filter() accepts into an expression
+ * @param {FilterExpr|import('./AirBnBDataHandler.js').FilterParameters|string} filters -
+ *   An expression, the FilterParameters shorthand or a text query
+ * @returns {FilterExpr} The expression
+ * @throws {FilterError} If a text query cannot be parsed
+ */
+export const toFilterExpression = (filters = {}) => {
+  if (typeof filters === "string") return parseFilterQuery(filters);
+  if (typeof filters === "function") return filters;
+  return isExpression(filters) ? filters : fromFilterParameters(filters);
+};
+
+/**
+ * Comparison symbols of the query syntax and the operator each maps to
+ * @type {Object<string, string>}
+ */
+const SYMBOL_OPERATORS = {
+  "=": "eq",
+  "==": "eq",
+  "!=": "neq",
+  ">": "gt",
+  ">=": "gte",
+  "<": "lt",
+  "<=": "lte",
+  "~": "contains",
+  "=~": "regex",
+};
+
+const TOKEN_PATTERN = new RegExp(
+  [
+    "(?<space>\\s+)",
+    "(?<string>\"(?:[^\"\\\\]|\\\\.)*\"|'(?:[^'\\\\]|\\\\.)*')",
+    "(?<regex>/(?:[^/\\\\]|\\\\.)+/[a-z]*)",
+    "(?<symbol>=~|==|!=|>=|<=|[=<>~(),\\[\\]])",
+    "(?<word>[^\\s\"'=!<>~(),\\[\\]]+)",
+  ].join("|"),
+  "y"
+);
+
+/**
+ * Splits a query into tokens
+ * @param {string} text - Query text
+ * @returns {Array<{type: string, text: string, position: number}>} Tokens
+ * @throws {FilterError} On unterminated strings or stray characters
+ */
+const tokenize = text => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      throw new FilterError(`Unexpected "${text[position]}"`, position);
+    }
+    const [type, value] = Object.entries(match.groups).find(([, group]) => group !== undefined);
+    if (type !== "space") tokens.push({ type, text: value, position });
+  }
+  return tokens;
+};
+
+/**
+ * Converts a literal token into its value
+ * @param {{type: string, text: string, position: number}} token - Literal token
+ * @returns {string|number|boolean|RegExp} Parsed value
+ * @throws {FilterError} If a regex literal is invalid
+ */
+const literalValue = ({ type, text, position }) => {
+  if (type === "string") return text.slice(1, -1).replace(/\\(.)/g, "$1");
+  if (type === "regex") {
+    const end = text.lastIndexOf("/");
+    try {
+      return new RegExp(text.slice(1, end), text.slice(end + 1) || "i");
+    } catch (error) {
+      throw new FilterError(`Invalid regex ${text}: ${error.message}`, position);
+    }
+  }
+  if (/^(true|false)$/i.test(text)) return text.toLowerCase() === "true";
+  const number = Number(text);
+  // Ids beyond Number.MAX_SAFE_INTEGER stay text so they still match exactly
+  if (/^\d+$/.test(text) && !Number.isSafeInteger(number)) return text;
+  return text !== "" && !Number.isNaN(number) ? number : text;
+};
+
+/**
+ * Parses a text query into a filter expression.
+ *
+ * Conditions are `field op value` where op is one of `= != > >= < <= ~` (contains)
+ * or `=~` (regex), `field in (a, b)`, `field between min and max`,
+ * `field is null` or `field is not null`. Combine them with `and`, `or`, `not`
+ * and parentheses; `and` binds tighter than `or`. Quote values with spaces.
+ * @param {string} text - Query text
+ * @returns {FilterExpr} Parsed expression
+ * @throws {FilterError} On syntax errors
+ * @example
+ * parseFilterQuery('room_type = "Entire home/apt" and (bedrooms >= 3 or price < 150)');
+ */
+export const parseFilterQuery = text => {
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const atEnd = () => index >= tokens.length;
+  const isKeyword = (token, keyword) =>
+    token?.type === "word" && token.text.toLowerCase() === keyword;
+  const fail = message => {
+    throw new FilterError(message, atEnd() ? text.length : peek().position);
+  };
+  const next = () => {
+    if (atEnd()) fail("Unexpected end of query");
+    return tokens[index++];
+  };
+  const expectSymbol = symbol => {
+    if (peek()?.text !== symbol) fail(`Expected "${symbol}"`);
+    return next();
+  };
+  const value = () => {
+    const token = next();
+    if (token.type === "symbol") {
+      index -= 1;
+      fail("Expected a value");
+    }
+    return literalValue(token);
+  };
+  const list = () => {
+    const close = peek()?.text === "[" ? "]" : ")";
+    if (peek()?.text !== "[") expectSymbol("(");
+    else next();
+    const values = [value()];
+    while (peek()?.text === ",") {
+      next();
+      values.push(value());
+    }
+    expectSymbol(close);
+    return values;
+  };
+
+  const condition = () => {
+    const fieldToken = next();
+    if (fieldToken.type !== "word") {
+      index -= 1;
+      fail("Expected a field name");
+    }
+    const field = fieldToken.text;
+    const token = peek();
+
+    if (isKeyword(token, "is")) {
+      next();
+      const negated = isKeyword(peek(), "not");
+      if (negated) next();
+      if (!isKeyword(peek(), "null")) fail("Expected \"null\"");
+      next();
+      return { field, op: negated ? "notNull" : "isNull" };
+    }
+    if (isKeyword(token, "in")) {
+      next();
+      return { field, op: "in", value: list() };
+    }
+    if (isKeyword(token, "between")) {
+      next();
+      const min = value();
+      if (!isKeyword(peek(), "and")) fail("Expected \"and\" in between");
+      next();
+      return { field, op: "between", value: [min, value()] };
+    }
+    if (isKeyword(token, "contains")) {
+      next();
+      return { field, op: "contains", value: value() };
+    }
+    if (token?.type === "symbol" && SYMBOL_OPERATORS[token.text]) {
+      next();
+      const op = SYMBOL_OPERATORS[token.text];
+      const operand = value();
+      return { field, op, value: op === "contains" ? String(operand) : operand };
+    }
+    return fail(`Expected an operator after "${field}"`);
+  };
+
+  const unary = () => {
+    if (isKeyword(peek(), "not")) {
+      next();
+      return { not: unary() };
+    }
+    if (peek()?.text === "(") {
+      next();
+      const inner = orExpression();
+      expectSymbol(")");
+      return inner;
+    }
+    return condition();
+  };
+
+  const andExpression = () => {
+    const operands = [unary()];
+    while (isKeyword(peek(), "and")) {
+      next();
+      operands.push(unary());
+    }
+    return operands.length === 1 ? operands[0] : { and: operands };
+  };
+
+  const orExpression = () => {
+    const operands = [andExpression()];
+    while (isKeyword(peek(), "or")) {
+      next();
+      operands.push(andExpression());
+    }
+    return operands.length === 1 ? operands[0] : { or: operands };
+  };
+
+  if (atEnd()) fail("Empty query");
+  const expr = orExpression();
+  if (!atEnd()) fail(`Unexpected "${peek().text}"`);
+  compileFilter(expr);
+  return expr;
+};
@@ -0,0 +1,276 @@
+/**
+ * Geospatial search module.
+ * Distance, bounding-box and polygon tests on listing latitude/longitude,
+ * GeoJSON loading and FeatureCollection export.
+ *
+ * @module GeoSearch
+ */
+
+import { readFile } from "fs/promises";
+import { toNumber } from "./FilterExpression.js";
+
+/**
+ * Mean Earth radius in kilometres
+ * @type {number}
+ */
+const EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * Error raised for invalid coordinates or GeoJSON
+ * @extends Error
+ */
+export class GeoError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = "GeoError";
+  }
+}
+
+/**
+ * A geographic point
+ * @typedef {Object} GeoPoint
+ * @property {number} lat - Latitude in degrees
+ * @property {number} lon - Longitude in degrees
+ */
+
+/**
+ * A latitude/longitude box
+ * @typedef {Object} BoundingBox
+ * @property {number} minLat - Southern edge
+ * @property {number} minLon - Western edge
+ * @property {number} maxLat - Northern edge
+ * @property {number} maxLon - Eastern edge
+ */
+
+/**
+ * Reads a listing's coordinates
+ * @param {Object} listing - Listing with latitude and longitude
+ * @returns {?GeoPoint} The point, null when either coordinate is missing
+ */
+export const listingPoint = listing => {
+  const lat = toNumber(listing.latitude ?? null);
+  const lon = toNumber(listing.longitude ?? null);
+  return lat === null || lon === null ? null : { lat, lon };
+};
+
+/**
+ * Checks that a point has valid coordinates
+ * @param {GeoPoint} point - Point to check
+ * @returns {GeoPoint} The same point
+ * @throws {GeoError} If latitude or longitude is out of range
+ */
+export const checkPoint = point => {
+  if (!Number.isFinite(point?.lat) || Math.abs(point.lat) > 90 ||
+    !Number.isFinite(point?.lon) || Math.abs(point.lon) > 180) {
+    throw new GeoError(`Invalid coordinates: ${JSON.stringify(point)}`);
+  }
+  return point;
+};
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {GeoPoint} a - First point
+ * @param {GeoPoint} b - Second point
+ * @returns {number} Distance in kilometres
+ * @example
+ * haversineKm({ lat: 37.7749, lon: -122.4194 }, { lat: 37.8080, lon: -122.4177 }); // ≈ 3.69
+ */
+export const haversineKm = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Distance from a listing to a point
+ * @param {GeoPoint} point - Reference point
+ * @returns {function(Object): ?number} Kilometres from the listing, null without coordinates
+ */
+export const distanceFrom = point => {
+  checkPoint(point);
+  return listing => {
+    const location = listingPoint(listing);
+    return location === null ? null : haversineKm(point, location);
+  };
+};
+
+/**
+ * Predicate for listings within a radius of a point
+ * @param {GeoPoint} point - Centre
+ * @param {number} radiusKm - Radius in kilometres
+ * @returns {function(Object): boolean} Listing predicate
+ * @throws {GeoError} If the point or radius is invalid
+ */
+export const withinRadius = (point, radiusKm) => {
+  if (!Number.isFinite(radiusKm) || radiusKm < 0) {
+    throw new GeoError(`Invalid radius: ${radiusKm}`);
+  }
+  const distance = distanceFrom(point);
+  return listing => {
+    const km = distance(listing);
+    return km !== null && km <= radiusKm;
+  };
+};
+
+/**
+ * Predicate for listings inside a latitude/longitude box
+ * @param {BoundingBox} box - Box to test against
+ * @returns {function(Object): boolean} Listing predicate
+ * @throws {GeoError} If the box corners are invalid
+ */
+export const withinBounds = ({ minLat, minLon, maxLat, maxLon }) => {
+  checkPoint({ lat: minLat, lon: minLon });
+  checkPoint({ lat: maxLat, lon: maxLon });
+  if (minLat > maxLat || minLon > maxLon) {
+    throw new GeoError("Bounding box min corner must be south-west of max corner");
+  }
+  return listing => {
+    const point = listingPoint(listing);
+    return point !== null &&
+      point.lat >= minLat && point.lat <= maxLat &&
+      point.lon >= minLon && point.lon <= maxLon;
+  };
+};
+
+/**
+ * Ray-casting test of a point against one linear ring of [lon, lat] positions
+ * @param {GeoPoint} point - Point to test
+ * @param {Array<Array<number>>} ring - Closed ring of positions
+ * @returns {boolean} True when the point is inside the ring
+ */
+const insideRing = ({ lat, lon }, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Tests a point against a polygon given as GeoJSON rings; holes are excluded
+ * @param {GeoPoint} point - Point to test
+ * @param {Array<Array<Array<number>>>} rings - Outer ring followed by holes
+ * @returns {boolean} True when the point is inside
+ */
+const insidePolygon = (point, [outer, ...holes]) =>
+  insideRing(point, outer) && !holes.some(hole => insideRing(point, hole));
+
+/**
+ * Lists the polygons of a GeoJSON object
+ * @param {Object} geojson - Polygon, MultiPolygon, Feature or FeatureCollection
+ * @returns {Array<Array<Array<Array<number>>>>} Polygons as arrays of rings
+ * @throws {GeoError} If the object holds no polygons
+ */
+const polygonsOf = geojson => {
+  switch (geojson?.type) {
+    case "Polygon":
+      return [geojson.coordinates];
+    case "MultiPolygon":
+      return geojson.coordinates;
+    case "Feature":
+      return polygonsOf(geojson.geometry);
+    case "FeatureCollection":
+      return geojson.features.flatMap(polygonsOf);
+    default:
+      throw new GeoError(`Expected polygon GeoJSON, got ${geojson?.type ?? typeof geojson}`);
+  }
+};
+
+/**
+ * Predicate for listings inside a GeoJSON area
+ * @param {Object} geojson - Polygon, MultiPolygon, Feature or FeatureCollection
+ * @returns {function(Object): boolean} Listing predicate
+ * @throws {GeoError} If the GeoJSON holds no polygons
+ */
+export const withinPolygon = geojson => {
+  const polygons = polygonsOf(geojson);
+  if (polygons.length === 0) {
+    throw new GeoError("GeoJSON contains no polygons");
+  }
+  return listing => {
+    const point = listingPoint(listing);
+    return point !== null && polygons.some(rings => insidePolygon(point, rings));
+  };
+};
+
+/**
+ * Reads a GeoJSON file such as Inside Airbnb's neighbourhoods.geojson
+ * @async
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<Object>} Parsed GeoJSON
+ * @throws {Error} If the file cannot be read or is not JSON
+ */
+export const loadGeoJson = async filePath => JSON.parse(await readFile(filePath, "utf-8"));
+
+/**
+ * Selects features whose property matches one of the given names, case-insensitively
+ * @param {Object} collection - FeatureCollection
+ * @param {Array<string>} names - Names to keep, e.g. ["Mission", "Noe Valley"]
+ * @param {string} [property="neighbourhood"] - Feature property holding the name
+ * @returns {Object} FeatureCollection with the matching features
+ * @throws {GeoError} If a name matches no feature
+ */
+export const selectFeatures = (collection, names, property = "neighbourhood") => {
+  const features = collection.features ?? [];
+  const wanted = names.map(name => name.toLowerCase());
+  const selected = features.filter(feature =>
+    wanted.includes(String(feature.properties?.[property] ?? "").toLowerCase())
+  );
+  const found = new Set(selected.map(feature => String(feature.properties[property]).toLowerCase()));
+  const missing = names.filter(name => !found.has(name.toLowerCase()));
+  if (missing.length > 0) {
+    throw new GeoError(`No feature with ${property} ${missing.map(name => `"${name}"`).join(", ")}`);
+  }
+  return { type: "FeatureCollection", features: selected };
+};
+
+/**
+ * Columns exported as feature properties by default
+ * @type {Array<string>}
+ */
+export const DEFAULT_FEATURE_PROPERTIES = [
+  "id",
+  "name",
+  "listing_url",
+  "price",
+  "room_type",
+  "bedrooms",
+  "accommodates",
+  "review_scores_rating",
+  "neighbourhood_cleansed",
+  "distance_km",
+];
+
+/**
+ * Converts listings to a GeoJSON FeatureCollection of points.
+ * Listings without coordinates are skipped.
+ * @param {Array<Object>} listings - Listings to convert
+ * @param {Array<string>} [properties=DEFAULT_FEATURE_PROPERTIES] - Columns copied into each feature
+ * @returns {Object} FeatureCollection
+ */
+export const toFeatureCollection = (listings, properties = DEFAULT_FEATURE_PROPERTIES) => ({
+  type: "FeatureCollection",
+  features: listings.flatMap(listing => {
+    const point = listingPoint(listing);
+    if (point === null) return [];
+    return [{
+      type: "Feature",
+      id: listing.id ?? undefined,
+      geometry: { type: "Point", coordinates: [point.lon, point.lat] },
+      properties: Object.fromEntries(
+        properties.filter(column => column in listing).map(column => [column, listing[column]])
+      ),
+    }];
+  }),
+});
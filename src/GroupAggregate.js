@@ -0,0 +1,356 @@
+/**
+ * Grouping and aggregation module.
+ * Groups listings by columns or derived keys (bedroom bucket, price band,
+ * host_since year), computes count, sum, mean, median, min, max, percentiles
+ * and distinct counts per group, and builds two-dimensional pivot tables.
+ *
+ * @module GroupAggregate
+ */
+
+import { toNumber } from "./FilterExpression.js";
+import { DERIVED_KEYS, sortListings } from "./ListingSort.js";
+import { quantile } from "./ListingStats.js";
+
+/**
+ * Error raised for unknown group keys and malformed aggregates
+ * @extends Error
+ */
+export class GroupError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = "GroupError";
+  }
+}
+
+/**
+ * Keys computed from other columns for grouping. price_band takes an optional
+ * band width, e.g. "price_band:100"; the default is 50. Its labels start with the currency symbol.
+ * @type {Object<string, function(?number, string=): function(Object): *>}
+ */
+export const GROUP_KEYS = {
+  bedroom_bucket: () => listing => {
+    const bedrooms = toNumber(listing.bedrooms ?? null);
+    if (bedrooms === null) return null;
+    return bedrooms >= 4 ? "4+" : String(bedrooms);
+  },
+  price_band: (width = 50, symbol = "$") => listing => {
+    const price = toNumber(listing.price ?? null);
+    if (price === null) return null;
+    const low = Math.floor(price / width) * width;
+    return `${symbol}${low}–${symbol}${low + width}`;
+  },
+  host_since_year: () => listing => {
+    const year = /^(\d{4})-/.exec(String(listing.host_since ?? ""));
+    return year ? Number(year[1]) : null;
+  },
+};
+
+/**
+ * A resolved group key
+ * @typedef {Object} GroupKey
+ * @property {string} name - Column name in the group rows
+ * @property {function(Object): *} get - Reads the key from a listing
+ */
+
+/**
+ * Resolves a group key: a derived key from GROUP_KEYS or DERIVED_KEYS, or a column
+ * @param {string} spec - Key such as "room_type", "bedroom_bucket" or "price_band:25"
+ * @param {Object} [options] - Key options
+ * @param {string} [options.symbol="$"] - Currency symbol of price_band labels
+ * @returns {GroupKey} Resolved key
+ * @throws {GroupError} If the key is malformed or its parameter invalid
+ */
+export const resolveGroupKey = (spec, { symbol = "$" } = {}) => {
+  const [name, parameter, ...rest] = String(spec).trim().split(":");
+  if (!/^[\w.-]+$/.test(name) || rest.length > 0) {
+    throw new GroupError(`Invalid group key "${spec}"`);
+  }
+  if (parameter !== undefined) {
+    const width = Number(parameter);
+    if (name !== "price_band") throw new GroupError(`Only price_band takes a parameter, got "${spec}"`);
+    if (!(width > 0)) throw new GroupError(`price_band width must be a positive number, got "${parameter}"`);
+    return { name, get: GROUP_KEYS.price_band(width, symbol) };
+  }
+  if (GROUP_KEYS[name]) return { name, get: GROUP_KEYS[name](undefined, symbol) };
+  if (DERIVED_KEYS[name]) return { name, get: DERIVED_KEYS[name] };
+  return { name, get: listing => listing[name] ?? null };
+};
+
+/**
+ * Aggregate functions over the values of one group; null values are skipped
+ * @type {Object<string, function(Array<*>, ?number): *>}
+ */
+const AGGREGATORS = {
+  count: values => values.length,
+  sum: values => numbers(values).reduce((total, value) => total + value, 0),
+  mean: values => {
+    const list = numbers(values);
+    return list.length === 0 ? null : list.reduce((total, value) => total + value, 0) / list.length;
+  },
+  median: values => quantile(sorted(values), 0.5),
+  min: values => numbers(values).reduce((low, value) => (low === null || value < low ? value : low), null),
+  max: values => numbers(values).reduce((high, value) => (high === null || value > high ? value : high), null),
+  percentile: (values, p) => quantile(sorted(values), p / 100),
+  distinct: values => new Set(values.map(value => (typeof value === "object" ? JSON.stringify(value) : value))).size,
+};
+
+const FUNCTION_ALIASES = { avg: "mean", average: "mean", distinct_count: "distinct", count_distinct: "distinct" };
+
+const numbers = values => values.map(toNumber).filter(value => value !== null);
+const sorted = values => Float64Array.from(numbers(values)).sort();
+const round = value => (typeof value === "number" && !Number.isInteger(value) ? Number(value.toFixed(4)) : value);
+
+/**
+ * One aggregate column
+ * @typedef {Object} Aggregate
+ * @property {string} alias - Column name in the group rows
+ * @property {string} fn - Function: count, sum, mean, median, min, max, percentile or distinct
+ * @property {?string} column - Column or derived key aggregated; null counts rows
+ * @property {?number} p - Percentile from 0 to 100, for percentile
+ */
+
+/**
+ * Parses one aggregate such as "count", "median(price)", "p90(price)",
+ * "percentile(price, 90)" or "distinct(host_id)"
+ * @param {string} text - Aggregate
+ * @param {string} [alias] - Column name; defaults to e.g. "median_price" or "p90_price"
+ * @returns {Aggregate} Parsed aggregate
+ * @throws {GroupError} If the function is unknown or its arguments wrong
+ */
+export const parseAggregate = (text, alias) => {
+  const match = /^\s*([a-z_]+?)(\d{1,2})?\s*(?:\(\s*([^,()\s]+)?\s*(?:,\s*([\d.]+)\s*)?\))?\s*$/i.exec(String(text));
+  if (!match) throw new GroupError(`Invalid aggregate "${text}"; expected e.g. "median(price)"`);
+  const [, rawName, digits, column = null, parameter] = match;
+  const name = rawName.toLowerCase();
+  let fn = FUNCTION_ALIASES[name] ?? name;
+  let p = null;
+  if (digits !== undefined) {
+    if (fn !== "p") throw new GroupError(`Unknown aggregate function "${name}${digits}"`);
+    fn = "percentile";
+    p = Number(digits);
+  } else if (fn === "percentile") {
+    p = Number(parameter);
+    if (parameter === undefined || !(p >= 0 && p <= 100)) {
+      throw new GroupError("percentile needs a column and a percentile from 0 to 100, e.g. \"percentile(price, 90)\"");
+    }
+  } else if (parameter !== undefined) {
+    throw new GroupError(`${fn} takes one column, got "${text}"`);
+  }
+  if (!AGGREGATORS[fn]) {
+    throw new GroupError(`Unknown aggregate function "${name}"; expected ${Object.keys(AGGREGATORS).join(", ")} or pNN`);
+  }
+  if (column === null && fn !== "count") throw new GroupError(`${fn} needs a column, e.g. "${fn}(price)"`);
+  const prefix = fn === "percentile" ? `p${p}` : fn;
+  return { alias: alias ?? (column === null ? prefix : `${prefix}_${column}`), fn, column, p };
+};
+
+/**
+ * Parses aggregates given as a comma-separated list, a list or an object of alias: aggregate
+ * @param {string|Array<string>|Object<string, (string|Aggregate)>} spec - e.g.
+ *   "count, median(price), p90(price)" or { listings: "count", medianPrice: "median(price)" }
+ * @returns {Array<Aggregate>} Aggregates in order
+ * @throws {GroupError} If an aggregate is malformed or two share a column name
+ */
+export const parseAggregates = spec => {
+  let aggregates;
+  if (typeof spec === "string") {
+    aggregates = (spec.match(/[^,(]+(?:\([^)]*\))?/g) ?? [])
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => parseAggregate(part));
+  } else if (Array.isArray(spec)) {
+    aggregates = spec.map(part => parseAggregate(part));
+  } else if (spec && typeof spec === "object") {
+    aggregates = Object.entries(spec).map(([alias, value]) => {
+      if (typeof value === "string") return parseAggregate(value, alias);
+      const parameter = value?.p !== undefined ? `, ${value.p}` : "";
+      return parseAggregate(`${value?.fn}${value?.column ? `(${value.column}${parameter})` : ""}`, alias);
+    });
+  } else {
+    throw new GroupError("Aggregates must be a string, a list or an object");
+  }
+  if (aggregates.length === 0) throw new GroupError("No aggregates given");
+  const aliases = aggregates.map(({ alias }) => alias);
+  const duplicate = aliases.find((alias, index) => aliases.indexOf(alias) !== index);
+  if (duplicate) throw new GroupError(`Two aggregates are named "${duplicate}"`);
+  return aggregates;
+};
+
+/**
+ * Reads the values an aggregate works on
+ * @param {Array<Object>} listings - Listings of a group
+ * @param {Aggregate} aggregate - Aggregate
+ * @returns {Array<*>} Values, without nulls; one per listing for a plain count
+ */
+const aggregateValues = (listings, { column }) => {
+  if (column === null) return listings;
+  const get = DERIVED_KEYS[column] ?? GROUP_KEYS[column]?.() ?? (listing => listing[column]);
+  return listings.map(get).filter(value => value !== null && value !== undefined && value !== "");
+};
+
+/**
+ * Checks that the group keys and aggregated columns exist in the data
+ * @param {Array<Object>} listings - Listings
+ * @param {Array<GroupKey>} keys - Resolved group keys
+ * @param {Array<Aggregate>} aggregates - Aggregates
+ * @throws {GroupError} If no listing has a key or aggregated column
+ */
+const checkColumns = (listings, keys, aggregates) => {
+  const unknown = [...keys.map(({ name }) => name), ...aggregates.map(({ column }) => column)]
+    .filter(column => column !== null && !DERIVED_KEYS[column] && !GROUP_KEYS[column] &&
+      listings.length > 0 && !listings.some(listing => column in listing));
+  if (unknown.length > 0) throw new GroupError(`Unknown column ${unknown.map(column => `"${column}"`).join(", ")}`);
+};
+
+/**
+ * Computes the aggregates of one set of listings
+ * @param {Array<Object>} listings - Listings
+ * @param {Array<Aggregate>} aggregates - Aggregates
+ * @returns {Object<string, *>} Value per alias; means and percentiles rounded to 4 decimals
+ */
+export const aggregateListings = (listings, aggregates) => Object.fromEntries(aggregates.map(aggregate => [
+  aggregate.alias,
+  round(AGGREGATORS[aggregate.fn](aggregateValues(listings, aggregate), aggregate.p)),
+]));
+
+/**
+ * Splits listings into groups by the values of the keys
+ * @param {Array<Object>} listings - Listings
+ * @param {Array<GroupKey>} keys - Resolved keys
+ * @returns {Array<{values: Array<*>, listings: Array<Object>}>} Groups in order of first appearance
+ */
+const splitGroups = (listings, keys) => {
+  const groups = new Map();
+  listings.forEach(listing => {
+    const values = keys.map(({ get }) => get(listing) ?? null);
+    const id = JSON.stringify(values);
+    if (!groups.has(id)) groups.set(id, { values, listings: [] });
+    groups.get(id).listings.push(listing);
+  });
+  return [...groups.values()];
+};
+
+/**
+ * Groups listings and aggregates each group
+ * @param {Array<Object>} listings - Listings
+ * @param {Array<string>} keys - Group keys, see resolveGroupKey
+ * @param {string|Array<string>|Object} [spec="count"] - Aggregates, see parseAggregates
+ * @param {Object} [options] - Key options, see resolveGroupKey
+ * @returns {Array<Object>} One row per group with the key columns and one column per aggregate,
+ *   sorted by the keys; missing key values come last
+ * @throws {GroupError} If a key or aggregate is invalid
+ * @example
+ * groupListings(listings, ['neighbourhood_cleansed', 'bedroom_bucket'], 'count, median(price), p90(price)');
+ * // [{ neighbourhood_cleansed: 'Bayview', bedroom_bucket: '1', count: 4, median_price: 120, p90_price: 181 }, ...]
+ */
+export const groupListings = (listings, keys, spec = "count", options = {}) => {
+  if (keys.length === 0) throw new GroupError("Group by at least one key");
+  const resolved = keys.map(key => resolveGroupKey(key, options));
+  const aggregates = parseAggregates(spec);
+  checkColumns(listings, resolved, aggregates);
+  const clash = aggregates.find(({ alias }) => resolved.some(({ name }) => name === alias));
+  if (clash) throw new GroupError(`Aggregate "${clash.alias}" has the name of a group key`);
+  const rows = splitGroups(listings, resolved).map(group => ({
+    ...Object.fromEntries(resolved.map(({ name }, index) => [name, group.values[index]])),
+    ...aggregateListings(group.listings, aggregates),
+  }));
+  return sortListings(rows, resolved.map(({ name }) => name).join(", "));
+};
+
+/**
+ * Label of the total row and column of a pivot table
+ * @type {string}
+ */
+export const PIVOT_TOTAL = "Total";
+
+/**
+ * Builds a pivot table: one row per value of the row key, one column per value of
+ * the column key, and a cell with the aggregate of the listings in both. A total
+ * column and a total row aggregate each row, each column and everything.
+ * @param {Array<Object>} listings - Listings
+ * @param {string} rowKey - Key whose values become rows, see resolveGroupKey
+ * @param {string} columnKey - Key whose values become columns
+ * @param {string|Aggregate} [aggregate="count"] - One aggregate, e.g. "median(price)"
+ * @param {Object} [options] - Key options, see resolveGroupKey
+ * @returns {Array<Object>} Rows with the row key column, one column per column value
+ *   (null cells where no listing falls) and Total; the last row is the total row. When a
+ *   column value is a whole number, columns are named like "bedroom_bucket=2"
+ * @throws {GroupError} If a key or the aggregate is invalid
+ * @example
+ * pivotListings(listings, 'neighbourhood_cleansed', 'room_type', 'median(price)');
+ * // [{ neighbourhood_cleansed: 'Bayview', 'Entire home/apt': 150, 'Private room': 95, Total: 140 }, ...]
+ */
+export const pivotListings = (listings, rowKey, columnKey, aggregate = "count", options = {}) => {
+  const [rows, columns] = [rowKey, columnKey].map(key => resolveGroupKey(key, options));
+  const aggregates = typeof aggregate === "string" ? parseAggregates(aggregate) : [aggregate];
+  if (aggregates.length !== 1) throw new GroupError("A pivot table shows one aggregate");
+  checkColumns(listings, [rows, columns], aggregates);
+  const [{ alias }] = aggregates;
+  const value = group => aggregateListings(group, aggregates)[alias];
+  const keys = sortListings(splitGroups(listings, [columns]).map(({ values: [key] }) => ({ key })), "key")
+    .map(({ key }) => key);
+  // Integer-like property names would be moved ahead of the row key column, so such values get the key name
+  const prefixed = keys.some(key => /^\d+$/.test(String(key)));
+  const label = key => {
+    const text = key === null ? "(none)" : String(key);
+    return prefixed ? `${columns.name}=${text}` : text;
+  };
+  const columnValues = keys.map(label);
+  if (columnValues.includes(rows.name) || columnValues.includes(PIVOT_TOTAL)) {
+    throw new GroupError(`A value of ${columns.name} clashes with the row key or total column`);
+  }
+  const cellsOf = group => Object.fromEntries(columnValues.map(column => {
+    const cell = group.filter(listing => label(columns.get(listing) ?? null) === column);
+    return [column, cell.length > 0 ? value(cell) : null];
+  }));
+
+  const body = sortListings(splitGroups(listings, [rows]).map(group => ({
+    [rows.name]: group.values[0],
+    ...cellsOf(group.listings),
+    [PIVOT_TOTAL]: value(group.listings),
+  })), rows.name);
+  return [...body, { [rows.name]: PIVOT_TOTAL, ...cellsOf(listings), [PIVOT_TOTAL]: value(listings) }];
+};
+
+/**
+ * Formats rows as a text table with aligned columns
+ * @param {Array<Object>} rows - Rows
+ * @param {Array<string>} [columns] - Columns in order, default the first row's
+ * @returns {string} Table; numeric columns are right-aligned and empty cells shown as "–"
+ */
+export const formatTable = (rows, columns = Object.keys(rows[0] ?? {})) => {
+  const text = value => {
+    if (value === null || value === undefined) return "–";
+    return typeof value === "number" ? String(round(value)) : String(value);
+  };
+  const cells = rows.map(row => columns.map(column => text(row[column])));
+  const widths = columns.map((column, index) => Math.max(column.length, ...cells.map(row => row[index].length)));
+  const numeric = columns.map(column => rows.some(row => typeof row[column] === "number"));
+  const align = (value, index) => (numeric[index] ? value.padStart(widths[index]) : value.padEnd(widths[index]));
+  return [
+    columns.map((column, index) => align(column, index)).join("  "),
+    widths.map(width => "-".repeat(width)).join("  "),
+    ...cells.map(row => row.map(align).join("  ")),
+  ].map(line => line.trimEnd()).join("\n");
+};
+
+/**
+ * Prints group rows to the console
+ * @param {Array<Object>} rows - Rows from groupListings
+ */
+export const printGroups = rows => {
+  console.log(`\n${rows.length} group${rows.length === 1 ? "" : "s"}:`);
+  console.log(formatTable(rows));
+};
+
+/**
+ * Prints a pivot table to the console
+ * @param {Array<Object>} rows - Rows from pivotListings
+ */
+export const printPivotTable = rows => {
+  console.log("\nPivot table:");
+  console.log(formatTable(rows));
+};
@@ -0,0 +1,322 @@
+/**
+ * Host analytics module.
+ * Summarizes listings per host: portfolio size, room types, superhost status,
+ * response and acceptance rates, rating, estimated revenue and neighbourhoods,
+ * ranks hosts by any of these and flags likely commercial operators.
+ *
+ * @module HostAnalytics
+ */
+
+import { isMissing, toNumber } from "./FilterExpression.js";
+import { createComparator } from "./ListingSort.js";
+import { estimateRevenue } from "./RevenueModel.js";
+
+/**
+ * Error raised for unknown ranking metrics
+ * @extends Error
+ */
+export class HostAnalyticsError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = "HostAnalyticsError";
+  }
+}
+
+/**
+ * Room type column values and the summary fields counting them
+ * @type {Object<string, string>}
+ */
+const ROOM_TYPE_FIELDS = {
+  "Entire home/apt": "entireHomes",
+  "Private room": "privateRooms",
+  "Shared room": "sharedRooms",
+  "Hotel room": "hotelRooms",
+};
+
+/**
+ * Summary of one host within a set of listings
+ * @typedef {Object} HostSummary
+ * @property {string} hostId - Host ID
+ * @property {?string} name - Host name
+ * @property {?boolean} superhost - Superhost status
+ * @property {number} listings - Listings of the host in the set
+ * @property {number} entireHomes - Entire homes/apartments in the set
+ * @property {number} privateRooms - Private rooms in the set
+ * @property {number} sharedRooms - Shared rooms in the set
+ * @property {number} hotelRooms - Hotel rooms in the set
+ * @property {?number} calculatedListings - Inside Airbnb's calculated_host_listings_count, which counts
+ *   the host's listings across the whole city, not just the set
+ * @property {{entireHomes: ?number, privateRooms: ?number, sharedRooms: ?number}} calculated -
+ *   The calculated_host_listings_count_* breakdown by room type
+ * @property {?number} responseRate - host_response_rate in percent
+ * @property {?number} acceptanceRate - host_acceptance_rate in percent
+ * @property {?number} averageRating - Mean review_scores_rating of the host's rated listings
+ * @property {number} reviews - Total number_of_reviews
+ * @property {?number} estimatedRevenue - Sum of the listings' estimated annual revenue, null when none could be estimated
+ * @property {number} unlicensed - Listings with no license number, or one still pending
+ * @property {Array<string>} neighbourhoods - Neighbourhoods covered, alphabetically
+ * @property {boolean} commercial - True when any commercial rule matched
+ * @property {Array<string>} commercialReasons - The rules that matched, e.g. "5 entire homes"
+ */
+
+/**
+ * Thresholds for flagging likely commercial operators; a rule set to 0 is skipped
+ * @typedef {Object} CommercialRules
+ * @property {number} [minEntireHomes=3] - Entire homes, in the set or city-wide
+ * @property {number} [minUnlicensed=2] - Listings without a license number
+ * @property {number} [minListings=10] - Listings city-wide (calculated_host_listings_count)
+ */
+
+/** @type {CommercialRules} */
+export const DEFAULT_COMMERCIAL_RULES = Object.freeze({
+  minEntireHomes: 3,
+  minUnlicensed: 2,
+  minListings: 10,
+});
+
+/**
+ * Classifies a listing's license column.
+ * Inside Airbnb holds registration numbers, "Exempt", "City registration pending" and similar text.
+ * @param {Object} listing - Listing with a license column
+ * @returns {string} "licensed", "exempt", "pending" or "missing"
+ */
+export const licenseStatus = listing => {
+  const license = isMissing(listing.license ?? null) ? "" : String(listing.license).trim();
+  if (license === "") return "missing";
+  if (/pending/i.test(license)) return "pending";
+  if (/\d/.test(license)) return "licensed";
+  return /exempt|not needed|not required/i.test(license) ? "exempt" : "missing";
+};
+
+/**
+ * Annual revenue of a listing: its estimated_revenue column when the revenue
+ * columns were added, otherwise the default revenue model
+ * @param {Object} listing - Listing
+ * @returns {?number} Estimated revenue, null when it cannot be estimated
+ */
+const listingRevenue = listing =>
+  listing.estimated_revenue !== undefined ? listing.estimated_revenue : estimateRevenue(listing).estimated_revenue;
+
+/**
+ * Ranking metrics and how each is read from a host summary
+ * @type {Object<string, function(HostSummary): ?number>}
+ */
+export const HOST_METRICS = {
+  listings: host => host.listings,
+  calculatedListings: host => host.calculatedListings,
+  entireHomes: host => host.entireHomes,
+  privateRooms: host => host.privateRooms,
+  sharedRooms: host => host.sharedRooms,
+  superhost: host => (host.superhost === null ? null : Number(host.superhost)),
+  responseRate: host => host.responseRate,
+  acceptanceRate: host => host.acceptanceRate,
+  rating: host => host.averageRating,
+  reviews: host => host.reviews,
+  revenue: host => host.estimatedRevenue,
+  neighbourhoods: host => host.neighbourhoods.length,
+  unlicensed: host => host.unlicensed,
+};
+
+/**
+ * Resolves a metric name, accepting snake_case and a few aliases
+ * @param {string} name - e.g. "revenue", "calculated_listings", "averageRating"
+ * @returns {string} Key of HOST_METRICS
+ * @throws {HostAnalyticsError} If the metric is unknown
+ */
+export const hostMetric = name => {
+  const key = String(name).trim().replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+  const aliases = { count: "listings", averageRating: "rating", estimatedRevenue: "revenue", acceptance: "acceptanceRate", response: "responseRate" };
+  const metric = aliases[key] ?? key;
+  if (!HOST_METRICS[metric]) {
+    throw new HostAnalyticsError(`Unknown host metric "${name}"; expected one of ${Object.keys(HOST_METRICS).join(", ")}`);
+  }
+  return metric;
+};
+
+const mean = values => (values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length);
+
+/**
+ * Creates a collector that accumulates listings per host one at a time,
+ * in place, so the same code serves loaded and streamed data
+ * @param {Object} [options] - Collector options
+ * @param {function(Object): ?number} [options.revenue] - Annual revenue of a listing; defaults to its
+ *   estimated_revenue column or the default revenue model
+ * @param {CommercialRules} [options.rules] - Commercial operator thresholds
+ * @returns {{add: function(Object): void, result: function(): Array<HostSummary>}}
+ *   Collector whose result lists hosts by number of listings
+ */
+export const createHostCollector = ({ revenue = listingRevenue, rules = {} } = {}) => {
+  const { minEntireHomes, minUnlicensed, minListings } = { ...DEFAULT_COMMERCIAL_RULES, ...rules };
+  const hosts = new Map();
+
+  return {
+    add(listing) {
+      const hostId = String(listing.host_id ?? "");
+      let host = hosts.get(hostId);
+      if (!host) {
+        host = {
+          hostId,
+          name: listing.host_name ?? null,
+          superhost: null,
+          listings: 0,
+          entireHomes: 0,
+          privateRooms: 0,
+          sharedRooms: 0,
+          hotelRooms: 0,
+          calculatedListings: null,
+          calculated: { entireHomes: null, privateRooms: null, sharedRooms: null },
+          responseRate: null,
+          acceptanceRate: null,
+          ratings: [],
+          reviews: 0,
+          estimatedRevenue: null,
+          unlicensed: 0,
+          neighbourhoods: new Set(),
+        };
+        hosts.set(hostId, host);
+      }
+      host.listings += 1;
+      const roomField = ROOM_TYPE_FIELDS[listing.room_type];
+      if (roomField) host[roomField] += 1;
+
+      // Host-level columns repeat on every listing; keep the first value present
+      if (host.superhost === null && typeof listing.host_is_superhost === "boolean") {
+        host.superhost = listing.host_is_superhost;
+      }
+      host.calculatedListings ??= toNumber(listing.calculated_host_listings_count ?? null);
+      host.calculated.entireHomes ??= toNumber(listing.calculated_host_listings_count_entire_homes ?? null);
+      host.calculated.privateRooms ??= toNumber(listing.calculated_host_listings_count_private_rooms ?? null);
+      host.calculated.sharedRooms ??= toNumber(listing.calculated_host_listings_count_shared_rooms ?? null);
+      host.responseRate ??= toNumber(listing.host_response_rate ?? null);
+      host.acceptanceRate ??= toNumber(listing.host_acceptance_rate ?? null);
+
+      const rating = toNumber(listing.review_scores_rating ?? null);
+      if (rating !== null) host.ratings.push(rating);
+      host.reviews += toNumber(listing.number_of_reviews ?? null) ?? 0;
+      const annualRevenue = revenue(listing);
+      if (annualRevenue !== null && annualRevenue !== undefined) {
+        host.estimatedRevenue = (host.estimatedRevenue ?? 0) + annualRevenue;
+      }
+      if (["missing", "pending"].includes(licenseStatus(listing))) host.unlicensed += 1;
+      if (!isMissing(listing.neighbourhood_cleansed ?? null)) {
+        host.neighbourhoods.add(String(listing.neighbourhood_cleansed));
+      }
+    },
+
+    result() {
+      return [...hosts.values()]
+        .map(({ ratings, neighbourhoods, ...host }) => {
+          const entireHomes = Math.max(host.entireHomes, host.calculated.entireHomes ?? 0);
+          const commercialReasons = [
+            minEntireHomes > 0 && entireHomes >= minEntireHomes ? `${entireHomes} entire homes` : null,
+            minUnlicensed > 0 && host.unlicensed >= minUnlicensed ? `${host.unlicensed} listings without a license` : null,
+            minListings > 0 && (host.calculatedListings ?? host.listings) >= minListings
+              ? `${host.calculatedListings ?? host.listings} listings city-wide`
+              : null,
+          ].filter(Boolean);
+          return {
+            ...host,
+            averageRating: mean(ratings),
+            neighbourhoods: [...neighbourhoods].sort((a, b) => a.localeCompare(b)),
+            commercial: commercialReasons.length > 0,
+            commercialReasons,
+          };
+        })
+        .sort((a, b) => b.listings - a.listings);
+    },
+  };
+};
+
+/**
+ * Host report options
+ * @typedef {Object} HostReportOptions
+ * @property {string} [rankBy="listings"] - Metric to rank by, see HOST_METRICS
+ * @property {string} [direction="desc"] - "desc" puts the largest values first
+ * @property {number} [limit=10] - Number of hosts to return; Infinity for all
+ * @property {boolean} [commercialOnly=false] - Keep only hosts flagged as commercial
+ * @property {CommercialRules} [rules] - Commercial operator thresholds
+ * @property {function(Object): ?number} [revenue] - Annual revenue of a listing
+ */
+
+/**
+ * Ranks host summaries by a metric; ties go to the host with more listings, then by name
+ * @param {Array<HostSummary>} hosts - Summaries from a collector
+ * @param {HostReportOptions} [options] - Ranking options
+ * @returns {Array<HostSummary>} Ranked and limited summaries
+ * @throws {HostAnalyticsError} If the metric is unknown
+ */
+export const rankHostSummaries = (hosts, { rankBy = "listings", direction = "desc", limit = 10, commercialOnly = false } = {}) => {
+  const metric = hostMetric(rankBy);
+  const byMetric = createComparator(HOST_METRICS[metric], { direction });
+  const byListings = createComparator(HOST_METRICS.listings, { direction: "desc" });
+  const byName = createComparator(host => host.name);
+  return hosts
+    .filter(host => !commercialOnly || host.commercial)
+    .sort((a, b) => byMetric(a, b) || byListings(a, b) || byName(a, b))
+    .slice(0, limit);
+};
+
+/**
+ * Summarizes and ranks the hosts of a set of listings
+ * @param {Array<Object>} listings - Listings to analyse
+ * @param {HostReportOptions} [options] - Report options
+ * @returns {Array<HostSummary>} Ranked host summaries
+ * @throws {HostAnalyticsError} If the metric is unknown
+ * @example
+ * hostReport(listings, { rankBy: 'revenue', limit: 20, commercialOnly: true });
+ */
+export const hostReport = (listings, { revenue, rules, ...options } = {}) => {
+  hostMetric(options.rankBy ?? "listings");
+  const collector = createHostCollector({ revenue, rules });
+  listings.forEach(listing => collector.add(listing));
+  return rankHostSummaries(collector.result(), options);
+};
+
+const percent = value => (value === null ? "n/a" : `${value}%`);
+const money = (value, symbol) => (value === null ? "n/a" : `${symbol}${Math.round(value).toLocaleString("en-US")}`);
+
+/**
+ * Describes a metric for the report heading
+ * @param {string} rankBy - Metric name
+ * @returns {string} Human readable metric
+ */
+const metricLabel = rankBy => hostMetric(rankBy)
+  .replace(/([A-Z])/g, " $1")
+  .toLowerCase()
+  .replace(/^listings$/, "number of listings");
+
+/**
+ * Prints a host report to the console
+ * @param {Array<HostSummary>} hosts - Ranked summaries, already limited
+ * @param {Object} [options] - Printing options
+ * @param {string} [options.rankBy="listings"] - Metric the hosts were ranked by
+ * @param {string} [options.symbol="$"] - Currency symbol of revenue
+ */
+export const printHostReport = (hosts, { rankBy = "listings", symbol = "$" } = {}) => {
+  if (hosts.length === 0) {
+    console.log("\nNo hosts to rank.");
+    return;
+  }
+  console.log(`\n${hosts.length === 1 ? "Top host" : `Top ${hosts.length} hosts`} by ${metricLabel(rankBy)}:`);
+  hosts.forEach((host, index) => {
+    const rooms = [
+      host.entireHomes && `${host.entireHomes} entire`,
+      host.privateRooms && `${host.privateRooms} private`,
+      host.sharedRooms && `${host.sharedRooms} shared`,
+      host.hotelRooms && `${host.hotelRooms} hotel`,
+    ].filter(Boolean).join(", ");
+    const cityWide = host.calculatedListings === null ? "" : `, ${host.calculatedListings} city-wide`;
+    console.log(`${index + 1}. ${host.name ?? "(unknown)"} (id: ${host.hostId}): ${host.listings} listings (${rooms || "no room type"}${cityWide})` +
+      `${host.superhost ? ", superhost" : ""}`);
+    console.log(`   rating ${host.averageRating === null ? "n/a" : host.averageRating.toFixed(2)}, ` +
+      `response ${percent(host.responseRate)}, acceptance ${percent(host.acceptanceRate)}, ` +
+      `est. revenue ${money(host.estimatedRevenue, symbol)}/yr, ${host.neighbourhoods.length} neighbourhood${host.neighbourhoods.length === 1 ? "" : "s"}` +
+      `${host.neighbourhoods.length > 0 ? ` (${host.neighbourhoods.slice(0, 3).join(", ")}${host.neighbourhoods.length > 3 ? ", ..." : ""})` : ""}`);
+    if (host.commercial) {
+      console.log(`   likely commercial: ${host.commercialReasons.join("; ")}`);
+    }
+  });
+};
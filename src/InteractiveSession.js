@@ -0,0 +1,595 @@
+/**
+ * Interactive session module.
+ * A menu-driven loop over the loaded listings: filters are added and removed one
+ * step at a time, matches can be previewed, summarized, saved as a preset and
+ * exported at any point, and any change can be undone. Every session state keeps
+ * the handler it produced and the state before it, so undo does not recompute.
+ *
+ * @module InteractiveSession
+ */
+
+import { AirBnBDataHandler } from "./AirBnBDataHandler.js";
+import { CliError } from "./CliOptions.js";
+import { FilterError, parseFilterQuery } from "./FilterExpression.js";
+import { SortError, parseSortSpec } from "./ListingSort.js";
+import { printStats } from "./ListingStats.js";
+import { HostAnalyticsError } from "./HostAnalytics.js";
+import { parseAmenityList } from "./Amenities.js";
+import { TextSearchError, parseTextQuery } from "./TextSearch.js";
+import { formatTable } from "./GroupAggregate.js";
+import {
+  DEFAULT_PRESET_STORE,
+  PresetError,
+  loadPresetStore,
+  printPresetList,
+  printPresetRunChange,
+  putPreset,
+  recordPresetRun,
+  removePreset,
+  savePresetStore,
+} from "./SearchPresets.js";
+
+/**
+ * Error raised for commands and values the session cannot use
+ * @extends Error
+ */
+export class SessionError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = "SessionError";
+  }
+}
+
+/**
+ * Errors reported to the user, after which the session carries on
+ * @type {Array<function(new: Error)>}
+ */
+const RECOVERABLE_ERRORS = [
+  SessionError, CliError, FilterError, SortError, HostAnalyticsError, TextSearchError, PresetError,
+];
+
+const isRecoverable = error => RECOVERABLE_ERRORS.some(type => error instanceof type);
+
+/**
+ * One filter or sort applied in a session
+ * @typedef {Object} SessionStep
+ * @property {string} label - Description shown in the step list, e.g. "price 50–200"
+ * @property {?string} key - Steps with the same key replace each other, e.g. two price ranges; null to stack
+ * @property {Object} options - Config file keys the step sets, used when it is saved as a preset
+ * @property {function(import('./AirBnBDataHandler.js').AirBnBHandler): import('./AirBnBDataHandler.js').AirBnBHandler} apply -
+ *   Applies the step to a handler
+ */
+
+/**
+ * State of a session
+ * @typedef {Object} SessionState
+ * @property {import('./AirBnBDataHandler.js').AirBnBHandler} base - Handler with every loaded listing
+ * @property {Array<SessionStep>} steps - Steps in the order they apply
+ * @property {import('./AirBnBDataHandler.js').AirBnBHandler} handler - Handler after every step
+ * @property {string} change - What produced this state, shown when it is undone
+ * @property {?SessionState} previous - State before the change, null for the first
+ */
+
+/**
+ * Starts a session with no steps
+ * @param {Array<Object>} data - Loaded listings
+ * @returns {SessionState} Initial state
+ */
+export const createSession = data => {
+  const base = AirBnBDataHandler(data);
+  return { base, steps: [], handler: base, change: "", previous: null };
+};
+
+/**
+ * Recomputes a state from the base handler
+ * @param {SessionState} session - Current state
+ * @param {Array<SessionStep>} steps - Steps of the new state
+ * @param {string} change - What changed
+ * @returns {SessionState} New state
+ */
+const replay = (session, steps, change) => ({
+  base: session.base,
+  steps,
+  handler: steps.reduce((handler, step) => step.apply(handler), session.base),
+  change,
+  previous: session,
+});
+
+/**
+ * Adds a step; a step with the key of an earlier one replaces it in place
+ * @param {SessionState} session - Current state
+ * @param {SessionStep} step - Step to add
+ * @returns {SessionState} New state
+ * @throws {SortError|FilterError} If the step cannot be applied to the listings
+ */
+export const addStep = (session, step) => {
+  const index = step.key ? session.steps.findIndex(({ key }) => key === step.key) : -1;
+  if (index >= 0) {
+    return replay(session, session.steps.map((current, i) => (i === index ? step : current)),
+      `replaced "${session.steps[index].label}" with "${step.label}"`);
+  }
+  return {
+    base: session.base,
+    steps: [...session.steps, step],
+    handler: step.apply(session.handler),
+    change: `added "${step.label}"`,
+    previous: session,
+  };
+};
+
+/**
+ * Removes a step and reapplies the others to the loaded listings
+ * @param {SessionState} session - Current state
+ * @param {number} number - Step number, from 1
+ * @returns {SessionState} New state
+ * @throws {SessionError} If there is no such step
+ */
+export const removeStep = (session, number) => {
+  if (!Number.isInteger(number) || number < 1 || number > session.steps.length) {
+    throw new SessionError(session.steps.length === 0
+      ? "There are no steps to remove"
+      : `Step must be a number from 1 to ${session.steps.length}`);
+  }
+  const removed = session.steps[number - 1];
+  return replay(session, session.steps.filter((_, index) => index !== number - 1), `removed "${removed.label}"`);
+};
+
+/**
+ * Goes back to the state before the last change
+ * @param {SessionState} session - Current state
+ * @returns {SessionState} Previous state
+ * @throws {SessionError} If nothing has changed yet
+ */
+export const undoStep = session => {
+  if (!session.previous) throw new SessionError("Nothing to undo");
+  return session.previous;
+};
+
+/**
+ * Merges the options of a session's steps into config file keys, as saved in a preset.
+ * Ranges and filters of the same kind combine with and; a later order replaces an earlier one.
+ * @param {Array<SessionStep>} steps - Steps
+ * @returns {Object} Config file keys
+ */
+export const sessionOptions = steps => steps.reduce((merged, { options }) => Object.entries(options)
+  .reduce((result, [key, value]) => {
+    const current = result[key];
+    if (current === undefined) return { ...result, [key]: value };
+    if (key === "filters") return { ...result, filters: { ...current, ...value } };
+    if (key === "where") return { ...result, where: `(${current}) and (${value})` };
+    if (key === "search") return { ...result, search: `${current} ${value}` };
+    if (key === "amenities") {
+      return {
+        ...result,
+        amenities: Object.fromEntries(["all", "any", "none"]
+          .map(part => [part, [...parseAmenityList(current[part] ?? []), ...parseAmenityList(value[part] ?? [])]])
+          .filter(([, list]) => list.length > 0)),
+      };
+    }
+    return { ...result, [key]: value };
+  }, merged), {});
+
+/**
+ * Parses a range such as "50,200", "2," or ",150"
+ * @param {string} text - Range
+ * @param {string} name - Range name, used in error messages
+ * @returns {Array<?number>} Min and max, null for an open side
+ * @throws {SessionError} If a side is not a number, both are open or min exceeds max
+ */
+const parseBounds = (text, name) => {
+  const parts = text.split(",").map(part => part.trim());
+  const [min, max] = parts.map(part => (part === "" ? null : Number(part)));
+  if (parts.length !== 2 || Number.isNaN(min) || Number.isNaN(max) || (min === null && max === null)) {
+    throw new SessionError(`${name} expects "min,max" with one side open if you like, e.g. 50,200 or 2, — got "${text}"`);
+  }
+  if (min !== null && max !== null && min > max) {
+    throw new SessionError(`${name} minimum ${min} is above the maximum ${max}`);
+  }
+  return [min, max];
+};
+
+/**
+ * Parses a positive whole number
+ * @param {string} text - Number
+ * @param {string} name - What the number counts, used in error messages
+ * @returns {number} The number
+ * @throws {SessionError} If it is not a whole number above 0
+ */
+const parseCount = (text, name) => {
+  const count = Number(text);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new SessionError(`${name} must be a whole number above 0, got "${text}"`);
+  }
+  return count;
+};
+
+/**
+ * Builds a range step on price, bedrooms or review score
+ * @param {string} prefix - FilterParameters prefix: price, room or score
+ * @param {string} name - Command name
+ * @returns {function(string): SessionStep} Step builder
+ */
+const rangeStep = (prefix, name) => text => {
+  const [min, max] = parseBounds(text, name);
+  const filters = { [`${prefix}_min`]: min ?? 0, [`${prefix}_max`]: max };
+  return {
+    label: `${name} ${min ?? ""}–${max ?? ""}`,
+    key: prefix,
+    options: { filters },
+    apply: handler => handler.filter({ ...filters, [`${prefix}_max`]: max ?? Infinity }),
+  };
+};
+
+/**
+ * Asks for a value until it parses, starting with one given on the command line.
+ * Bad values are explained and asked for again rather than replaced with a default.
+ * @async
+ * @param {function(string): Promise<?string>} ask - Prompts and resolves the answer, null at end of input
+ * @param {string} question - Prompt
+ * @param {function(string): *} parse - Parses an answer, throwing a recoverable error if it is bad
+ * @param {string} [initial=""] - Value already given, asked for when empty
+ * @returns {Promise<*>} Parsed value, null when the user answers with an empty line
+ */
+export const askValue = async (ask, question, parse, initial = "") => {
+  let answer = initial.trim() || await ask(question);
+  while (answer !== null && answer.trim() !== "") {
+    try {
+      return parse(answer.trim());
+    } catch (error) {
+      if (!isRecoverable(error)) throw error;
+      console.log(`${error.message}. Try again, or press Enter to cancel.`);
+    }
+    answer = await ask(question);
+  }
+  return null;
+};
+
+/**
+ * Columns shown by the top command, when present in the data
+ * @type {Array<string>}
+ */
+export const PREVIEW_COLUMNS = [
+  "id", "name", "neighbourhood_cleansed", "room_type", "bedrooms", "accommodates", "price", "review_scores_rating",
+  "search_score", "distance_km",
+];
+
+/**
+ * Prints the first listings as a table
+ * @param {Array<Object>} listings - Listings in their current order
+ * @param {number} [limit=10] - Number of listings to show
+ */
+export const printPreview = (listings, limit = 10) => {
+  if (listings.length === 0) {
+    console.log("No listings match.");
+    return;
+  }
+  const columns = PREVIEW_COLUMNS.filter(column => listings.some(listing => listing[column] !== undefined));
+  const rows = listings.slice(0, limit).map(listing => Object.fromEntries(columns.map(column => {
+    const value = listing[column] ?? null;
+    return [column, typeof value === "string" && value.length > 40 ? `${value.slice(0, 39)}…` : value];
+  })));
+  console.log(`\nTop ${rows.length} of ${listings.length} listings:`);
+  console.log(formatTable(rows, columns));
+};
+
+/**
+ * Prints the steps of a session
+ * @param {SessionState} session - Current state
+ */
+export const printSteps = ({ steps, base, handler }) => {
+  if (steps.length === 0) {
+    console.log(`No steps; all ${base.getData().length} listings match.`);
+    return;
+  }
+  steps.forEach((step, index) => console.log(`  ${index + 1}. ${step.label}`));
+  console.log(`${handler.getData().length} of ${base.getData().length} listings match.`);
+};
+
+/**
+ * What a command needs from the caller
+ * @typedef {Object} SessionContext
+ * @property {function(string): Promise<?string>} ask - Prompts and resolves the answer, null at end of input
+ * @property {function(Object, string): Promise<void>} write - Writes a handler's listings to a path
+ * @property {function(string): Promise<SessionStep>} loadPreset - Builds a step from a saved preset
+ * @property {string} input - Listings file, recorded with preset runs
+ * @property {string} presetStore - Preset store path
+ */
+
+/**
+ * Command that asks for the text of a step and adds it
+ * @param {string} question - Prompt for the text
+ * @param {function(string): SessionStep} build - Builds the step, throwing on bad text
+ * @returns {function(SessionState, string, SessionContext): Promise<SessionState>} Command
+ */
+const stepCommand = (question, build) => async (session, args, { ask }) =>
+  (await askValue(ask, question, text => addStep(session, build(text)), args)) ?? session;
+
+/**
+ * Session commands in menu order
+ * @type {Array<{name: string, usage: string, description: string, run: function(SessionState, string, SessionContext): Promise<SessionState>}>}
+ */
+const COMMANDS = [
+  {
+    name: "price",
+    usage: "price <min,max>",
+    description: "Keep a nightly price range, e.g. 50,200 or ,150",
+    run: stepCommand("Price range (min,max): ", rangeStep("price", "price")),
+  },
+  {
+    name: "rooms",
+    usage: "rooms <min,max>",
+    description: "Keep a number of bedrooms, e.g. 2,3 or 2,",
+    run: stepCommand("Bedrooms (min,max): ", rangeStep("room", "rooms")),
+  },
+  {
+    name: "score",
+    usage: "score <min,max>",
+    description: "Keep a review score range, e.g. 4.5,",
+    run: stepCommand("Review score (min,max): ", rangeStep("score", "score")),
+  },
+  {
+    name: "where",
+    usage: "where <query>",
+    description: "Filter on any column, e.g. room_type = \"Entire home/apt\" and accommodates >= 4",
+    run: stepCommand("Query: ", text => {
+      const expression = parseFilterQuery(text);
+      return { label: `where ${text}`, key: null, options: { where: text }, apply: handler => handler.filter(expression) };
+    }),
+  },
+  {
+    name: "search",
+    usage: "search <query>",
+    description: "Full-text search, e.g. \"ocean view\" -shared",
+    run: stepCommand("Search: ", text => {
+      parseTextQuery(text);
+      return { label: `search ${text}`, key: null, options: { search: text }, apply: handler => handler.search(text) };
+    }),
+  },
+  {
+    name: "amenities",
+    usage: "amenities <list>",
+    description: "Require every amenity, e.g. wifi + washer",
+    run: stepCommand("Amenities: ", text => {
+      const all = parseAmenityList(text);
+      if (all.length === 0) throw new SessionError("Name at least one amenity");
+      return {
+        label: `amenities ${all.join(" + ")}`,
+        key: null,
+        options: { amenities: { all } },
+        apply: handler => handler.filterAmenities({ all }),
+      };
+    }),
+  },
+  {
+    name: "order",
+    usage: "order <keys>",
+    description: "Sort, e.g. price desc, review_scores_rating desc",
+    run: stepCommand("Order: ", text => {
+      parseSortSpec(text);
+      return { label: `order ${text}`, key: "order", options: { order: text }, apply: handler => handler.order(text) };
+    }),
+  },
+  {
+    name: "steps",
+    usage: "steps",
+    description: "List the filters and order applied",
+    run: async session => {
+      printSteps(session);
+      return session;
+    },
+  },
+  {
+    name: "remove",
+    usage: "remove <n>",
+    description: "Remove step n",
+    run: async (session, args, { ask }) => {
+      if (session.steps.length === 0) throw new SessionError("There are no steps to remove");
+      printSteps(session);
+      return (await askValue(ask, "Step to remove: ", text => removeStep(session, Number(text)), args)) ?? session;
+    },
+  },
+  {
+    name: "undo",
+    usage: "undo",
+    description: "Undo the last change",
+    run: async session => {
+      const previous = undoStep(session);
+      console.log(`Undone: ${session.change}. ${previous.handler.getData().length} listings match.`);
+      return previous;
+    },
+  },
+  {
+    name: "top",
+    usage: "top [n]",
+    description: "Preview the first n matches (default 10)",
+    run: async (session, args, { ask }) => {
+      const limit = args ? await askValue(ask, "Number of listings: ", text => parseCount(text, "Number of listings"), args) : 10;
+      if (limit !== null) printPreview(session.handler.getData(), limit);
+      return session;
+    },
+  },
+  {
+    name: "stats",
+    usage: "stats",
+    description: "Show price statistics of the matches",
+    run: async session => {
+      session.handler.computeStats({ formatter: printStats });
+      return session;
+    },
+  },
+  {
+    name: "hosts",
+    usage: "hosts [n]",
+    description: "Rank the hosts of the matches (default 10)",
+    run: async (session, args, { ask }) => {
+      const limit = args ? await askValue(ask, "Number of hosts: ", text => parseCount(text, "Number of hosts"), args) : 10;
+      if (limit !== null) session.handler.rankHosts(limit);
+      return session;
+    },
+  },
+  {
+    name: "load",
+    usage: "load <preset>",
+    description: "Apply a saved preset as one step",
+    run: async (session, args, context) => {
+      const name = await askValue(context.ask, "Preset: ", text => text, args);
+      if (name === null) return session;
+      const step = await context.loadPreset(name);
+      const next = addStep(session, step);
+      const { store, change } = recordPresetRun(await loadPresetStore(context.presetStore), name, context.input,
+        step.apply(session.base).getData());
+      printPresetRunChange(name, change);
+      await saveStore(store, context.presetStore);
+      return next;
+    },
+  },
+  {
+    name: "save",
+    usage: "save <preset>",
+    description: "Save the steps as a preset",
+    run: async (session, args, context) => {
+      if (session.steps.length === 0) throw new SessionError("Add a filter or order before saving a preset");
+      const name = await askValue(context.ask, "Preset name (e.g. family-4-guests-under-250): ", text => text, args);
+      if (name === null) return session;
+      const saved = putPreset(await loadPresetStore(context.presetStore), name, sessionOptions(session.steps));
+      const { store, change } = recordPresetRun(saved, name, context.input, session.handler.getData());
+      printPresetRunChange(name, change);
+      await saveStore(store, context.presetStore);
+      console.log(`Preset ${name} saved to ${context.presetStore}`);
+      return session;
+    },
+  },
+  {
+    name: "presets",
+    usage: "presets",
+    description: "List the saved presets",
+    run: async (session, args, { presetStore }) => {
+      printPresetList(await loadPresetStore(presetStore));
+      return session;
+    },
+  },
+  {
+    name: "delete",
+    usage: "delete <preset>",
+    description: "Delete a saved preset",
+    run: async (session, args, { ask, presetStore }) => {
+      const store = await loadPresetStore(presetStore);
+      const name = await askValue(ask, "Preset to delete: ", text => {
+        removePreset(store, text);
+        return text;
+      }, args);
+      if (name !== null) {
+        await saveStore(removePreset(store, name), presetStore);
+        console.log(`Preset ${name} deleted.`);
+      }
+      return session;
+    },
+  },
+  {
+    name: "export",
+    usage: "export <path>",
+    description: "Write the matches, e.g. result.csv, result.json or result.xlsx",
+    run: async (session, args, { ask, write }) => {
+      const path = await askValue(ask, "Output file (e.g. result.csv): ", text => text, args);
+      if (path !== null) await write(session.handler, path);
+      return session;
+    },
+  },
+  {
+    name: "help",
+    usage: "help",
+    description: "Show this menu",
+    run: async session => {
+      printMenu();
+      return session;
+    },
+  },
+  {
+    name: "quit",
+    usage: "quit",
+    description: "Leave (also Ctrl+D)",
+    run: async session => session,
+  },
+];
+
+/**
+ * Writes a preset store, reporting write failures to the user
+ * @async
+ * @param {import('./SearchPresets.js').PresetStore} store - Store
+ * @param {string} path - Store path
+ * @returns {Promise<void>}
+ * @throws {SessionError} If the store cannot be written
+ */
+const saveStore = async (store, path) => {
+  try {
+    await savePresetStore(store, path);
+  } catch (error) {
+    throw new SessionError(`File write failed: ${error.message}`);
+  }
+};
+
+/**
+ * Prints the numbered command menu
+ */
+export const printMenu = () => {
+  const width = Math.max(...COMMANDS.map(({ usage }) => usage.length));
+  console.log("\nCommands (type the name or number; arguments you leave out are asked for):");
+  COMMANDS.forEach(({ usage, description }, index) => {
+    console.log(`  ${String(index + 1).padStart(2)}  ${usage.padEnd(width)}  ${description}`);
+  });
+};
+
+/**
+ * Looks up a command by name or menu number
+ * @param {string} word - First word of the input line
+ * @returns {?Object} Command, null if unknown
+ */
+const findCommand = word => {
+  const number = Number(word);
+  if (Number.isInteger(number)) return COMMANDS[number - 1] ?? null;
+  return COMMANDS.find(({ name }) => name === word.toLowerCase()) ?? null;
+};
+
+/**
+ * Runs the session until quit or the end of input
+ * @async
+ * @param {Array<Object>} data - Loaded listings
+ * @param {Object} context - What the session needs from the caller
+ * @param {function(string): Promise<?string>} context.ask - Prompts and resolves the answer, null at end of input
+ * @param {function(Object, string): Promise<void>} context.write - Writes a handler's listings to a path,
+ *   throwing a CliError on failure
+ * @param {function(string): Promise<SessionStep>} context.loadPreset - Builds a step from a saved preset
+ * @param {string} context.input - Listings file, recorded with preset runs
+ * @param {string} [context.presetStore=DEFAULT_PRESET_STORE] - Preset store path
+ * @returns {Promise<SessionState>} Last state
+ * @example
+ * await runSession(listings, { ask, write, loadPreset, input: 'listings.csv' });
+ * // [513 listings] > price 100,150
+ * // [214 listings] > top 5
+ */
+export const runSession = async (data, { presetStore = DEFAULT_PRESET_STORE, ...context }) => {
+  const sessionContext = { ...context, presetStore };
+  let session = createSession(data);
+  printMenu();
+  for (;;) {
+    const line = await context.ask(`\n[${session.handler.getData().length} listings] > `);
+    if (line === null) return session;
+    const [word] = line.trim().split(/\s+/);
+    if (!word) continue;
+    const command = findCommand(word);
+    if (!command) {
+      console.log(`Unknown command "${word}"; type help for the menu.`);
+      continue;
+    }
+    if (command.name === "quit") return session;
+    try {
+      session = await command.run(session, line.trim().slice(word.length).trim(), sessionContext);
+    } catch (error) {
+      if (!isRecoverable(error)) throw error;
+      console.log(error.message);
+    }
+  }
+};
@@ -0,0 +1,360 @@
+/**
+ * Listing schema module.
+ * Declares the column types of an Inside Airbnb listings.csv, parses CSV
+ * records into typed listings and formats them back. Values survive the round
+ * trip, but not always their spelling: an integer written as "2.0" by pandas
+ * comes back as "2". Cells that fail validation read as null and are written
+ * back as they were.
+ *
+ * @module ListingSchema
+ */
+
+/**
+ * Error raised when a cell does not match its column type
+ * @extends Error
+ */
+export class SchemaError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = "SchemaError";
+  }
+}
+
+/**
+ * A column type: converts between CSV text and a typed value
+ * @typedef {Object} ColumnType
+ * @property {function(string): *} parse - Parses non-empty text; throws SchemaError when invalid
+ * @property {function(*): string} format - Formats a non-null value back to CSV text
+ */
+
+/**
+ * Escapes a string the way Python's json.dumps does, non-ASCII as \uXXXX
+ * @param {string} text - String to encode
+ * @returns {string} JSON string literal
+ */
+const asciiJson = text => JSON.stringify(text).replace(
+  /[\u0080-\uffff]/g,
+  char => `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`
+);
+
+const currencyFormat = new Intl.NumberFormat("en-US", {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+});
+
+/**
+ * Column types used by the listing schema
+ * @type {Object<string, ColumnType>}
+ */
+export const COLUMN_TYPES = {
+  /** Free text, kept as is */
+  string: {
+    parse: text => text,
+    format: value => String(value),
+  },
+  /** Numeric identifier kept as a string; listing ids exceed Number.MAX_SAFE_INTEGER */
+  id: {
+    parse: text => {
+      if (!/^\d+$/.test(text)) throw new SchemaError(`"${text}" is not a numeric id`);
+      return text;
+    },
+    format: value => String(value),
+  },
+  /** Whole number; accepts "2.0" as written by pandas, which is written back as "2" */
+  integer: {
+    parse: text => {
+      const number = Number(text);
+      if (!Number.isInteger(number)) throw new SchemaError(`"${text}" is not an integer`);
+      return number;
+    },
+    format: value => String(value),
+  },
+  /** Decimal number; whole values are written back as "5.0" like the source files */
+  float: {
+    parse: text => {
+      const number = Number(text);
+      if (!Number.isFinite(number)) throw new SchemaError(`"${text}" is not a number`);
+      return number;
+    },
+    format: value => (Number.isInteger(value) ? value.toFixed(1) : String(value)),
+  },
+  /** Dollar amount such as "$1,234.00", held as a number */
+  currency: {
+    parse: text => {
+      if (!/^-?\$?[\d,]*\.?\d+$/.test(text)) throw new SchemaError(`"${text}" is not a price`);
+      return Number(text.replace(/[$,]/g, ""));
+    },
+    format: value => `${value < 0 ? "-" : ""}$${currencyFormat.format(Math.abs(value))}`,
+  },
+  /**
+   * Rate such as "98%", held as a number from 0 to 100. "N/A", used for hosts
+   * without requests, is kept as text so it writes back unchanged.
+   */
+  percent: {
+    parse: text => {
+      if (text === "N/A") return text;
+      const match = /^(-?\d+(?:\.\d+)?)%$/.exec(text);
+      if (!match) throw new SchemaError(`"${text}" is not a percentage`);
+      return Number(match[1]);
+    },
+    format: value => (typeof value === "number" ? `${value}%` : String(value)),
+  },
+  /** Inside Airbnb t/f flag */
+  boolean: {
+    parse: text => {
+      if (text === "t" || text === "true") return true;
+      if (text === "f" || text === "false") return false;
+      throw new SchemaError(`"${text}" is not t or f`);
+    },
+    format: value => (value ? "t" : "f"),
+  },
+  /** Calendar date, kept as an ISO "YYYY-MM-DD" string */
+  date: {
+    parse: text => {
+      const date = new Date(`${text}T00:00:00Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || Number.isNaN(date.getTime()) ||
+        date.toISOString().slice(0, 10) !== text) {
+        throw new SchemaError(`"${text}" is not an ISO date`);
+      }
+      return text;
+    },
+    format: value => String(value),
+  },
+  /** JSON-encoded array of strings, such as amenities */
+  jsonArray: {
+    parse: text => {
+      let value;
+      try {
+        value = JSON.parse(text);
+      } catch {
+        throw new SchemaError(`"${text.slice(0, 40)}" is not a JSON array`);
+      }
+      if (!Array.isArray(value)) throw new SchemaError("Expected a JSON array");
+      return value;
+    },
+    format: value => `[${value.map(item => asciiJson(String(item))).join(", ")}]`,
+  },
+};
+
+/**
+ * Column types of an Inside Airbnb listings.csv.
+ * Columns missing from this map are loaded as strings.
+ * @type {Object<string, string>}
+ */
+export const LISTING_SCHEMA = {
+  id: "id",
+  listing_url: "string",
+  scrape_id: "id",
+  last_scraped: "date",
+  source: "string",
+  name: "string",
+  description: "string",
+  neighborhood_overview: "string",
+  picture_url: "string",
+  host_id: "id",
+  host_url: "string",
+  host_name: "string",
+  host_since: "date",
+  host_location: "string",
+  host_about: "string",
+  host_response_time: "string",
+  host_response_rate: "percent",
+  host_acceptance_rate: "percent",
+  host_is_superhost: "boolean",
+  host_thumbnail_url: "string",
+  host_picture_url: "string",
+  host_neighbourhood: "string",
+  host_listings_count: "integer",
+  host_total_listings_count: "integer",
+  host_verifications: "string",
+  host_has_profile_pic: "boolean",
+  host_identity_verified: "boolean",
+  neighbourhood: "string",
+  neighbourhood_cleansed: "string",
+  neighbourhood_group_cleansed: "string",
+  latitude: "float",
+  longitude: "float",
+  property_type: "string",
+  room_type: "string",
+  accommodates: "integer",
+  bathrooms: "float",
+  bathrooms_text: "string",
+  bedrooms: "integer",
+  beds: "integer",
+  amenities: "jsonArray",
+  price: "currency",
+  minimum_nights: "integer",
+  maximum_nights: "integer",
+  minimum_minimum_nights: "integer",
+  maximum_minimum_nights: "integer",
+  minimum_maximum_nights: "integer",
+  maximum_maximum_nights: "integer",
+  minimum_nights_avg_ntm: "float",
+  maximum_nights_avg_ntm: "float",
+  calendar_updated: "string",
+  has_availability: "boolean",
+  availability_30: "integer",
+  availability_60: "integer",
+  availability_90: "integer",
+  availability_365: "integer",
+  calendar_last_scraped: "date",
+  number_of_reviews: "integer",
+  number_of_reviews_ltm: "integer",
+  number_of_reviews_l30d: "integer",
+  first_review: "date",
+  last_review: "date",
+  review_scores_rating: "float",
+  review_scores_accuracy: "float",
+  review_scores_cleanliness: "float",
+  review_scores_checkin: "float",
+  review_scores_communication: "float",
+  review_scores_location: "float",
+  review_scores_value: "float",
+  license: "string",
+  instant_bookable: "boolean",
+  calculated_host_listings_count: "integer",
+  calculated_host_listings_count_entire_homes: "integer",
+  calculated_host_listings_count_private_rooms: "integer",
+  calculated_host_listings_count_shared_rooms: "integer",
+  reviews_per_month: "float",
+  // Columns added by the revenue model, typed so exported files load back
+  estimated_bookings: "float",
+  estimated_nights: "float",
+  estimated_occupancy: "percent",
+  estimated_revenue: "currency",
+  // Columns added for a stay, see Pricing.stayColumns
+  stay_cost: "currency",
+  stay_cost_per_guest: "currency",
+};
+
+/**
+ * Looks up the schema entry of a column. Snapshot comparisons add a <column>_before
+ * column holding the earlier value, which takes the entry of its column.
+ * @param {string} column - Column name
+ * @param {Object<string, (string|ColumnType)>} [schema=LISTING_SCHEMA] - Column types
+ * @returns {(string|ColumnType|undefined)} Type name or type, undefined for columns without one
+ */
+export const schemaType = (column, schema = LISTING_SCHEMA) =>
+  schema[column] ?? (column.endsWith("_before") ? schema[column.slice(0, -"_before".length)] : undefined);
+
+/**
+ * Looks up the type of a column. A schema names types from COLUMN_TYPES or, for
+ * columns read differently such as prices in another currency, holds the type itself.
+ * @param {Object<string, (string|ColumnType)>} schema - Column types
+ * @param {string} column - Column name
+ * @returns {?ColumnType} Type, null for columns without one
+ */
+const columnType = (schema, column) => {
+  const type = schemaType(column, schema);
+  return typeof type === "object" ? type : COLUMN_TYPES[type] ?? null;
+};
+
+/**
+ * Key under which a listing keeps the raw text of its cells that failed validation,
+ * for formatListing to write back. A symbol, so spreading a listing copies it while
+ * Object.keys and JSON leave it out.
+ * @type {symbol}
+ */
+export const REJECTED_CELLS = Symbol("rejectedCells");
+
+/**
+ * A cell that failed validation
+ * @typedef {Object} ValidationIssue
+ * @property {number} row - 1-based data row number
+ * @property {?string} id - Listing id of the row, when readable
+ * @property {string} column - Column name
+ * @property {string} value - Raw cell text
+ * @property {string} message - Why the cell was rejected
+ */
+
+/**
+ * Parses one raw CSV record into a typed listing.
+ * Invalid cells become null and are reported instead of being coerced; their text
+ * is kept under REJECTED_CELLS.
+ * @param {Object<string, string>} record - Raw record from the CSV parser
+ * @param {number} row - 1-based data row number, for reporting
+ * @param {Object<string, (string|ColumnType)>} [schema=LISTING_SCHEMA] - Column types
+ * @returns {{listing: Object, issues: Array<ValidationIssue>}} Typed listing and its issues
+ */
+export const parseListing = (record, row, schema = LISTING_SCHEMA) => {
+  const issues = [];
+  const listing = {};
+  const rejected = {};
+  for (const [column, text] of Object.entries(record)) {
+    const type = columnType(schema, column) ?? COLUMN_TYPES.string;
+    if (text === undefined || text === "") {
+      listing[column] = null;
+      continue;
+    }
+    try {
+      listing[column] = type.parse(text);
+    } catch (error) {
+      if (!(error instanceof SchemaError)) throw error;
+      listing[column] = null;
+      rejected[column] = text;
+      issues.push({ row, id: record.id ?? null, column, value: text, message: error.message });
+    }
+  }
+  if (issues.length > 0) listing[REJECTED_CELLS] = rejected;
+  return { listing, issues };
+};
+
+/**
+ * Formats a value for a column without a declared type
+ * @param {*} value - Non-null value
+ * @returns {string} CSV text
+ */
+const formatUntyped = value => {
+  if (Array.isArray(value)) return COLUMN_TYPES.jsonArray.format(value);
+  if (typeof value === "boolean") return COLUMN_TYPES.boolean.format(value);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Formats a typed listing back to CSV text, the inverse of parseListing.
+ * Empty cells that were rejected when parsing get their original text back.
+ * @param {Object} listing - Typed listing
+ * @param {Object<string, (string|ColumnType)>} [schema=LISTING_SCHEMA] - Column types
+ * @returns {Object<string, string>} Record of CSV cell text
+ */
+export const formatListing = (listing, schema = LISTING_SCHEMA) => Object.fromEntries(
+  Object.entries(listing).map(([column, value]) => {
+    if (value === null || value === undefined || (typeof value === "number" && Number.isNaN(value))) {
+      return [column, listing[REJECTED_CELLS]?.[column] ?? ""];
+    }
+    const type = columnType(schema, column);
+    return [column, type ? type.format(value) : formatUntyped(value)];
+  })
+);
+
+/**
+ * Per-column tally of validation issues
+ * @typedef {Object<string, {column: string, count: number, example: ValidationIssue}>} IssueTally
+ */
+
+/**
+ * Counts one issue into a tally, keeping the first issue of each column as its example.
+ * The tally is updated in place so it can run over a stream of rows.
+ * @param {IssueTally} tally - Tally so far
+ * @param {ValidationIssue} issue - Rejected cell
+ * @returns {IssueTally} The same tally
+ */
+export const tallyIssue = (tally, issue) => {
+  tally[issue.column] ??= { column: issue.column, count: 0, example: issue };
+  tally[issue.column].count += 1;
+  return tally;
+};
+
+/**
+ * Summarizes validation issues, grouped by column
+ * @param {Array<ValidationIssue>|IssueTally} issues - Rejected cells, or a tally of them
+ * @returns {Array<{column: string, count: number, example: ValidationIssue}>} One entry per column, most issues first
+ */
+export const summarizeIssues = issues => Object.values(
+  Array.isArray(issues) ? issues.reduce(tallyIssue, {}) : issues
+).sort((a, b) => b.count - a.count);
@@ -0,0 +1,237 @@
+/**
+ * Listing sort module.
+ * Parses multi-key sort specifications and builds stable comparators that
+ * compare numbers numerically, text with locale collation and place nulls
+ * at a fixed end.
+ *
+ * @module ListingSort
+ */
+
+import { isMissing, toNumber } from "./FilterExpression.js";
+
+/**
+ * Error raised for malformed sort specifications
+ * @extends Error
+ */
+export class SortError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = "SortError";
+  }
+}
+
+/**
+ * One key of a sort specification
+ * @typedef {Object} SortKey
+ * @property {string} key - Column or derived key name
+ * @property {string} [direction="asc"] - "asc" or "desc"
+ * @property {string} [nulls="last"] - "first" or "last"; independent of direction
+ * @property {function(Object): *} [getValue] - Custom value extractor, overrides the column lookup
+ */
+
+/**
+ * Divides two numeric columns, null when either is missing or the divisor is 0
+ * @param {string} numerator - Column holding the dividend
+ * @param {string} denominator - Column holding the divisor
+ * @param {?number} [zeroAs=null] - Divisor to use instead of 0, e.g. 1 so studios count as one room
+ * @returns {function(Object): ?number} Value extractor
+ */
+const ratio = (numerator, denominator, zeroAs = null) => item => {
+  const top = toNumber(item[numerator]);
+  const bottom = toNumber(item[denominator]) === 0 ? zeroAs : toNumber(item[denominator]);
+  return top === null || !bottom ? null : top / bottom;
+};
+
+/**
+ * Keys computed from other columns, usable anywhere a column name is.
+ * Studios (0 bedrooms) count as one bedroom.
+ * @type {Object<string, function(Object): *>}
+ */
+export const DERIVED_KEYS = {
+  price_per_bedroom: ratio("price", "bedrooms", 1),
+  price_per_bed: ratio("price", "beds"),
+  price_per_guest: ratio("price", "accommodates"),
+};
+
+/**
+ * Alternative names for derived keys, including the one the prompt used to suggest
+ * @type {Object<string, string>}
+ */
+const KEY_ALIASES = {
+  price_per_room: "price_per_bedroom",
+  price_pre_room: "price_per_bedroom",
+};
+
+/**
+ * Resolves a key name to its canonical form
+ * @param {string} key - Key as written by the user
+ * @returns {string} Canonical key
+ */
+const canonicalKey = key => KEY_ALIASES[key] ?? key;
+
+/**
+ * Parses one comma-separated part such as "price desc" or "-rating nulls first"
+ * @param {string} part - Part of a sort specification
+ * @returns {SortKey} Parsed key
+ * @throws {SortError} If the part is malformed
+ */
+const parseSortPart = part => {
+  const words = part.trim().replace(/:/g, " ").split(/\s+/).filter(Boolean);
+  if (words.length === 0) {
+    throw new SortError("Empty sort key");
+  }
+  let [key, ...rest] = words;
+  let direction = "asc";
+  if (key.startsWith("-") || key.startsWith("+")) {
+    direction = key.startsWith("-") ? "desc" : "asc";
+    key = key.slice(1);
+  }
+  let nulls = "last";
+  while (rest.length > 0) {
+    const word = rest.shift().toLowerCase();
+    if (word === "asc" || word === "desc") {
+      direction = word;
+    } else if (word === "nulls" && ["first", "last"].includes(rest[0]?.toLowerCase())) {
+      nulls = rest.shift().toLowerCase();
+    } else {
+      throw new SortError(`Unexpected "${word}" in sort key "${part.trim()}"`);
+    }
+  }
+  return { key: canonicalKey(key), direction, nulls };
+};
+
+/**
+ * Parses a sort specification into keys
+ * @param {string|SortKey|Array<string|SortKey>} spec - e.g. "price desc, bedrooms" or
+ *   "-review_scores_rating, price_per_bedroom nulls first"
+ * @returns {Array<SortKey>} Normalized keys, most significant first
+ * @throws {SortError} If the specification is malformed
+ */
+export const parseSortSpec = spec => {
+  const parts = Array.isArray(spec) ? spec : typeof spec === "string" ? spec.split(",") : [spec];
+  return parts.flatMap(part => {
+    if (typeof part === "string") {
+      return part.trim() === "" && parts.length > 1 ? [] : [parseSortPart(part)];
+    }
+    if (!part || typeof part.key !== "string") {
+      throw new SortError("Sort key must have a key name");
+    }
+    const direction = part.direction ?? "asc";
+    const nulls = part.nulls ?? "last";
+    if (!["asc", "desc"].includes(direction) || !["first", "last"].includes(nulls)) {
+      throw new SortError(`Invalid direction or nulls position for "${part.key}"`);
+    }
+    return [{ ...part, key: canonicalKey(part.key), direction, nulls }];
+  });
+};
+
+/**
+ * Returns the value extractor for a sort key
+ * @param {SortKey} sortKey - Parsed key
+ * @returns {function(Object): *} Value extractor
+ */
+const valueGetter = ({ key, getValue }) => getValue ?? DERIVED_KEYS[key] ?? (item => item[key]);
+
+/**
+ * Lists the keys no listing can provide, so typos fail instead of sorting everything as null
+ * @param {Array<SortKey>} keys - Parsed keys
+ * @param {Array<Object>} data - Listings to be sorted
+ * @returns {Array<string>} Unknown key names
+ */
+export const unknownSortKeys = (keys, data) => keys
+  .filter(({ key, getValue }) => !getValue && !DERIVED_KEYS[key])
+  .filter(({ key }) => data.length > 0 && !data.some(item => key in item))
+  .map(({ key }) => key);
+
+/**
+ * Normalizes a value for comparison: numbers (including "$1,234.00") stay
+ * numeric, dates become their ISO string and everything else text
+ * @param {*} value - Raw value
+ * @returns {number|string|null} Comparable value, null when missing
+ */
+const comparable = value => {
+  if (isMissing(value)) return null;
+  if (typeof value === "bigint") return Number(value);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (typeof value === "number") return value;
+  const text = String(value);
+  // Long ids stay text; numeric collation orders them exactly
+  if (/^\d{16,}$/.test(text)) return text;
+  return /^\s*[-+]?\$?[\d,]*\.?\d+%?\s*$/.test(text) ? toNumber(text) : text;
+};
+
+/**
+ * Creates a comparator for one sort key
+ * @param {function(Object): *} getValue - Function to extract comparison value from items
+ * @param {Object} [options] - Comparator options
+ * @param {string} [options.direction="asc"] - "asc" or "desc"
+ * @param {string} [options.nulls="last"] - Where missing values go
+ * @param {Intl.Collator} [options.collator] - Collator for text values
+ * @returns {function(Object, Object): number} Comparator function for array sorting
+ * @example
+ * const byPriceDesc = createComparator(item => item.price, { direction: 'desc' });
+ */
+export const createComparator = (getValue, {
+  direction = "asc",
+  nulls = "last",
+  collator = new Intl.Collator(undefined, { numeric: true, sensitivity: "base" }),
+} = {}) => {
+  const sign = direction === "desc" ? -1 : 1;
+  const nullSign = nulls === "first" ? -1 : 1;
+  return (a, b) => {
+    const left = comparable(getValue(a));
+    const right = comparable(getValue(b));
+    if (left === null || right === null) {
+      return left === right ? 0 : (left === null ? nullSign : -nullSign);
+    }
+    if (typeof left === "number" && typeof right === "number") {
+      return sign * (left - right);
+    }
+    if (typeof left === "string" && typeof right === "string") {
+      return sign * collator.compare(left, right);
+    }
+    // Mixed types: numbers before text
+    return sign * (typeof left === "number" ? -1 : 1);
+  };
+};
+
+/**
+ * Creates a comparator that applies each key in turn until one differs
+ * @param {Array<SortKey>} keys - Parsed keys, most significant first
+ * @param {string} [locale] - Locale for text collation, defaults to the runtime locale
+ * @returns {function(Object, Object): number} Comparator function for array sorting
+ */
+export const createSortComparator = (keys, locale) => {
+  const collator = new Intl.Collator(locale, { numeric: true, sensitivity: "base" });
+  const comparators = keys.map(sortKey =>
+    createComparator(valueGetter(sortKey), { ...sortKey, collator })
+  );
+  return (a, b) => {
+    for (const compare of comparators) {
+      const result = compare(a, b);
+      if (result !== 0) return result;
+    }
+    return 0;
+  };
+};
+
+/**
+ * Sorts listings by a specification without modifying the input.
+ * The sort is stable, so ties keep their original relative order.
+ * @param {Array<Object>} data - Listings to sort
+ * @param {string|SortKey|Array<string|SortKey>} spec - Sort specification
+ * @returns {Array<Object>} New sorted array
+ * @throws {SortError} If the specification is malformed or names unknown columns
+ */
+export const sortListings = (data, spec) => {
+  const keys = parseSortSpec(spec);
+  const unknown = unknownSortKeys(keys, data);
+  if (unknown.length > 0) {
+    throw new SortError(`Unknown sort key: ${unknown.join(", ")}`);
+  }
+  return [...data].sort(createSortComparator(keys));
+};
@@ -0,0 +1,306 @@
+/**
+ * Listing statistics module.
+ * Computes price distributions, outliers and group breakdowns for a set of
+ * listings, incrementally so the same code serves loaded and streamed data.
+ *
+ * @module ListingStats
+ */
+
+import { toNumber } from "./FilterExpression.js";
+import { DERIVED_KEYS } from "./ListingSort.js";
+
+/**
+ * Summary of a numeric distribution; every field but count is null when empty
+ * @typedef {Object} Distribution
+ * @property {number} count - Number of values
+ * @property {?number} sum - Sum of values
+ * @property {?number} mean - Arithmetic mean
+ * @property {?number} stdDev - Sample standard deviation (0 for a single value)
+ * @property {?number} min - Smallest value
+ * @property {?number} p10 - 10th percentile
+ * @property {?number} p25 - 25th percentile
+ * @property {?number} median - 50th percentile
+ * @property {?number} p75 - 75th percentile
+ * @property {?number} p90 - 90th percentile
+ * @property {?number} max - Largest value
+ */
+
+/**
+ * Price outliers by the 1.5 × IQR rule
+ * @typedef {Object} OutlierReport
+ * @property {?number} lowerFence - p25 - k × IQR
+ * @property {?number} upperFence - p75 + k × IQR
+ * @property {number} low - Listings priced below the lower fence
+ * @property {number} high - Listings priced above the upper fence
+ * @property {Array<string>} ids - Ids of the outlying listings, highest price first
+ */
+
+/**
+ * Breakdown of one group within a group-by column
+ * @typedef {Object} GroupStats
+ * @property {string} key - Group value, "(none)" for missing
+ * @property {number} count - Listings in the group
+ * @property {Distribution} price - Price distribution of the group
+ */
+
+/**
+ * Structured statistics for a set of listings
+ * @typedef {Object} ListingStats
+ * @property {number} count - Total number of listings
+ * @property {number} validListings - Count of listings with valid host IDs
+ * @property {number} studios - Listings with 0 bedrooms, counted as one room per bedroom
+ * @property {Distribution} price - Nightly price, listings without a price excluded
+ * @property {Distribution} pricePerBedroom - Price per bedroom
+ * @property {Distribution} pricePerGuest - Price per guest (accommodates)
+ * @property {OutlierReport} priceOutliers - Price outliers
+ * @property {Distribution} estimatedRevenue - Annual revenue from the estimated_revenue column; empty
+ *   unless the revenue model columns were added
+ * @property {Distribution} estimatedOccupancy - Occupancy in percent from the estimated_occupancy column
+ * @property {Object<string, Array<GroupStats>>} groups - Breakdowns per group-by column, largest group first
+ * @property {?number} averagePrice - Same as price.mean
+ * @property {?number} avgPricePerRoom - Same as pricePerBedroom.mean
+ */
+
+/**
+ * Columns broken down by default
+ * @type {Array<string>}
+ */
+export const DEFAULT_GROUP_BY = ["room_type", "neighbourhood_cleansed", "property_type"];
+
+/**
+ * Percentile of sorted values, linearly interpolated between closest ranks
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile from 0 to 1
+ * @returns {?number} The percentile, null when there are no values
+ * @example
+ * quantile([1, 2, 3, 4], 0.5); // returns 2.5
+ */
+export const quantile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Summarizes numeric values
+ * @param {Array<number>} values - Values, in any order
+ * @returns {Distribution} Distribution summary
+ */
+export const describe = values => {
+  const sorted = Float64Array.from(values).sort();
+  const count = sorted.length;
+  if (count === 0) {
+    return {
+      count, sum: null, mean: null, stdDev: null, min: null,
+      p10: null, p25: null, median: null, p75: null, p90: null, max: null,
+    };
+  }
+  const sum = sorted.reduce((total, value) => total + value, 0);
+  const mean = sum / count;
+  const squares = sorted.reduce((total, value) => total + (value - mean) ** 2, 0);
+  return {
+    count,
+    sum,
+    mean,
+    stdDev: count > 1 ? Math.sqrt(squares / (count - 1)) : 0,
+    min: sorted[0],
+    p10: quantile(sorted, 0.1),
+    p25: quantile(sorted, 0.25),
+    median: quantile(sorted, 0.5),
+    p75: quantile(sorted, 0.75),
+    p90: quantile(sorted, 0.9),
+    max: sorted[count - 1],
+  };
+};
+
+/**
+ * Finds values outside the Tukey fences p25 - k × IQR and p75 + k × IQR
+ * @param {Array<number>} values - Values
+ * @param {Array<string>} ids - Id of the listing behind each value
+ * @param {number} [k=1.5] - Fence multiplier
+ * @returns {OutlierReport} Fences and outliers
+ */
+export const detectOutliers = (values, ids, k = 1.5) => {
+  const { p25, p75 } = describe(values);
+  if (p25 === null) {
+    return { lowerFence: null, upperFence: null, low: 0, high: 0, ids: [] };
+  }
+  const lowerFence = p25 - k * (p75 - p25);
+  const upperFence = p75 + k * (p75 - p25);
+  const outliers = values
+    .map((value, index) => [value, ids[index]])
+    .filter(([value]) => value < lowerFence || value > upperFence)
+    .sort((a, b) => b[0] - a[0]);
+  return {
+    lowerFence,
+    upperFence,
+    low: outliers.filter(([value]) => value < lowerFence).length,
+    high: outliers.filter(([value]) => value > upperFence).length,
+    ids: outliers.map(([, id]) => id),
+  };
+};
+
+/**
+ * Checks for a positive numeric id, held as a string or number
+ * @param {*} id - Id to check
+ * @returns {boolean} True for ids such as '141228523'
+ */
+export const isValidId = id => /^0*[1-9]\d*$/.test(String(id ?? ""));
+
+/**
+ * Creates a collector that accumulates listings one at a time.
+ * Only the numbers needed for percentiles are kept, not the listings.
+ * @param {Object} [options] - Collector options
+ * @param {Array<string>} [options.groupBy=DEFAULT_GROUP_BY] - Columns to break down
+ * @param {number} [options.outlierK=1.5] - IQR multiplier for price outliers
+ * @returns {{add: function(Object): void, result: function(): ListingStats}} Collector
+ */
+export const createStatsCollector = ({ groupBy = DEFAULT_GROUP_BY, outlierK = 1.5 } = {}) => {
+  let count = 0;
+  let validListings = 0;
+  let studios = 0;
+  const prices = [];
+  const priceIds = [];
+  const perBedroom = [];
+  const perGuest = [];
+  const revenues = [];
+  const occupancies = [];
+  const groups = Object.fromEntries(groupBy.map(column => [column, new Map()]));
+
+  return {
+    add(listing) {
+      count += 1;
+      if (isValidId(listing.host_id)) validListings += 1;
+      if (toNumber(listing.bedrooms) === 0) studios += 1;
+
+      const price = toNumber(listing.price);
+      if (price !== null) {
+        prices.push(price);
+        priceIds.push(String(listing.id ?? ""));
+      }
+      const bedroomPrice = DERIVED_KEYS.price_per_bedroom(listing);
+      if (bedroomPrice !== null) perBedroom.push(bedroomPrice);
+      const guestPrice = DERIVED_KEYS.price_per_guest(listing);
+      if (guestPrice !== null) perGuest.push(guestPrice);
+      if (typeof listing.estimated_revenue === "number") revenues.push(listing.estimated_revenue);
+      if (typeof listing.estimated_occupancy === "number") occupancies.push(listing.estimated_occupancy);
+
+      for (const column of groupBy) {
+        const key = listing[column] === null || listing[column] === undefined || listing[column] === ""
+          ? "(none)"
+          : String(listing[column]);
+        const group = groups[column].get(key) ?? { count: 0, prices: [] };
+        group.count += 1;
+        if (price !== null) group.prices.push(price);
+        groups[column].set(key, group);
+      }
+    },
+
+    result() {
+      const price = describe(prices);
+      const pricePerBedroom = describe(perBedroom);
+      return {
+        count,
+        validListings,
+        studios,
+        price,
+        pricePerBedroom,
+        pricePerGuest: describe(perGuest),
+        priceOutliers: detectOutliers(prices, priceIds, outlierK),
+        estimatedRevenue: describe(revenues),
+        estimatedOccupancy: describe(occupancies),
+        groups: Object.fromEntries(Object.entries(groups).map(([column, byKey]) => [
+          column,
+          [...byKey.entries()]
+            .map(([key, group]) => ({ key, count: group.count, price: describe(group.prices) }))
+            .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key)),
+        ])),
+        averagePrice: price.mean,
+        avgPricePerRoom: pricePerBedroom.mean,
+      };
+    },
+  };
+};
+
+/**
+ * Calculates statistics for a set of listings
+ * @param {Array<Object>} data - Array of listing objects
+ * @param {Object} [options] - Same options as createStatsCollector
+ * @returns {ListingStats} Calculated statistics object
+ */
+export const calculateStats = (data, options) => {
+  const collector = createStatsCollector(options);
+  data.forEach(listing => collector.add(listing));
+  return collector.result();
+};
+
+/**
+ * Formats a number for display, "n/a" when missing
+ * @param {?number} value - Value to format
+ * @param {string} [prefix=""] - Prefix such as "$"
+ * @returns {string} Formatted value
+ */
+const show = (value, prefix = "") =>
+  value === null ? "n/a" : `${prefix}${Number(value.toFixed(2)).toLocaleString("en-US")}`;
+
+/**
+ * Formats a distribution on one line
+ * @param {Distribution} dist - Distribution to format
+ * @param {string} [prefix="$"] - Prefix for every value
+ * @returns {string} Formatted distribution
+ */
+export const formatDistribution = (dist, prefix = "$") => dist.count === 0
+  ? "no data"
+  : [
+    `mean ${show(dist.mean, prefix)}`,
+    `median ${show(dist.median, prefix)}`,
+    `min ${show(dist.min, prefix)}`,
+    `max ${show(dist.max, prefix)}`,
+    `std dev ${show(dist.stdDev, prefix)}`,
+    `p10/p25/p75/p90 ${[dist.p10, dist.p25, dist.p75, dist.p90].map(v => show(v, prefix)).join("/")}`,
+    `n=${dist.count}`,
+  ].join(", ");
+
+/**
+ * Formats statistics as console lines
+ * @param {ListingStats} stats - Statistics to format
+ * @param {Object} [options] - Formatting options
+ * @param {number} [options.groupLimit=5] - Largest groups shown per column
+ * @param {string} [options.symbol="$"] - Currency symbol of prices and revenue
+ * @returns {Array<string>} Lines of text
+ */
+export const formatStats = (stats, { groupLimit = 5, symbol = "$" } = {}) => [
+  "Statistics:",
+  `Number of listings: ${stats.count} (valid host_id: ${stats.validListings}, with price: ${stats.price.count})`,
+  `Price: ${formatDistribution(stats.price, symbol)}`,
+  `Price per bedroom (${stats.studios} studios counted as one room): ${formatDistribution(stats.pricePerBedroom, symbol)}`,
+  `Price per guest: ${formatDistribution(stats.pricePerGuest, symbol)}`,
+  stats.priceOutliers.lowerFence === null
+    ? "Price outliers: n/a"
+    : `Price outliers outside ${show(stats.priceOutliers.lowerFence, symbol)} to ${show(stats.priceOutliers.upperFence, symbol)}: ` +
+      `${stats.priceOutliers.high} high, ${stats.priceOutliers.low} low`,
+  ...(stats.estimatedRevenue?.count > 0
+    ? [
+      `Estimated annual revenue: ${formatDistribution(stats.estimatedRevenue, symbol)}`,
+      `Estimated occupancy (% of the year): ${formatDistribution(stats.estimatedOccupancy, "")}`,
+    ]
+    : []),
+  ...Object.entries(stats.groups).flatMap(([column, groups]) => [
+    `By ${column}:`,
+    ...groups.slice(0, groupLimit).map(group =>
+      `  ${group.key}: ${group.count} listings, median ${show(group.price.median, symbol)}, mean ${show(group.price.mean, symbol)}`
+    ),
+    ...(groups.length > groupLimit ? [`  ... ${groups.length - groupLimit} more`] : []),
+  ]),
+];
+
+/**
+ * Prints statistics to the console; the default formatter of computeStats
+ * @param {ListingStats} stats - Statistics to print
+ * @param {Object} [options] - Same options as formatStats
+ */
+export const printStats = (stats, options) => {
+  console.log(`\n${formatStats(stats, options).join("\n")}`);
+};
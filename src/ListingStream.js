@@ -0,0 +1,210 @@
+/**
+ * Listing stream module.
+ * Reads listings files (plain or gzipped) row by row and runs the filter,
+ * statistics, host ranking and export steps without holding the file in memory.
+ *
+ * @module ListingStream
+ */
+
+import { createReadStream, createWriteStream } from "fs";
+import { rename, unlink } from "fs/promises";
+import { once } from "events";
+import { PassThrough } from "stream";
+import { pipeline } from "stream/promises";
+import { createGunzip, createGzip } from "zlib";
+import { parse } from "csv-parse";
+import { LISTING_SCHEMA, parseListing, tallyIssue } from "./ListingSchema.js";
+import { compileFilter, toFilterExpression } from "./FilterExpression.js";
+import { createStatsCollector } from "./ListingStats.js";
+import { createHostCollector } from "./HostAnalytics.js";
+import { createRowSerializer, detectFormat, temporaryPathFor } from "./Exporter.js";
+
+/**
+ * Checks whether a path names a gzipped file, like Inside Airbnb's listings.csv.gz
+ * @param {string} filePath - File path
+ * @returns {boolean} True for paths ending in .gz
+ */
+export const isGzipPath = filePath => filePath.toLowerCase().endsWith(".gz");
+
+/**
+ * Reads typed listings from a CSV file one row at a time
+ * @async
+ * @generator
+ * @param {string} filePath - Path to listings.csv or listings.csv.gz
+ * @param {Object<string, (string|import('./ListingSchema.js').ColumnType)>} [schema=LISTING_SCHEMA] - Column types
+ * @yields {{listing: Object, issues: Array<import('./ListingSchema.js').ValidationIssue>}}
+ *   Each typed listing with the cells rejected in its row
+ * @throws {Error} If the file cannot be read, decompressed or parsed
+ */
+export async function* readListings(filePath, schema = LISTING_SCHEMA) {
+  const parser = parse({ columns: true, bom: true, relax_column_count: true });
+  const done = pipeline(
+    createReadStream(filePath),
+    ...(isGzipPath(filePath) ? [createGunzip()] : []),
+    parser
+  );
+  // Errors also surface through the parser; this keeps the promise from going unhandled
+  done.catch(() => {});
+
+  let row = 0;
+  try {
+    for await (const record of parser) {
+      row += 1;
+      yield parseListing(record, row, schema);
+    }
+    await done;
+  } finally {
+    parser.destroy();
+  }
+}
+
+/**
+ * Loads a whole listings file into memory
+ * @async
+ * @param {string} filePath - Path to listings.csv or listings.csv.gz
+ * @param {Object<string, (string|import('./ListingSchema.js').ColumnType)>} [schema=LISTING_SCHEMA] - Column types
+ * @returns {Promise<{listings: Array<Object>, issues: Array<import('./ListingSchema.js').ValidationIssue>}>}
+ *   Typed listings and every rejected cell
+ */
+export const loadListings = async (filePath, schema = LISTING_SCHEMA) => {
+  const listings = [];
+  const issues = [];
+  for await (const parsed of readListings(filePath, schema)) {
+    listings.push(parsed.listing);
+    issues.push(...parsed.issues);
+  }
+  return { listings, issues };
+};
+
+/**
+ * Creates a writer for CSV, TSV or NDJSON output; paths ending in .gz are gzipped.
+ * Rows go to a temporary file that replaces the output only when the writer closes.
+ * @param {string} filePath - Output path
+ * @param {import('./Exporter.js').ExportOptions} [options={}] - Format, columns and display formatting
+ * @returns {{write: function(Object): Promise<void>, close: function(): Promise<void>, abort: function(): Promise<void>}}
+ *   Writer whose write() waits for the stream to drain
+ * @throws {import('./Exporter.js').ExportError} If the format cannot be streamed
+ */
+const createListingWriter = (filePath, options = {}) => {
+  const serialize = createRowSerializer(detectFormat(filePath, options.format), options);
+  const temporary = temporaryPathFor(filePath);
+  const writer = new PassThrough();
+  const done = pipeline(
+    writer,
+    ...(isGzipPath(filePath) ? [createGzip()] : []),
+    createWriteStream(temporary)
+  );
+  done.catch(() => {});
+
+  return {
+    async write(listing) {
+      if (!writer.write(serialize(listing))) {
+        await Promise.race([once(writer, "drain"), done]);
+      }
+    },
+    async close() {
+      writer.end();
+      await done;
+      await rename(temporary, filePath);
+    },
+    async abort() {
+      writer.destroy();
+      await done.catch(() => {});
+      await unlink(temporary).catch(() => {});
+    },
+  };
+};
+
+/**
+ * Options for a streaming run
+ * @typedef {Object} StreamOptions
+ * @property {string} input - Path to listings.csv or listings.csv.gz
+ * @property {string} [output] - Path for the matching listings; omitted to skip writing
+ * @property {import('./FilterExpression.js').FilterExpr|Object|string} [filters={}] -
+ *   Anything handler.filter() accepts
+ * @property {boolean} [strict=false] - Stop at the first cell that fails validation
+ * @property {Object<string, (string|import('./ListingSchema.js').ColumnType)>} [schema=LISTING_SCHEMA] - Column types
+ * @property {Object} [statsOptions] - Options for the statistics, as for computeStats
+ * @property {Object} [hostOptions] - Revenue estimate and commercial rules, as for createHostCollector
+ * @property {function(Object): Object} [transform] - Applied to each listing before filtering,
+ *   e.g. to add a distance column
+ * @property {import('./Exporter.js').ExportOptions} [exportOptions] - Format, columns and display
+ *   formatting of the output; CSV, TSV and NDJSON can be streamed
+ */
+
+/**
+ * Result of a streaming run
+ * @typedef {Object} StreamResult
+ * @property {number} rows - Rows read
+ * @property {number} found - Rows that matched the filters
+ * @property {import('./ListingStats.js').ListingStats} stats - Statistics of the matching rows
+ * @property {Array<import('./HostAnalytics.js').HostSummary>} hosts - Summaries of every host of the matching rows,
+ *   most listings first
+ * @property {import('./ListingSchema.js').IssueTally} issues - Rejected cells per column
+ */
+
+/**
+ * Streams a listings file through filter, statistics, host summaries and export.
+ * Produces the same statistics, ranking and output file as loading the file
+ * and running AirBnBDataHandler(...).filter().computeStats().rankHosts().writeToFile().
+ * @async
+ * @param {StreamOptions} options - Streaming options
+ * @returns {Promise<StreamResult>} Counts, statistics and ranking
+ * @throws {Error} If reading or writing fails, or strict mode meets an invalid cell;
+ *   an existing output file is left untouched
+ * @example
+ * const { found, stats } = await streamListings({
+ *   input: 'listings.csv.gz',
+ *   output: 'family.csv',
+ *   filters: 'accommodates >= 4 and room_type = "Entire home/apt"',
+ * });
+ */
+export const streamListings = async ({
+  input,
+  output,
+  filters = {},
+  strict = false,
+  schema = LISTING_SCHEMA,
+  statsOptions,
+  hostOptions,
+  transform = listing => listing,
+  exportOptions,
+}) => {
+  const matches = compileFilter(toFilterExpression(filters));
+  const writer = output ? createListingWriter(output, exportOptions) : null;
+
+  let rows = 0;
+  let found = 0;
+  const stats = createStatsCollector(statsOptions);
+  const hosts = createHostCollector(hostOptions);
+  const issues = {};
+
+  try {
+    for await (const parsed of readListings(input, schema)) {
+      rows += 1;
+      parsed.issues.forEach(issue => tallyIssue(issues, issue));
+      if (strict && parsed.issues.length > 0) {
+        const [{ row, column, message }] = parsed.issues;
+        throw new Error(`Invalid value in row ${row}, column ${column}: ${message}`);
+      }
+      const listing = transform(parsed.listing);
+      if (!matches(listing)) continue;
+      found += 1;
+      stats.add(listing);
+      hosts.add(listing);
+      if (writer) await writer.write(listing);
+    }
+    if (writer) await writer.close();
+  } catch (error) {
+    if (writer) await writer.abort();
+    throw error;
+  }
+
+  return {
+    rows,
+    found,
+    stats: stats.result(),
+    hosts: hosts.result(),
+    issues,
+  };
+};
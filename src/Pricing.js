@@ -0,0 +1,497 @@
+/**
+ * Pricing module.
+ * Parses prices written with any currency symbol or code and locale separators
+ * ("$1,234.00", "1.234,00 €", "CHF 1'234.50"), converts them between currencies
+ * with an offline exchange-rate table, and computes the total cost of a stay.
+ *
+ * @module Pricing
+ */
+
+import { readFile } from "fs/promises";
+import { extname } from "path";
+import YAML from "yaml";
+import { COLUMN_TYPES, LISTING_SCHEMA, SchemaError } from "./ListingSchema.js";
+
+/**
+ * Error raised for unreadable prices, unknown currencies and invalid rate tables
+ * @extends Error
+ */
+export class PricingError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = "PricingError";
+  }
+}
+
+/**
+ * Currency symbols and the ISO code each stands for. A bare "$" is left to the
+ * file's currency, since dollars of many countries use it.
+ * @type {Object<string, ?string>}
+ */
+export const CURRENCY_SYMBOLS = {
+  "$": null,
+  "US$": "USD",
+  "A$": "AUD",
+  "AU$": "AUD",
+  "C$": "CAD",
+  "CA$": "CAD",
+  "NZ$": "NZD",
+  "MX$": "MXN",
+  "HK$": "HKD",
+  "S$": "SGD",
+  "NT$": "TWD",
+  "R$": "BRL",
+  "€": "EUR",
+  "£": "GBP",
+  "¥": "JPY",
+  "₹": "INR",
+  "₩": "KRW",
+  "฿": "THB",
+  "₺": "TRY",
+  "zł": "PLN",
+  "Kč": "CZK",
+  "Ft": "HUF",
+  "R": "ZAR",
+  "kr": null,
+};
+
+/**
+ * Built-in exchange rates: units of each currency per one unit of the base.
+ * Reference rates of the date given; pass a table to resolveRates for others.
+ * @type {{base: string, asOf: string, rates: Object<string, number>}}
+ */
+export const DEFAULT_RATES = Object.freeze({
+  base: "USD",
+  asOf: "2025-01-02",
+  rates: Object.freeze({
+    USD: 1,
+    EUR: 0.966,
+    GBP: 0.803,
+    CAD: 1.439,
+    AUD: 1.611,
+    NZD: 1.784,
+    MXN: 20.55,
+    BRL: 6.18,
+    ARS: 1032,
+    CLP: 996,
+    JPY: 157.2,
+    HKD: 7.77,
+    SGD: 1.366,
+    TWD: 32.9,
+    KRW: 1472,
+    THB: 34.3,
+    INR: 85.7,
+    CHF: 0.907,
+    SEK: 11.06,
+    NOK: 11.36,
+    DKK: 7.2,
+    PLN: 4.13,
+    CZK: 24.3,
+    HUF: 397,
+    TRY: 35.4,
+    ZAR: 18.8,
+  }),
+});
+
+/**
+ * Characters allowed around the digits of a price: currency symbols and codes
+ * @type {RegExp}
+ */
+const PRICE_PATTERN = /^(-)?\s*([^\d\s.,'’()-]+)?\s*(-)?\s*(\d[\d.,'’\s]*)\s*([^\d\s.,'’()-]+)?$/u;
+
+/**
+ * Looks up the currency named by a symbol or ISO code
+ * @param {string} symbol - Symbol or code, e.g. "€" or "EUR"
+ * @returns {?string} ISO code, null for symbols shared by several currencies
+ * @throws {PricingError} If the symbol is unknown
+ */
+const currencyOf = symbol => {
+  if (symbol in CURRENCY_SYMBOLS) return CURRENCY_SYMBOLS[symbol];
+  if (/^[A-Z]{3}$/.test(symbol)) return symbol;
+  throw new PricingError(`Unknown currency "${symbol}"`);
+};
+
+/**
+ * Group and decimal separators of a locale, and whether it groups digits above the
+ * thousands in pairs, as en-IN does in "12,34,567"
+ * @param {string} locale - BCP 47 locale, e.g. "de-DE"
+ * @returns {{group: string, decimal: string, pairs: boolean}} Separators
+ * @throws {PricingError} If the locale is invalid
+ */
+const separatorsOf = locale => {
+  let parts;
+  try {
+    parts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+  } catch {
+    throw new PricingError(`Unknown locale "${locale}"`);
+  }
+  return {
+    group: parts.find(part => part.type === "group")?.value ?? "",
+    decimal: parts.find(part => part.type === "decimal")?.value ?? ".",
+    pairs: parts.filter(part => part.type === "integer").slice(1, -1).some(part => part.value.length === 2),
+  };
+};
+
+/**
+ * Guesses the separators of a number without a locale. When both "." and "," appear the
+ * last one is the decimal separator; a single separator followed by exactly three digits
+ * groups thousands, as in "1,234" or "1.234"; otherwise it is the decimal separator.
+ * Groups of two digits are allowed before the last group of three.
+ * @param {string} digits - Number without spaces or apostrophes
+ * @returns {{group: string, decimal: string, pairs: boolean}} Separators
+ */
+const guessSeparators = digits => {
+  const lastDot = digits.lastIndexOf(".");
+  const lastComma = digits.lastIndexOf(",");
+  if (lastDot >= 0 && lastComma >= 0) {
+    return lastDot > lastComma ? { group: ",", decimal: ".", pairs: true } : { group: ".", decimal: ",", pairs: true };
+  }
+  const separator = lastDot >= 0 ? "." : ",";
+  const count = digits.split(separator).length - 1;
+  if (count > 1 || /^\d{3}$/.test(digits.slice(digits.lastIndexOf(separator) + 1))) {
+    return { group: separator, decimal: separator === "." ? "," : ".", pairs: true };
+  }
+  return { group: separator === "." ? "," : ".", decimal: separator, pairs: true };
+};
+
+const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * A parsed price
+ * @typedef {Object} Price
+ * @property {number} amount - Amount
+ * @property {?string} currency - ISO code named by the symbol or code, null when the price has
+ *   none or a shared symbol such as "$"
+ */
+
+/**
+ * Parses a price with an optional currency symbol or ISO code before or after the amount.
+ * Spaces and apostrophes group digits; "." and "," follow the locale when one is given,
+ * and are told apart by position otherwise. The last group always has three digits, so
+ * "150.00" is rejected rather than read as 15000 under de-DE.
+ * @param {string|number} text - Price, e.g. "$1,234.00", "1.234,00 €", "CHF 1'234.50" or "-£12"
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.locale] - Locale whose separators the price uses, e.g. "de-DE"
+ * @returns {Price} Amount and currency
+ * @throws {PricingError} If the text is not a price, the currency is unknown or the
+ *   separators do not match the locale
+ * @example
+ * parsePrice('1.234,00 €'); // { amount: 1234, currency: 'EUR' }
+ * parsePrice('$85');        // { amount: 85, currency: null }
+ */
+export const parsePrice = (text, { locale } = {}) => {
+  if (typeof text === "number") return { amount: text, currency: null };
+  const match = PRICE_PATTERN.exec(String(text).trim());
+  if (!match) throw new PricingError(`"${text}" is not a price`);
+  const [, signBefore, before, signAfter, number, after] = match;
+  if (before && after) throw new PricingError(`"${text}" names a currency twice`);
+  const currency = before || after ? currencyOf(before || after) : null;
+  const digits = number.replace(/[\s'’]/g, "");
+  const { group, decimal, pairs } = locale ? separatorsOf(locale) : guessSeparators(digits);
+  // Space and apostrophe groups are already removed
+  const grouping = group && !/^[\s'’]$/u.test(group) ? escape(group) : "";
+  const grouped = grouping ? `|\\d{1,3}(?:${grouping}\\d{${pairs ? "2,3" : "3"}})*${grouping}\\d{3}` : "";
+  if (!new RegExp(`^(?:\\d+${grouped})(?:${escape(decimal)}\\d+)?$`).test(digits)) {
+    throw new PricingError(locale ? `"${text}" does not use the ${locale} number format` : `"${text}" is not a price`);
+  }
+  const amount = Number((grouping ? digits.split(group).join("") : digits).replace(decimal, "."));
+  return { amount: signBefore || signAfter ? -amount : amount, currency };
+};
+
+/**
+ * An exchange-rate table
+ * @typedef {Object} RateTable
+ * @property {string} base - Currency the rates are quoted against
+ * @property {?string} asOf - Date of the rates
+ * @property {Object<string, number>} rates - Units of each currency per one unit of the base
+ */
+
+/**
+ * Resolves a rate table, filling in the built-in rates, rebased onto its base, for the
+ * currencies it leaves out. A table whose base has no built-in rate is used on its own.
+ * @param {Object} [table={}] - Table with base (default "USD"), asOf and rates
+ * @returns {RateTable} Complete table
+ * @throws {PricingError} If a key, code or rate is invalid
+ * @example
+ * resolveRates({ base: 'EUR', asOf: '2025-03-01', rates: { USD: 1.05, GBP: 0.83 } });
+ */
+export const resolveRates = (table = {}) => {
+  if (table === null || typeof table !== "object" || Array.isArray(table)) {
+    throw new PricingError("Exchange rates must be an object with base, asOf and rates");
+  }
+  const { base = DEFAULT_RATES.base, asOf = null, rates = {}, ...rest } = table;
+  const unknown = Object.keys(rest);
+  if (unknown.length > 0) {
+    throw new PricingError(`Unknown exchange rate option ${unknown.map(key => `"${key}"`).join(", ")}; expected base, asOf, rates`);
+  }
+  if (!/^[A-Z]{3}$/.test(base)) throw new PricingError(`Base currency must be an ISO code such as USD, got "${base}"`);
+  if (rates === null || typeof rates !== "object" || Array.isArray(rates)) {
+    throw new PricingError("Exchange rates must map ISO codes to numbers");
+  }
+  Object.entries(rates).forEach(([code, rate]) => {
+    if (!/^[A-Z]{3}$/.test(code)) throw new PricingError(`"${code}" is not an ISO currency code`);
+    if (typeof rate !== "number" || !(rate > 0) || !Number.isFinite(rate)) {
+      throw new PricingError(`Rate of ${code} must be a positive number, got ${rate}`);
+    }
+  });
+  const scale = DEFAULT_RATES.rates[base];
+  if (scale === undefined) {
+    return { base, asOf, rates: { ...rates, [base]: 1 } };
+  }
+  return {
+    base,
+    asOf: asOf ?? DEFAULT_RATES.asOf,
+    rates: {
+      ...Object.fromEntries(Object.entries(DEFAULT_RATES.rates).map(([code, rate]) => [code, rate / scale])),
+      ...rates,
+      [base]: 1,
+    },
+  };
+};
+
+/**
+ * Reads a JSON or YAML rate table and resolves it
+ * @async
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Promise<RateTable>} Complete table
+ * @throws {PricingError} If the file is unreadable or the table invalid
+ */
+export const loadRates = async filePath => {
+  let content;
+  try {
+    content = await readFile(filePath, "utf-8");
+  } catch (error) {
+    throw new PricingError(`Cannot read exchange rates ${filePath}: ${error.message}`);
+  }
+  try {
+    return resolveRates(extname(filePath).toLowerCase() === ".json" ? JSON.parse(content) : YAML.parse(content));
+  } catch (error) {
+    if (error instanceof PricingError) throw new PricingError(`${filePath}: ${error.message}`);
+    throw new PricingError(`Invalid exchange rates ${filePath}: ${error.message}`);
+  }
+};
+
+/**
+ * Checks that a table has a rate for a currency
+ * @param {string} code - ISO code
+ * @param {RateTable} rates - Rate table
+ * @returns {string} The code
+ * @throws {PricingError} If the table has no rate for it
+ */
+const checkCurrency = (code, rates) => {
+  if (!(code in rates.rates)) {
+    throw new PricingError(`No exchange rate for "${code}"; add it to the rate table`);
+  }
+  return code;
+};
+
+/**
+ * Converts an amount between currencies, rounded to cents
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source ISO code
+ * @param {string} to - Target ISO code
+ * @param {RateTable} [rates=DEFAULT_RATES] - Rate table
+ * @returns {number} Amount in the target currency
+ * @throws {PricingError} If either currency has no rate
+ */
+export const convertPrice = (amount, from, to, rates = DEFAULT_RATES) => {
+  if (from === to) return amount;
+  const converted = amount / rates.rates[checkCurrency(from, rates)] * rates.rates[checkCurrency(to, rates)];
+  return Math.round(converted * 100) / 100;
+};
+
+/**
+ * How the prices of a listings file are read
+ * @typedef {Object} PriceOptions
+ * @property {string} [locale] - Locale of the separators; guessed from each price when absent
+ * @property {string} [currency="USD"] - Currency of prices with no symbol or a shared one such as "$"
+ * @property {string} [convertTo] - Currency to convert every price to; without it, prices in
+ *   another currency than `currency` are rejected
+ * @property {RateTable} [rates=DEFAULT_RATES] - Rates used to convert
+ */
+
+/**
+ * Creates a column type for prices in any currency and locale
+ * @param {PriceOptions} [options] - How prices are read
+ * @returns {import('./ListingSchema.js').ColumnType} Type parsing prices to amounts in the
+ *   target currency and formatting them back with its symbol
+ * @throws {PricingError} If the locale or a currency is unknown
+ */
+export const createPriceType = ({ locale, currency = "USD", convertTo, rates = DEFAULT_RATES } = {}) => {
+  if (locale) separatorsOf(locale);
+  const target = convertTo ?? currency;
+  let money;
+  try {
+    money = new Intl.NumberFormat("en-US", { style: "currency", currency: target });
+  } catch {
+    throw new PricingError(`Unknown currency code "${target}"`);
+  }
+  if (convertTo) [currency, convertTo].forEach(code => checkCurrency(code, rates));
+  return {
+    parse: text => {
+      try {
+        const price = parsePrice(text, { locale });
+        const source = price.currency ?? currency;
+        if (source !== target && !convertTo) {
+          throw new PricingError(`"${text}" is in ${source}, not ${currency}`);
+        }
+        return convertPrice(price.amount, source, target, rates);
+      } catch (error) {
+        if (error instanceof PricingError) throw new SchemaError(error.message);
+        throw error;
+      }
+    },
+    format: value => money.format(value),
+  };
+};
+
+/**
+ * Builds a listing schema whose currency columns are read with createPriceType
+ * @param {PriceOptions} options - How prices are read
+ * @param {Object<string, string>} [schema=LISTING_SCHEMA] - Schema to adapt
+ * @returns {Object<string, (string|import('./ListingSchema.js').ColumnType)>} Schema
+ * @throws {PricingError} If the locale or a currency is unknown
+ */
+export const priceSchema = (options, schema = LISTING_SCHEMA) => {
+  const type = createPriceType(options);
+  return Object.fromEntries(Object.entries(schema)
+    .map(([column, name]) => [column, COLUMN_TYPES[name] === COLUMN_TYPES.currency ? type : name]));
+};
+
+/**
+ * Symbol to show before amounts in the currency prices are read or converted to
+ * @param {?PriceOptions} prices - How prices are read, null for US dollars
+ * @returns {string} Symbol such as "$" or "€"; codes without a symbol are followed by a space
+ */
+export const priceSymbol = prices => {
+  const code = prices?.convertTo ?? prices?.currency ?? "USD";
+  const symbol = new Intl.NumberFormat("en-US", { style: "currency", currency: code })
+    .formatToParts(0)
+    .find(part => part.type === "currency")?.value ?? code;
+  return /^[A-Z]+$/.test(symbol) ? `${symbol} ` : symbol;
+};
+
+/**
+ * Reads an amount from a typed or raw cell, e.g. cleaning_fee in older scrapes
+ * @param {*} value - Cell value
+ * @returns {?number} Amount, null when missing or unreadable
+ */
+const amountOf = value => {
+  if (value === null || value === undefined || value === "") return null;
+  try {
+    return parsePrice(value).amount;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Reads a fee column such as cleaning_fee with the price type, so it is in the currency of the price
+ * @param {*} value - Cell value; numbers are taken to be in that currency already
+ * @param {import('./ListingSchema.js').ColumnType} type - Price type of the file
+ * @returns {?number} Amount, 0 when missing, null when unreadable or not convertible
+ */
+const feeOf = (value, type) => {
+  if (value === null || value === undefined || value === "") return 0;
+  if (typeof value === "number") return value;
+  try {
+    return type.parse(String(value));
+  } catch (error) {
+    if (error instanceof SchemaError) return null;
+    throw error;
+  }
+};
+
+/**
+ * Nights and guests of a stay
+ * @typedef {Object} Stay
+ * @property {number} nights - Nights booked
+ * @property {number} [guests=1] - Guests staying
+ */
+
+/**
+ * Checks a stay
+ * @param {Stay} stay - Stay
+ * @returns {Stay} The stay, with guests defaulted to 1
+ * @throws {PricingError} If nights or guests is not a whole number above 0
+ */
+export const checkStay = ({ nights, guests = 1 } = {}) => {
+  [["nights", nights], ["guests", guests]].forEach(([name, value]) => {
+    if (!Number.isInteger(value) || value < 1) {
+      throw new PricingError(`Stay ${name} must be a whole number above 0, got ${value}`);
+    }
+  });
+  return { nights, guests };
+};
+
+/**
+ * Parses a stay such as "7" or "7,2" (nights, guests)
+ * @param {string} text - Stay
+ * @returns {Stay} Stay
+ * @throws {PricingError} If it is malformed
+ */
+export const parseStay = text => {
+  const parts = String(text).split(",").map(part => part.trim());
+  if (parts.length > 2 || parts.some(part => !/^\d+$/.test(part))) {
+    throw new PricingError(`Stay must be "nights" or "nights,guests", e.g. "7,2", got "${text}"`);
+  }
+  const [nights, guests = 1] = parts.map(Number);
+  return checkStay({ nights, guests });
+};
+
+/**
+ * Total cost of a stay: nightly price times nights, plus cleaning_fee and
+ * extra_people for guests beyond guests_included where a scrape has them
+ * @param {Object} listing - Listing, with the price already read by priceType
+ * @param {Stay} stay - Nights and guests
+ * @param {import('./ListingSchema.js').ColumnType} [priceType] - Price type of the file, see createPriceType;
+ *   reads and converts the fees like the price. Defaults to US dollars
+ * @returns {?number} Cost rounded to cents; null without a price, when a fee cannot be read or
+ *   converted, when the nights are outside minimum_nights to maximum_nights or there are more
+ *   guests than accommodates
+ */
+export const stayCost = (listing, { nights, guests = 1 }, priceType = createPriceType()) => {
+  const price = amountOf(listing.price);
+  const limit = column => amountOf(listing[column]);
+  if (price === null || nights < (limit("minimum_nights") ?? 1) || nights > (limit("maximum_nights") ?? Infinity) ||
+    guests > (limit("accommodates") ?? Infinity)) {
+    return null;
+  }
+  const [cleaningFee, extraPeople] = [listing.cleaning_fee, listing.extra_people].map(value => feeOf(value, priceType));
+  if (cleaningFee === null || extraPeople === null) return null;
+  const extraGuests = Math.max(0, guests - (limit("guests_included") ?? guests));
+  const cost = price * nights + cleaningFee + extraPeople * extraGuests * nights;
+  return Math.round(cost * 100) / 100;
+};
+
+/**
+ * Columns added for a stay
+ * @type {Array<string>}
+ */
+export const STAY_COLUMNS = ["stay_cost", "stay_cost_per_guest"];
+
+/**
+ * Builds a listing transform adding stay_cost and stay_cost_per_guest, so a stay
+ * can be filtered, sorted and exported like any column
+ * @param {Stay} stay - Nights and guests
+ * @param {?PriceOptions} [prices] - How the file's prices are read, so fees are read and converted the same way
+ * @returns {function(Object): Object} Listing transform
+ * @throws {PricingError} If the stay is invalid, or the locale or a currency unknown
+ * @example
+ * listings.map(stayColumns({ nights: 7, guests: 4 })).filter(listing => listing.stay_cost <= 1500);
+ */
+export const stayColumns = (stay, prices) => {
+  const { nights, guests } = checkStay(stay);
+  const priceType = createPriceType(prices ?? {});
+  return listing => {
+    const cost = stayCost(listing, { nights, guests }, priceType);
+    return {
+      ...listing,
+      stay_cost: cost,
+      stay_cost_per_guest: cost === null ? null : Math.round(cost / guests * 100) / 100,
+    };
+  };
+};
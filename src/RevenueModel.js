@@ -0,0 +1,184 @@
+/**
+ * Revenue model module.
+ * Estimates bookings, occupancy and annual revenue per listing from review
+ * activity, in the spirit of Inside Airbnb's "San Francisco model":
+ *
+ *   bookings  = number_of_reviews_ltm / reviewRate
+ *               (reviews_per_month × 12 when the last-twelve-months count is missing)
+ *   stay      = max(averageStay, minimum_nights)      when useMinimumNights
+ *   nights    = bookings × stay, capped at maxOccupancy × 365 and, when
+ *               capByAvailability, at 365 - availability_365 (days already booked
+ *               or blocked in the calendar)
+ *   occupancy = nights / 365
+ *   revenue   = nights × price
+ *
+ * Not every guest leaves a review, hence the review rate. Every parameter is
+ * configurable; the results are estimates for comparing listings, not bookings data.
+ *
+ * @module RevenueModel
+ */
+
+import { toNumber } from "./FilterExpression.js";
+
+/**
+ * Error raised for invalid model parameters
+ * @extends Error
+ */
+export class RevenueModelError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = "RevenueModelError";
+  }
+}
+
+/**
+ * Model parameters
+ * @typedef {Object} RevenueModel
+ * @property {number} reviewRate - Share of stays that leave a review, above 0 and at most 1
+ * @property {number} averageStay - Nights per booking
+ * @property {boolean} useMinimumNights - Use minimum_nights as the stay when it is longer
+ * @property {number} maxOccupancy - Largest share of the year a listing can be booked, from 0 to 1
+ * @property {boolean} capByAvailability - Cap nights at the days unavailable in the calendar
+ */
+
+/** @type {RevenueModel} */
+export const DEFAULT_REVENUE_MODEL = Object.freeze({
+  reviewRate: 0.5,
+  averageStay: 3,
+  useMinimumNights: true,
+  maxOccupancy: 0.7,
+  capByAvailability: true,
+});
+
+/**
+ * Columns added by the model
+ * @type {Array<string>}
+ */
+export const REVENUE_COLUMNS = [
+  "estimated_bookings",
+  "estimated_nights",
+  "estimated_occupancy",
+  "estimated_revenue",
+];
+
+/**
+ * Checks model parameters and fills in the defaults
+ * @param {Partial<RevenueModel>} [model={}] - Parameters to override
+ * @returns {RevenueModel} Complete model
+ * @throws {RevenueModelError} If a parameter is unknown or out of range
+ */
+export const resolveRevenueModel = (model = {}) => {
+  const unknown = Object.keys(model).filter(key => !(key in DEFAULT_REVENUE_MODEL));
+  if (unknown.length > 0) {
+    throw new RevenueModelError(`Unknown revenue model parameter ${unknown.map(key => `"${key}"`).join(", ")}; ` +
+      `expected ${Object.keys(DEFAULT_REVENUE_MODEL).join(", ")}`);
+  }
+  const resolved = { ...DEFAULT_REVENUE_MODEL, ...model };
+  const { reviewRate, averageStay, maxOccupancy } = resolved;
+  if (!Number.isFinite(reviewRate) || reviewRate <= 0 || reviewRate > 1) {
+    throw new RevenueModelError(`reviewRate must be above 0 and at most 1, got ${reviewRate}`);
+  }
+  if (!Number.isFinite(averageStay) || averageStay <= 0) {
+    throw new RevenueModelError(`averageStay must be a positive number of nights, got ${averageStay}`);
+  }
+  if (!Number.isFinite(maxOccupancy) || maxOccupancy < 0 || maxOccupancy > 1) {
+    throw new RevenueModelError(`maxOccupancy must be from 0 to 1, got ${maxOccupancy}`);
+  }
+  ["useMinimumNights", "capByAvailability"].forEach(key => {
+    if (typeof resolved[key] !== "boolean") {
+      throw new RevenueModelError(`${key} must be true or false, got ${resolved[key]}`);
+    }
+  });
+  return resolved;
+};
+
+/**
+ * Parses model parameters written as "reviewRate=0.4, averageStay=4, capByAvailability=false"
+ * @param {string} text - Comma-separated key=value pairs
+ * @returns {RevenueModel} Complete model
+ * @throws {RevenueModelError} If a pair is malformed or a parameter invalid
+ */
+export const parseRevenueModel = text => resolveRevenueModel(Object.fromEntries(
+  String(text).split(",").map(pair => pair.trim()).filter(Boolean).map(pair => {
+    const [key, value, ...rest] = pair.split("=").map(part => part.trim());
+    if (!key || value === undefined || rest.length > 0) {
+      throw new RevenueModelError(`Expected key=value in the revenue model, got "${pair}"`);
+    }
+    if (["true", "false"].includes(value)) return [key, value === "true"];
+    const number = Number(value);
+    if (value === "" || Number.isNaN(number)) {
+      throw new RevenueModelError(`Revenue model parameter ${key} must be a number or true/false, got "${value}"`);
+    }
+    return [key, number];
+  })
+));
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * Estimated activity of one listing
+ * @typedef {Object} RevenueEstimate
+ * @property {?number} estimated_bookings - Bookings per year
+ * @property {?number} estimated_nights - Booked nights per year
+ * @property {?number} estimated_occupancy - Booked share of the year, in percent
+ * @property {?number} estimated_revenue - Annual revenue in the listing's currency
+ */
+
+/**
+ * Estimates bookings, occupancy and revenue of a listing
+ * @param {Object} listing - Listing with review counts, minimum_nights, availability_365 and price
+ * @param {RevenueModel} [model=DEFAULT_REVENUE_MODEL] - Complete model, see resolveRevenueModel
+ * @returns {RevenueEstimate} Estimates; all null without review activity, revenue null without a price
+ * @example
+ * estimateRevenue({ number_of_reviews_ltm: 12, minimum_nights: 2, availability_365: 200, price: 150 });
+ * // 24 bookings of 3 nights = 72 nights, 19.7% occupancy, $10,800 revenue
+ */
+export const estimateRevenue = (listing, model = DEFAULT_REVENUE_MODEL) => {
+  const reviewsLtm = toNumber(listing.number_of_reviews_ltm ?? null);
+  const reviewsPerMonth = toNumber(listing.reviews_per_month ?? null);
+  const reviews = reviewsLtm ?? (reviewsPerMonth === null ? null : reviewsPerMonth * 12);
+  if (reviews === null) {
+    return { estimated_bookings: null, estimated_nights: null, estimated_occupancy: null, estimated_revenue: null };
+  }
+
+  const bookings = reviews / model.reviewRate;
+  const minimumNights = toNumber(listing.minimum_nights ?? null);
+  const stay = model.useMinimumNights && minimumNights !== null
+    ? Math.max(model.averageStay, minimumNights)
+    : model.averageStay;
+  const available = toNumber(listing.availability_365 ?? null);
+  const caps = [model.maxOccupancy * 365];
+  if (model.capByAvailability && available !== null) caps.push(Math.max(365 - available, 0));
+  const nights = Math.min(bookings * stay, ...caps);
+  const price = toNumber(listing.price ?? null);
+
+  return {
+    estimated_bookings: round(bookings, 1),
+    estimated_nights: round(nights, 1),
+    estimated_occupancy: round((nights / 365) * 100, 1),
+    estimated_revenue: price === null ? null : round(nights * price, 2),
+  };
+};
+
+/**
+ * Creates a listing transform adding the estimated columns, for handler and stream pipelines
+ * @param {Partial<RevenueModel>} [model] - Parameters to override
+ * @returns {function(Object): Object} Transform returning a new listing with REVENUE_COLUMNS
+ * @throws {RevenueModelError} If a parameter is invalid
+ */
+export const revenueColumns = model => {
+  const resolved = resolveRevenueModel(model);
+  return listing => ({ ...listing, ...estimateRevenue(listing, resolved) });
+};
+
+/**
+ * Describes a model on one line, for reports
+ * @param {RevenueModel} model - Complete model
+ * @returns {string} Description
+ */
+export const describeRevenueModel = model =>
+  `reviews / ${model.reviewRate} bookings × ${model.useMinimumNights ? `max(${model.averageStay}, minimum_nights)` : model.averageStay} nights, ` +
+  `capped at ${round(model.maxOccupancy * 100, 1)}% of the year${model.capByAvailability ? " and at the unavailable calendar days" : ""}`;
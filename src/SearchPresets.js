@@ -0,0 +1,331 @@
+/**
+ * Search presets module.
+ * Keeps named searches in a local JSON store. A preset holds the same keys as
+ * a config file (filters, where, order, export options, ...) and the ids
+ * matched by its last run, so re-running it against a newer listings file
+ * reports which matches were added and removed.
+ *
+ * @module SearchPresets
+ */
+
+import { readFile } from "fs/promises";
+import { isDeepStrictEqual } from "util";
+import { writeFileAtomic } from "./Exporter.js";
+
+/**
+ * Error raised for unknown presets and unreadable stores
+ * @extends Error
+ */
+export class PresetError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = "PresetError";
+  }
+}
+
+/**
+ * Version written with every preset and store
+ * @type {number}
+ */
+export const PRESET_VERSION = 1;
+
+/**
+ * Store used when no other is given
+ * @type {string}
+ */
+export const DEFAULT_PRESET_STORE = "presets.json";
+
+/**
+ * Config keys a preset keeps; input and output files and the run mode are left to each run
+ * @type {Array<string>}
+ */
+export const PRESET_KEYS = [
+  "filters", "where", "search", "order", "hosts", "hostRank", "commercial", "near", "bbox", "within", "area",
+  "amenities", "amenityReport", "revenue", "quality", "prices", "stay", "groupBy", "pivot", "aggregate", "similar",
+  "duplicates", "format", "columns", "currency", "dateFormat",
+];
+
+/**
+ * Matches of the last run of a preset
+ * @typedef {Object} PresetRun
+ * @property {string} input - Listings file the preset ran against
+ * @property {string} runAt - ISO timestamp of the run
+ * @property {number} count - Number of matches
+ * @property {Array<string>} ids - Ids of the matches
+ */
+
+/**
+ * A saved search
+ * @typedef {Object} Preset
+ * @property {number} version - PRESET_VERSION when saved
+ * @property {string} savedAt - ISO timestamp of the last save
+ * @property {Object} options - Config file keys, see PRESET_KEYS
+ * @property {?PresetRun} lastRun - Last run, null before the first
+ */
+
+/**
+ * Preset store file contents
+ * @typedef {Object} PresetStore
+ * @property {number} version - PRESET_VERSION when written
+ * @property {Object<string, Preset>} presets - Presets by name
+ */
+
+/**
+ * Upgrades from each older version to the next one.
+ * Version 0 is a bare config object, as shared by hand before presets had a version.
+ * @type {Object<number, function(Object): Object>}
+ */
+const MIGRATIONS = {
+  0: options => ({ version: 1, savedAt: null, options, lastRun: null }),
+};
+
+/**
+ * Brings a stored preset up to the current version
+ * @param {Object} preset - Preset as stored
+ * @param {string} name - Preset name, used in error messages
+ * @returns {Preset} Current preset
+ * @throws {PresetError} If the preset is newer than this version or malformed
+ */
+export const migratePreset = (preset, name) => {
+  if (preset === null || typeof preset !== "object" || Array.isArray(preset)) {
+    throw new PresetError(`Preset "${name}" must be an object`);
+  }
+  let current = "version" in preset ? preset : { ...preset, version: 0 };
+  if (!Number.isInteger(current.version) || current.version < 0) {
+    throw new PresetError(`Preset "${name}" has an invalid version ${current.version}`);
+  }
+  if (current.version > PRESET_VERSION) {
+    throw new PresetError(`Preset "${name}" was saved by a newer version (${current.version}); upgrade to load it`);
+  }
+  while (current.version < PRESET_VERSION) {
+    const { version, ...rest } = current;
+    current = MIGRATIONS[version](rest);
+  }
+  const unknown = Object.keys(current.options ?? {}).filter(key => !PRESET_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new PresetError(`Preset "${name}" has unknown option ${unknown.map(key => `"${key}"`).join(", ")}`);
+  }
+  return {
+    version: current.version,
+    savedAt: current.savedAt ?? null,
+    options: current.options ?? {},
+    lastRun: current.lastRun ?? null,
+  };
+};
+
+/**
+ * Checks a preset name
+ * @param {string} name - Name such as "family-4-guests-under-250"
+ * @returns {string} The name
+ * @throws {PresetError} If it has characters other than letters, digits, ".", "_" and "-"
+ */
+export const checkPresetName = name => {
+  if (typeof name !== "string" || !/^[\w.-]+$/.test(name)) {
+    throw new PresetError(`Preset names use letters, digits, ".", "_" or "-", got "${name}"`);
+  }
+  return name;
+};
+
+/**
+ * Reads a preset store; a missing file is an empty store
+ * @async
+ * @param {string} [filePath=DEFAULT_PRESET_STORE] - Store path
+ * @returns {Promise<PresetStore>} Store with every preset at the current version
+ * @throws {PresetError} If the file is unreadable or malformed
+ */
+export const loadPresetStore = async (filePath = DEFAULT_PRESET_STORE) => {
+  let content;
+  try {
+    content = await readFile(filePath, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") return { version: PRESET_VERSION, presets: {} };
+    throw new PresetError(`Cannot read preset store ${filePath}: ${error.message}`);
+  }
+  let store;
+  try {
+    store = JSON.parse(content);
+  } catch (error) {
+    throw new PresetError(`Invalid preset store ${filePath}: ${error.message}`);
+  }
+  if (store === null || typeof store !== "object" || typeof store.presets !== "object" || store.presets === null) {
+    throw new PresetError(`Preset store ${filePath} must be an object with a presets object`);
+  }
+  return {
+    version: PRESET_VERSION,
+    presets: Object.fromEntries(Object.entries(store.presets)
+      .map(([name, preset]) => [name, migratePreset(preset, name)])),
+  };
+};
+
+/**
+ * Writes a preset store atomically, presets sorted by name
+ * @async
+ * @param {PresetStore} store - Store
+ * @param {string} [filePath=DEFAULT_PRESET_STORE] - Store path
+ * @returns {Promise<void>}
+ */
+export const savePresetStore = (store, filePath = DEFAULT_PRESET_STORE) => writeFileAtomic(filePath, `${JSON.stringify({
+  version: PRESET_VERSION,
+  presets: Object.fromEntries(Object.entries(store.presets).sort(([a], [b]) => a.localeCompare(b))),
+}, null, 2)}\n`);
+
+/**
+ * Looks up a preset
+ * @param {PresetStore} store - Store
+ * @param {string} name - Preset name
+ * @returns {Preset} The preset
+ * @throws {PresetError} If there is no preset with that name
+ */
+export const getPreset = (store, name) => {
+  const preset = store.presets[name];
+  if (!preset) {
+    const names = Object.keys(store.presets);
+    throw new PresetError(`Unknown preset "${name}"; ${names.length > 0 ? `saved presets: ${names.join(", ")}` : "no presets are saved"}`);
+  }
+  return preset;
+};
+
+/**
+ * Keeps the PRESET_KEYS of a run's options
+ * @param {Object} options - Config file keys
+ * @returns {Object} Keys a preset stores
+ */
+const presetOptions = options => Object.fromEntries(Object.entries(options)
+  .filter(([key, value]) => PRESET_KEYS.includes(key) && value !== undefined));
+
+/**
+ * Checks whether a run's options are the ones saved in a preset, in any key order
+ * @param {PresetStore} store - Store
+ * @param {string} name - Preset name
+ * @param {Object} options - The run's options as config file keys
+ * @returns {boolean} True when the run matches what the preset saved
+ * @throws {PresetError} If there is no preset with that name
+ */
+export const matchesPreset = (store, name, options) =>
+  isDeepStrictEqual(getPreset(store, name).options, presetOptions(options));
+
+/**
+ * Adds or replaces a preset. The last run is kept when the options are unchanged,
+ * since matches of different options cannot be compared
+ * @param {PresetStore} store - Store
+ * @param {string} name - Preset name
+ * @param {Object} options - Config file keys; keys outside PRESET_KEYS are left out
+ * @returns {PresetStore} New store
+ * @throws {PresetError} If the name is invalid
+ */
+export const putPreset = (store, name, options) => {
+  const kept = presetOptions(options);
+  const previous = store.presets[checkPresetName(name)];
+  const unchanged = previous && isDeepStrictEqual(previous.options, kept);
+  return {
+    ...store,
+    presets: {
+      ...store.presets,
+      [name]: {
+        version: PRESET_VERSION,
+        savedAt: new Date().toISOString(),
+        options: kept,
+        lastRun: unchanged ? previous.lastRun : null,
+      },
+    },
+  };
+};
+
+/**
+ * Removes a preset
+ * @param {PresetStore} store - Store
+ * @param {string} name - Preset name
+ * @returns {PresetStore} New store
+ * @throws {PresetError} If there is no preset with that name
+ */
+export const removePreset = (store, name) => {
+  getPreset(store, name);
+  return { ...store, presets: Object.fromEntries(Object.entries(store.presets).filter(([key]) => key !== name)) };
+};
+
+/**
+ * Change in matches since the last run of a preset
+ * @typedef {Object} PresetRunChange
+ * @property {number} count - Matches now
+ * @property {?PresetRun} previous - Last run without its ids, null on the first
+ * @property {Array<string>} added - Ids matched now but not last time
+ * @property {Array<string>} removed - Ids matched last time but not now
+ */
+
+/**
+ * Records a run of a preset and compares its matches with the last run
+ * @param {PresetStore} store - Store
+ * @param {string} name - Preset name
+ * @param {string} input - Listings file the preset ran against
+ * @param {Array<Object>} listings - Matching listings
+ * @returns {{store: PresetStore, change: PresetRunChange}} New store and the change
+ * @throws {PresetError} If there is no preset with that name
+ */
+export const recordPresetRun = (store, name, input, listings) => {
+  const preset = getPreset(store, name);
+  const ids = [...new Set(listings.map(listing => String(listing.id)))];
+  const { ids: previousIds = [], ...previous } = preset.lastRun ?? {};
+  const before = new Set(previousIds);
+  const now = new Set(ids);
+  const change = {
+    count: ids.length,
+    previous: preset.lastRun ? previous : null,
+    added: preset.lastRun ? ids.filter(id => !before.has(id)) : [],
+    removed: previousIds.filter(id => !now.has(id)),
+  };
+  return {
+    store: {
+      ...store,
+      presets: {
+        ...store.presets,
+        [name]: { ...preset, lastRun: { input, runAt: new Date().toISOString(), count: ids.length, ids } },
+      },
+    },
+    change,
+  };
+};
+
+/**
+ * Describes a preset's options on one line, e.g. for listings of the store
+ * @param {Preset} preset - Preset
+ * @returns {string} Description
+ */
+export const describePreset = preset => Object.entries(preset.options)
+  .map(([key, value]) => `${key}=${typeof value === "object" ? JSON.stringify(value) : value}`)
+  .join(" ");
+
+/**
+ * Prints the presets of a store to the console
+ * @param {PresetStore} store - Store
+ */
+export const printPresetList = store => {
+  const entries = Object.entries(store.presets);
+  if (entries.length === 0) {
+    console.log("No presets saved.");
+    return;
+  }
+  console.log(`${entries.length} saved preset${entries.length === 1 ? "" : "s"}:`);
+  entries.forEach(([name, preset]) => {
+    const lastRun = preset.lastRun
+      ? ` (last run ${preset.lastRun.runAt.slice(0, 10)} on ${preset.lastRun.input}: ${preset.lastRun.count} matches)`
+      : "";
+    console.log(`  ${name}: ${describePreset(preset) || "no filters"}${lastRun}`);
+  });
+};
+
+/**
+ * Prints the change in matches since the last run of a preset
+ * @param {string} name - Preset name
+ * @param {PresetRunChange} change - Change from recordPresetRun
+ */
+export const printPresetRunChange = (name, { count, previous, added, removed }) => {
+  if (!previous) {
+    console.log(`Preset ${name}: ${count} matches, recorded for the next run`);
+    return;
+  }
+  console.log(`Preset ${name}: ${count} matches, ${added.length} added and ${removed.length} removed since ` +
+    `${previous.runAt.slice(0, 10)} (${previous.count} matches in ${previous.input})`);
+};
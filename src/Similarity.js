@@ -0,0 +1,377 @@
+/**
+ * Similarity module.
+ * Finds the listings most like a given one by a weighted distance over
+ * location, room type, bedrooms, guests, shared amenities and rating, and
+ * detects likely duplicate or cross-posted listings: rows of the same host or
+ * with the same photo, at nearly the same coordinates, with near-identical
+ * names or photos.
+ *
+ * @module Similarity
+ */
+
+import { amenitySet } from "./Amenities.js";
+import { toNumber } from "./FilterExpression.js";
+import { haversineKm, listingPoint } from "./GeoSearch.js";
+
+/**
+ * Error raised for an unknown listing or invalid similarity options
+ * @extends Error
+ */
+export class SimilarityError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = "SimilarityError";
+  }
+}
+
+/**
+ * Features compared between two listings, and what each one measures
+ * @type {Object<string, string>}
+ */
+export const SIMILARITY_FEATURES = {
+  location: "Haversine distance, entirely different from locationKm on",
+  room_type: "Same room type or not",
+  bedrooms: "Difference in bedrooms, entirely different from 2 on",
+  accommodates: "Difference in guests, entirely different from 4 on",
+  amenities: "Amenity categories not shared (1 - Jaccard overlap)",
+  rating: "Difference in review_scores_rating, entirely different from 1 point on",
+};
+
+/**
+ * Weight of each feature in the distance when none are given
+ * @type {Readonly<Object<string, number>>}
+ */
+export const DEFAULT_WEIGHTS = Object.freeze({
+  location: 3,
+  room_type: 2,
+  bedrooms: 2,
+  accommodates: 1,
+  amenities: 1,
+  rating: 1,
+});
+
+/**
+ * Difference at which two numeric features count as entirely different
+ * @type {Object<string, number>}
+ */
+const SCALES = { bedrooms: 2, accommodates: 4, rating: 1 };
+
+/**
+ * Resolves feature weights over DEFAULT_WEIGHTS
+ * @param {Object<string, number>|string} [weights] - Weights to change, as an object or
+ *   a list such as "location=1,amenities=3"; 0 leaves a feature out
+ * @returns {Object<string, number>} Weight of every feature
+ * @throws {SimilarityError} If a feature is unknown, a weight is negative or all are 0
+ */
+export const resolveWeights = (weights = {}) => {
+  const entries = typeof weights === "string"
+    ? weights.split(",").map(part => part.trim()).filter(Boolean).map(part => {
+      const [name, value = ""] = part.split("=").map(text => text.trim());
+      return [name, value === "" ? NaN : Number(value)];
+    })
+    : Object.entries(weights ?? {});
+  const resolved = { ...DEFAULT_WEIGHTS };
+  entries.forEach(([name, value]) => {
+    if (!Object.hasOwn(SIMILARITY_FEATURES, name)) {
+      throw new SimilarityError(`Unknown similarity feature "${name}"; expected ${Object.keys(SIMILARITY_FEATURES).join(", ")}`);
+    }
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      throw new SimilarityError(`Weight of ${name} must be a number of 0 or more, got ${value}`);
+    }
+    resolved[name] = value;
+  });
+  if (Object.values(resolved).every(value => value === 0)) {
+    throw new SimilarityError("At least one similarity weight must be above 0");
+  }
+  return resolved;
+};
+
+/**
+ * Distance between two values scaled to 0…1; 1 when only one is known, 0 when neither is
+ * @param {?number} a - First value
+ * @param {?number} b - Second value
+ * @param {number} scale - Difference counted as entirely different
+ * @returns {number} Scaled distance
+ */
+const scaled = (a, b, scale) => {
+  if (a === null || b === null) return a === b ? 0 : 1;
+  return Math.min(Math.abs(a - b) / scale, 1);
+};
+
+/**
+ * Share of two sets' members not in both
+ * @param {Set<string>} a - First set
+ * @param {Set<string>} b - Second set
+ * @returns {number} 1 - |a ∩ b| / |a ∪ b|, 0 when both are empty
+ */
+const jaccardDistance = (a, b) => {
+  const shared = [...a].filter(member => b.has(member)).length;
+  const union = a.size + b.size - shared;
+  return union === 0 ? 0 : 1 - shared / union;
+};
+
+/**
+ * Distance between two listings in every feature, each from 0 (same) to 1 (entirely different)
+ * @param {Object} a - First listing
+ * @param {Object} b - Second listing
+ * @param {number} locationKm - Kilometres at which listings count as far apart
+ * @returns {Object<string, number>} Distance per feature
+ */
+const featureDistances = (a, b, locationKm) => {
+  const pointA = listingPoint(a);
+  const pointB = listingPoint(b);
+  const number = (listing, column) => toNumber(listing[column] ?? null);
+  return {
+    location: pointA && pointB ? Math.min(haversineKm(pointA, pointB) / locationKm, 1) : 1,
+    room_type: (a.room_type ?? null) === (b.room_type ?? null) ? 0 : 1,
+    bedrooms: scaled(number(a, "bedrooms"), number(b, "bedrooms"), SCALES.bedrooms),
+    accommodates: scaled(number(a, "accommodates"), number(b, "accommodates"), SCALES.accommodates),
+    amenities: jaccardDistance(amenitySet(a), amenitySet(b)),
+    rating: scaled(number(a, "review_scores_rating"), number(b, "review_scores_rating"), SCALES.rating),
+  };
+};
+
+/**
+ * Finds a listing by id
+ * @param {Array<Object>} listings - Listings
+ * @param {string|number} id - Listing id
+ * @returns {Object} The first listing with this id
+ * @throws {SimilarityError} If no listing has this id
+ */
+export const findListing = (listings, id) => {
+  const listing = listings.find(candidate => String(candidate.id) === String(id));
+  if (!listing) {
+    throw new SimilarityError(`No listing with id ${id}`);
+  }
+  return listing;
+};
+
+/**
+ * Options of a similarity search
+ * @typedef {Object} SimilarityOptions
+ * @property {number} [k=10] - Number of listings to return
+ * @property {Object<string, number>|string} [weights] - Weights changed from DEFAULT_WEIGHTS
+ * @property {number} [locationKm=2] - Kilometres at which listings count as far apart
+ */
+
+/**
+ * Ranks listings by how much they look like a target listing. The distance is the
+ * weighted mean of the feature distances; similarity is 1 minus it.
+ * @param {Array<Object>} listings - Candidate listings; the target itself is skipped
+ * @param {Object} target - Listing to compare with
+ * @param {SimilarityOptions} [options] - Number of results, weights and location scale
+ * @returns {Array<Object>} The k most similar listings, most similar first, with similarity
+ *   (0…1) and similar_distance_km (null without coordinates) columns
+ * @throws {SimilarityError} If k, a weight or locationKm is invalid
+ * @example
+ * similarListings(listings, findListing(listings, "43605780"), { k: 5, weights: "amenities=3" });
+ */
+export const similarListings = (listings, target, { k = 10, weights, locationKm = 2 } = {}) => {
+  if (!Number.isInteger(k) || k < 1) {
+    throw new SimilarityError(`Number of similar listings must be a positive integer, got ${k}`);
+  }
+  if (typeof locationKm !== "number" || !(locationKm > 0)) {
+    throw new SimilarityError(`locationKm must be a positive number, got ${locationKm}`);
+  }
+  const resolved = resolveWeights(weights);
+  const total = Object.values(resolved).reduce((sum, weight) => sum + weight, 0);
+  const targetPoint = listingPoint(target);
+  return listings
+    .filter(listing => listing !== target && String(listing.id) !== String(target.id))
+    .map(listing => {
+      const distances = featureDistances(target, listing, locationKm);
+      const distance = Object.entries(resolved)
+        .reduce((sum, [feature, weight]) => sum + weight * distances[feature], 0) / total;
+      const point = listingPoint(listing);
+      return {
+        ...listing,
+        similarity: Math.round((1 - distance) * 1000) / 1000,
+        similar_distance_km: targetPoint && point ? Math.round(haversineKm(targetPoint, point) * 1000) / 1000 : null,
+      };
+    })
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k);
+};
+
+/**
+ * Prints similar listings to the console
+ * @param {Array<Object>} listings - Listings with similarity and similar_distance_km, most similar first
+ * @param {Object} [options] - Printing options
+ * @param {Object} [options.target] - Listing they were compared with, shown in the heading
+ * @param {number} [options.limit=10] - Listings to show
+ * @param {string} [options.symbol="$"] - Currency symbol of prices
+ */
+export const printSimilarListings = (listings, { target, limit = 10, symbol = "$" } = {}) => {
+  const shown = Math.min(listings.length, limit);
+  console.log(`\n${shown} listing${shown === 1 ? "" : "s"} most like ` +
+    `${target ? `${target.name ?? "(no name)"} (id: ${target.id})` : "the target"}:`);
+  listings.slice(0, limit).forEach((listing, index) => {
+    const price = typeof listing.price === "number" ? `${symbol}${listing.price.toFixed(2)}` : "n/a";
+    const km = listing.similar_distance_km === null ? "distance unknown" : `${listing.similar_distance_km.toFixed(1)} km away`;
+    console.log(`${index + 1}. ${listing.name ?? "(no name)"} (id: ${listing.id}, similarity ${listing.similarity.toFixed(3)})`);
+    console.log(`   ${listing.room_type ?? "unknown room type"}, ${listing.bedrooms ?? "?"} bedrooms, ` +
+      `${listing.accommodates ?? "?"} guests, price ${price}, ${km}`);
+  });
+};
+
+/**
+ * Thresholds of duplicate detection
+ * @typedef {Object} DuplicateOptions
+ * @property {number} [maxMeters=150] - Largest distance between duplicates
+ * @property {number} [minNameSimilarity=0.8] - Smallest name similarity (0…1) of duplicates
+ *   that do not share a photo
+ */
+
+/**
+ * Thresholds used when none are given
+ * @type {Readonly<DuplicateOptions>}
+ */
+export const DEFAULT_DUPLICATE_OPTIONS = Object.freeze({ maxMeters: 150, minNameSimilarity: 0.8 });
+
+/**
+ * Character pairs of a name, lowercased with punctuation and spacing removed
+ * @param {*} name - Listing name
+ * @returns {Array<string>} Bigrams
+ */
+const bigrams = name => {
+  const text = String(name ?? "").toLowerCase().normalize("NFKD").replace(/[^\p{L}\p{N}]+/gu, "");
+  return Array.from({ length: Math.max(text.length - 1, 0) }, (_, index) => text.slice(index, index + 2));
+};
+
+/**
+ * Similarity of two names, the Dice coefficient of their character bigrams
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} 1 for identical names, 0 when nothing is shared or either is empty
+ * @example
+ * nameSimilarity("Sunny loft in the Mission", "Sunny Loft, Mission"); // 0.8
+ */
+export const nameSimilarity = (a, b) => {
+  const pairsA = bigrams(a);
+  const pairsB = bigrams(b);
+  if (pairsA.length === 0 || pairsB.length === 0) return 0;
+  const counts = new Map();
+  pairsA.forEach(pair => counts.set(pair, (counts.get(pair) ?? 0) + 1));
+  const shared = pairsB.filter(pair => {
+    const count = counts.get(pair) ?? 0;
+    if (count > 0) counts.set(pair, count - 1);
+    return count > 0;
+  }).length;
+  return (2 * shared) / (pairsA.length + pairsB.length);
+};
+
+const isEmpty = value => value === null || value === undefined || value === "";
+
+/**
+ * Indexes of the rows sharing each value of a column
+ * @param {Array<Object>} listings - Listings
+ * @param {string} column - Column to group by; empty values are left out
+ * @returns {Array<Array<number>>} Groups of two rows or more
+ */
+const rowsSharing = (listings, column) => {
+  const groups = new Map();
+  listings.forEach((listing, index) => {
+    const value = listing[column];
+    if (isEmpty(value)) return;
+    const key = String(value);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+  return [...groups.values()].filter(rows => rows.length > 1);
+};
+
+/**
+ * Finds likely duplicate or cross-posted listings. Two listings match when they
+ * share a host or a photo URL, lie within maxMeters of each other, and share the
+ * photo or have names at least minNameSimilarity alike; matches are chained into groups.
+ * @param {Array<Object>} listings - Listings
+ * @param {DuplicateOptions} [options] - Thresholds
+ * @returns {Array<Object>} Listings in a group, group by group in file order, with
+ *   duplicate_group (1, 2, ...), duplicate_of (id of the group's first listing, null
+ *   for that listing) and duplicate_reasons columns
+ * @throws {SimilarityError} If a threshold is invalid
+ */
+export const findDuplicates = (listings, options = {}) => {
+  const { maxMeters, minNameSimilarity } = { ...DEFAULT_DUPLICATE_OPTIONS, ...options };
+  if (typeof maxMeters !== "number" || !(maxMeters >= 0)) {
+    throw new SimilarityError(`maxMeters must be a number of 0 or more, got ${maxMeters}`);
+  }
+  if (typeof minNameSimilarity !== "number" || !(minNameSimilarity >= 0 && minNameSimilarity <= 1)) {
+    throw new SimilarityError(`minNameSimilarity must be between 0 and 1, got ${minNameSimilarity}`);
+  }
+
+  const parent = listings.map((_, index) => index);
+  const root = index => (parent[index] === index ? index : (parent[index] = root(parent[index])));
+  const reasons = new Map();
+  const compared = new Set();
+
+  [...rowsSharing(listings, "host_id"), ...rowsSharing(listings, "picture_url")].forEach(rows => {
+    rows.forEach((i, position) => rows.slice(position + 1).forEach(j => {
+      if (compared.has(`${i},${j}`)) return;
+      compared.add(`${i},${j}`);
+      const a = listings[i];
+      const b = listings[j];
+      const pointA = listingPoint(a);
+      const pointB = listingPoint(b);
+      const meters = pointA && pointB ? haversineKm(pointA, pointB) * 1000 : null;
+      if (meters === null || meters > maxMeters) return;
+      const samePhoto = !isEmpty(a.picture_url) && a.picture_url === b.picture_url;
+      const names = nameSimilarity(a.name, b.name);
+      if (!samePhoto && names < minNameSimilarity) return;
+
+      const found = [
+        ...(!isEmpty(a.host_id) && String(a.host_id) === String(b.host_id) ? ["same host"] : []),
+        ...(samePhoto ? ["same photo"] : []),
+        `${Math.round(meters)} m apart`,
+        `names ${Math.round(names * 100)}% alike`,
+      ].join("; ");
+      if (!reasons.has(i)) reasons.set(i, found);
+      if (!reasons.has(j)) reasons.set(j, found);
+      parent[root(j)] = root(i);
+    }));
+  });
+
+  const groups = new Map();
+  listings.forEach((_, index) => {
+    if (!reasons.has(index)) return;
+    const key = root(index);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+  return [...groups.values()]
+    .sort((a, b) => a[0] - b[0])
+    .flatMap((rows, group) => rows.map((index, position) => ({
+      ...listings[index],
+      duplicate_group: group + 1,
+      duplicate_of: position === 0 ? null : listings[rows[0]].id,
+      duplicate_reasons: reasons.get(index),
+    })));
+};
+
+/**
+ * Prints duplicate groups to the console
+ * @param {Array<Object>} listings - Rows returned by findDuplicates
+ * @param {Object} [options] - Printing options
+ * @param {number} [options.limit=10] - Groups to show
+ */
+export const printDuplicates = (listings, { limit = 10 } = {}) => {
+  const groups = new Map();
+  listings.forEach(listing => {
+    if (!groups.has(listing.duplicate_group)) groups.set(listing.duplicate_group, []);
+    groups.get(listing.duplicate_group).push(listing);
+  });
+  if (groups.size === 0) {
+    console.log("\nNo likely duplicate listings found.");
+    return;
+  }
+  console.log(`\n${listings.length} likely duplicate listing${listings.length === 1 ? "" : "s"} in ` +
+    `${groups.size} group${groups.size === 1 ? "" : "s"}${groups.size > limit ? `, first ${limit}` : ""}:`);
+  [...groups.entries()].slice(0, limit).forEach(([group, rows]) => {
+    console.log(`Group ${group}:`);
+    rows.forEach(listing => console.log(`   ${listing.name ?? "(no name)"} (id: ${listing.id}, host: ${listing.host_id ?? "n/a"})` +
+      ` – ${listing.duplicate_reasons}`));
+  });
+};
@@ -0,0 +1,322 @@
+/**
+ * Snapshot diff module.
+ * Compares two Inside Airbnb scrapes of the same city by listing id: new,
+ * delisted and changed listings, field-level changes and per-neighbourhood
+ * price deltas.
+ *
+ * @module SnapshotDiff
+ */
+
+import { isMissing, toNumber } from "./FilterExpression.js";
+import { describe } from "./ListingStats.js";
+
+/**
+ * Fields compared by default: price, availability, rating and host
+ * @type {Array<string>}
+ */
+export const DEFAULT_DIFF_FIELDS = [
+  "price",
+  "has_availability",
+  "availability_30",
+  "availability_90",
+  "availability_365",
+  "review_scores_rating",
+  "number_of_reviews",
+  "host_id",
+  "host_name",
+  "host_is_superhost",
+];
+
+/**
+ * Change of one field between snapshots
+ * @typedef {Object} FieldChange
+ * @property {string} field - Column name
+ * @property {*} before - Value in the older snapshot
+ * @property {*} after - Value in the newer snapshot
+ * @property {?number} delta - after - before for numeric fields, otherwise null
+ */
+
+/**
+ * Identity of a scrape, read from its scrape_id and last_scraped columns
+ * @typedef {Object} SnapshotInfo
+ * @property {number} listings - Rows in the snapshot
+ * @property {Array<string>} scrapeIds - Distinct scrape ids
+ * @property {?string} lastScraped - Latest last_scraped date
+ * @property {number} duplicateIds - Rows whose id already appeared; only the first is compared
+ */
+
+/**
+ * Price change of one group between snapshots
+ * @typedef {Object} GroupDelta
+ * @property {string} key - Group value, "(none)" for missing
+ * @property {number} before - Listings in the older snapshot
+ * @property {number} after - Listings in the newer snapshot
+ * @property {number} added - New listings
+ * @property {number} removed - Delisted listings
+ * @property {number} changed - Listings with at least one changed field
+ * @property {?number} medianPriceBefore - Median price in the older snapshot
+ * @property {?number} medianPriceAfter - Median price in the newer snapshot
+ * @property {?number} medianPriceChange - medianPriceAfter - medianPriceBefore
+ * @property {?number} medianPriceChangePct - Change as a percentage of medianPriceBefore
+ * @property {?number} medianListingChange - Median price change of listings in both snapshots
+ */
+
+/**
+ * Result of comparing two snapshots
+ * @typedef {Object} SnapshotDiff
+ * @property {SnapshotInfo} before - Older snapshot
+ * @property {SnapshotInfo} after - Newer snapshot
+ * @property {Array<string>} fields - Fields compared
+ * @property {number} added - Listings only in the newer snapshot
+ * @property {number} removed - Listings only in the older snapshot
+ * @property {number} changed - Listings in both with at least one changed field
+ * @property {number} unchanged - Listings in both with no changed field
+ * @property {Object<string, number>} fieldChanges - Listings changed per field
+ * @property {Array<GroupDelta>} groups - Deltas per group, largest group first
+ * @property {string} groupBy - Column the groups are keyed by
+ * @property {Array<Object>} rows - One row per listing: its latest columns plus change,
+ *   changed_fields and a <field>_before and, for numbers, <field>_delta column per compared field
+ */
+
+/**
+ * Compares two values, treating all missing values as equal and numbers with a small tolerance
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True when they are the same
+ */
+const sameValue = (a, b) => {
+  if (isMissing(a) || isMissing(b)) return isMissing(a) && isMissing(b);
+  if (typeof a === "number" && typeof b === "number") return Math.abs(a - b) < 1e-9;
+  if (Array.isArray(a) || Array.isArray(b)) return JSON.stringify(a) === JSON.stringify(b);
+  return String(a) === String(b);
+};
+
+/**
+ * Difference of two numbers, rounded to hide floating-point noise such as 19.900000000000006
+ * @param {*} from - Older value
+ * @param {*} to - Newer value
+ * @returns {?number} to - from, null unless both are numbers
+ */
+const difference = (from, to) =>
+  typeof from === "number" && typeof to === "number" ? Number((to - from).toFixed(9)) : null;
+
+/**
+ * Lists the fields that differ between two versions of a listing
+ * @param {Object} before - Listing in the older snapshot
+ * @param {Object} after - Listing in the newer snapshot
+ * @param {Array<string>} [fields=DEFAULT_DIFF_FIELDS] - Fields to compare
+ * @returns {Array<FieldChange>} Changed fields, in the order given
+ * @example
+ * diffListing({ price: 120 }, { price: 135 }, ['price']);
+ * // returns [{ field: 'price', before: 120, after: 135, delta: 15 }]
+ */
+export const diffListing = (before, after, fields = DEFAULT_DIFF_FIELDS) => fields
+  .filter(field => !sameValue(before[field] ?? null, after[field] ?? null))
+  .map(field => {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    return {
+      field,
+      before: from,
+      after: to,
+      delta: difference(from, to),
+    };
+  });
+
+/**
+ * Indexes listings by id, keeping the first of any duplicates
+ * @param {Array<Object>} listings - Listings of one snapshot
+ * @returns {{byId: Map<string, Object>, info: SnapshotInfo}} Index and snapshot identity
+ */
+const indexSnapshot = listings => {
+  const byId = new Map();
+  const scrapeIds = new Set();
+  let lastScraped = null;
+  let duplicateIds = 0;
+  listings.forEach(listing => {
+    const id = String(listing.id ?? "");
+    if (byId.has(id)) duplicateIds += 1;
+    else byId.set(id, listing);
+    if (!isMissing(listing.scrape_id ?? null)) scrapeIds.add(String(listing.scrape_id));
+    if (!isMissing(listing.last_scraped ?? null) && (lastScraped === null || listing.last_scraped > lastScraped)) {
+      lastScraped = String(listing.last_scraped);
+    }
+  });
+  return { byId, info: { listings: listings.length, scrapeIds: [...scrapeIds], lastScraped, duplicateIds } };
+};
+
+/**
+ * Builds the exported row of one listing
+ * @param {Object} listing - Latest version of the listing
+ * @param {string} change - "new", "delisted", "changed" or "unchanged"
+ * @param {?Object} before - Older version, null for new listings; delisted listings get no deltas
+ * @param {Array<string>} fields - Compared fields
+ * @param {Array<FieldChange>} changes - Changed fields
+ * @returns {Object} Diff row
+ */
+const diffRow = (listing, change, before, fields, changes) => ({
+  ...listing,
+  change,
+  changed_fields: changes.map(({ field }) => field).join(", "),
+  ...Object.fromEntries(fields.flatMap(field => {
+    const from = before?.[field] ?? null;
+    const numeric = typeof from === "number" || typeof listing[field] === "number";
+    return numeric
+      ? [[`${field}_before`, from], [`${field}_delta`, change === "delisted" ? null : difference(from, listing[field])]]
+      : [[`${field}_before`, from]];
+  })),
+});
+
+const groupKey = (listing, column) =>
+  isMissing(listing[column] ?? null) ? "(none)" : String(listing[column]);
+
+const median = values => describe(values).median;
+
+/**
+ * Computes price deltas per group
+ * @param {Array<Object>} rows - Diff rows
+ * @param {Map<string, Object>} before - Older snapshot by id
+ * @param {Map<string, Object>} after - Newer snapshot by id
+ * @param {string} groupBy - Column to group by
+ * @returns {Array<GroupDelta>} Deltas, largest group first
+ */
+const groupDeltas = (rows, before, after, groupBy) => {
+  const groups = new Map();
+  const groupOf = key => {
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key, before: 0, after: 0, added: 0, removed: 0, changed: 0,
+        pricesBefore: [], pricesAfter: [], listingChanges: [],
+      });
+    }
+    return groups.get(key);
+  };
+  before.forEach(listing => {
+    const group = groupOf(groupKey(listing, groupBy));
+    group.before += 1;
+    const price = toNumber(listing.price ?? null);
+    if (price !== null) group.pricesBefore.push(price);
+  });
+  after.forEach(listing => {
+    const group = groupOf(groupKey(listing, groupBy));
+    group.after += 1;
+    const price = toNumber(listing.price ?? null);
+    if (price !== null) group.pricesAfter.push(price);
+  });
+  rows.forEach(row => {
+    const group = groupOf(groupKey(row, groupBy));
+    if (row.change === "new") group.added += 1;
+    if (row.change === "delisted") group.removed += 1;
+    if (row.change === "changed") group.changed += 1;
+    if (typeof row.price_delta === "number") group.listingChanges.push(row.price_delta);
+  });
+
+  return [...groups.values()]
+    .map(({ pricesBefore, pricesAfter, listingChanges, ...group }) => {
+      const medianPriceBefore = median(pricesBefore);
+      const medianPriceAfter = median(pricesAfter);
+      const medianPriceChange = medianPriceBefore === null || medianPriceAfter === null
+        ? null
+        : medianPriceAfter - medianPriceBefore;
+      return {
+        ...group,
+        medianPriceBefore,
+        medianPriceAfter,
+        medianPriceChange,
+        medianPriceChangePct: medianPriceChange === null || !medianPriceBefore
+          ? null
+          : (medianPriceChange / medianPriceBefore) * 100,
+        medianListingChange: median(listingChanges),
+      };
+    })
+    .sort((a, b) => Math.max(b.before, b.after) - Math.max(a.before, a.after) || a.key.localeCompare(b.key));
+};
+
+/**
+ * Diff options
+ * @typedef {Object} DiffOptions
+ * @property {Array<string>} [fields=DEFAULT_DIFF_FIELDS] - Fields compared per listing
+ * @property {string} [groupBy="neighbourhood_cleansed"] - Column for the aggregate deltas
+ */
+
+/**
+ * Compares two snapshots of listings matched by id
+ * @param {Array<Object>} before - Listings of the older scrape
+ * @param {Array<Object>} after - Listings of the newer scrape
+ * @param {DiffOptions} [options] - Diff options
+ * @returns {SnapshotDiff} Counts, field changes, group deltas and one row per listing
+ * @example
+ * const { added, removed, groups } = diffSnapshots(march, june, { groupBy: 'room_type' });
+ */
+export const diffSnapshots = (before, after, { fields = DEFAULT_DIFF_FIELDS, groupBy = "neighbourhood_cleansed" } = {}) => {
+  const older = indexSnapshot(before);
+  const newer = indexSnapshot(after);
+  const fieldChanges = Object.fromEntries(fields.map(field => [field, 0]));
+  const rows = [];
+  let changed = 0;
+  let unchanged = 0;
+
+  newer.byId.forEach((listing, id) => {
+    const previous = older.byId.get(id);
+    if (!previous) {
+      rows.push(diffRow(listing, "new", null, fields, []));
+      return;
+    }
+    const changes = diffListing(previous, listing, fields);
+    changes.forEach(({ field }) => { fieldChanges[field] += 1; });
+    if (changes.length > 0) changed += 1;
+    else unchanged += 1;
+    rows.push(diffRow(listing, changes.length > 0 ? "changed" : "unchanged", previous, fields, changes));
+  });
+  older.byId.forEach((listing, id) => {
+    if (!newer.byId.has(id)) rows.push(diffRow(listing, "delisted", listing, fields, []));
+  });
+
+  return {
+    before: older.info,
+    after: newer.info,
+    fields,
+    added: rows.filter(row => row.change === "new").length,
+    removed: rows.filter(row => row.change === "delisted").length,
+    changed,
+    unchanged,
+    fieldChanges,
+    groupBy,
+    groups: groupDeltas(rows, older.byId, newer.byId, groupBy),
+    rows,
+  };
+};
+
+const signed = (value, format) => (value === null ? "n/a" : `${value >= 0 ? "+" : "-"}${format(Math.abs(value))}`);
+
+/**
+ * Prints a snapshot diff to the console
+ * @param {SnapshotDiff} diff - Diff to print
+ * @param {Object} [options] - Printing options
+ * @param {number} [options.groupLimit=10] - Largest groups shown
+ * @param {string} [options.symbol="$"] - Currency symbol of prices
+ */
+export const printSnapshotDiff = (diff, { groupLimit = 10, symbol = "$" } = {}) => {
+  const money = value => (value === null ? "n/a" : `${symbol}${value.toFixed(2)}`);
+  const describeSnapshot = info =>
+    `${info.listings} listings, scrape ${info.scrapeIds.join("/") || "n/a"} of ${info.lastScraped ?? "unknown date"}` +
+    `${info.duplicateIds > 0 ? `, ${info.duplicateIds} duplicate ids ignored` : ""}`;
+  console.log("\nSnapshot comparison:");
+  console.log(`Before: ${describeSnapshot(diff.before)}`);
+  console.log(`After: ${describeSnapshot(diff.after)}`);
+  console.log(`New: ${diff.added}, delisted: ${diff.removed}, changed: ${diff.changed}, unchanged: ${diff.unchanged}`);
+  const fieldLines = Object.entries(diff.fieldChanges).filter(([, count]) => count > 0);
+  if (fieldLines.length > 0) {
+    console.log(`Changed fields: ${fieldLines.map(([field, count]) => `${field} ${count}`).join(", ")}`);
+  }
+  console.log(`Median price change by ${diff.groupBy}:`);
+  diff.groups.slice(0, groupLimit).forEach(group => {
+    const pct = group.medianPriceChangePct === null ? "" : ` (${signed(group.medianPriceChangePct, v => `${v.toFixed(1)}%`)})`;
+    console.log(`  ${group.key}: ${group.before} -> ${group.after} listings (+${group.added}/-${group.removed}), ` +
+      `median ${money(group.medianPriceBefore)} -> ${money(group.medianPriceAfter)}${pct}, ` +
+      `same listings ${signed(group.medianListingChange, money)}`);
+  });
+  if (diff.groups.length > groupLimit) {
+    console.log(`  ... ${diff.groups.length - groupLimit} more`);
+  }
+};
@@ -0,0 +1,397 @@
+/**
+ * Text search module.
+ * Builds an in-memory inverted index over the free-text columns of the
+ * listings (HTML stripped, tokenized, Porter-stemmed) and answers queries with
+ * words, "quoted phrases" and -negations, ranked by BM25 with field weights and
+ * returned with highlighted snippets.
+ *
+ * @module TextSearch
+ */
+
+/**
+ * Error raised for queries that cannot be searched
+ * @extends Error
+ */
+export class TextSearchError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   */
+  constructor(message) {
+    super(message);
+    this.name = "TextSearchError";
+  }
+}
+
+/**
+ * Columns searched and the weight of a match in each
+ * @type {Object<string, number>}
+ */
+export const DEFAULT_TEXT_FIELDS = {
+  name: 3,
+  description: 1,
+  neighborhood_overview: 0.5,
+};
+
+/** BM25 term frequency saturation */
+const K1 = 1.2;
+/** BM25 length normalization */
+const B = 0.75;
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+/**
+ * Turns HTML into plain text: line breaks and tags become spaces, entities are decoded
+ * @param {*} html - Cell value
+ * @returns {string} Plain text with runs of whitespace collapsed
+ * @example
+ * stripHtml('Sunny loft<br /><br /><b>Walk</b> to the park &amp; beach'); // 'Sunny loft Walk to the park & beach'
+ */
+export const stripHtml = html => (html === null || html === undefined ? "" : String(html))
+  .replace(/<[^>]*>/g, " ")
+  .replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+      return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  })
+  .replace(/\s+/g, " ")
+  .trim();
+
+const STEP2 = {
+  ational: "ate", tional: "tion", enci: "ence", anci: "ance", izer: "ize", bli: "ble", alli: "al", entli: "ent",
+  eli: "e", ousli: "ous", ization: "ize", ation: "ate", ator: "ate", alism: "al", iveness: "ive", fulness: "ful",
+  ousness: "ous", aliti: "al", iviti: "ive", biliti: "ble", logi: "log",
+};
+const STEP3 = { icate: "ic", ative: "", alize: "al", iciti: "ic", ical: "ic", ful: "", ness: "" };
+
+const CONSONANT = "[^aeiou]";
+const VOWEL = "[aeiouy]";
+const CONSONANTS = `${CONSONANT}[^aeiouy]*`;
+const VOWELS = `${VOWEL}[aeiou]*`;
+const MEASURE_ABOVE_0 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}`);
+const MEASURE_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}(${VOWELS})?$`);
+const MEASURE_ABOVE_1 = new RegExp(`^(${CONSONANTS})?${VOWELS}${CONSONANTS}${VOWELS}${CONSONANTS}`);
+const HAS_VOWEL = new RegExp(`^(${CONSONANTS})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${CONSONANTS}${VOWEL}[^aeiouwxy]$`);
+
+/**
+ * Reduces an English word to its stem with the Porter algorithm, so "views",
+ * "viewing" and "viewed" all match "view"
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem; words shorter than 3 letters or with non a–z letters are returned as is
+ */
+export const stem = word => {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+  let w = word[0] === "y" ? `Y${word.slice(1)}` : word;
+  let match;
+
+  // Step 1a: plurals
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) w = match[1] + match[2];
+  else if ((match = /^(.+?)([^s])s$/.exec(w))) w = match[1] + match[2];
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_ABOVE_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) w += "e";
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (ENDS_CVC.test(w)) w += "e";
+  }
+
+  // Step 1c: -y to -i
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) w = `${match[1]}i`;
+
+  // Steps 2 and 3: double and single suffixes
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w)) &&
+    MEASURE_ABOVE_0.test(match[1])) {
+    w = match[1] + STEP2[match[2]];
+  }
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w)) && MEASURE_ABOVE_0.test(match[1])) {
+    w = match[1] + STEP3[match[2]];
+  }
+
+  // Step 4: -al, -ance, -ence, ...
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (MEASURE_ABOVE_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w)) && MEASURE_ABOVE_1.test(match[1] + match[2])) {
+    w = match[1] + match[2];
+  }
+
+  // Step 5: final -e and -ll
+  if ((match = /^(.+?)e$/.exec(w)) &&
+    (MEASURE_ABOVE_1.test(match[1]) || (MEASURE_1.test(match[1]) && !ENDS_CVC.test(match[1])))) {
+    w = match[1];
+  }
+  if (/ll$/.test(w) && MEASURE_ABOVE_1.test(w)) w = w.slice(0, -1);
+
+  return w[0] === "Y" ? `y${w.slice(1)}` : w;
+};
+
+/**
+ * A word of a text
+ * @typedef {Object} Token
+ * @property {string} term - Stemmed, lowercased word without accents
+ * @property {number} start - Offset of the word in the text
+ * @property {number} end - Offset after the word
+ */
+
+/**
+ * Splits plain text into stemmed words with their offsets
+ * @param {string} text - Plain text
+ * @returns {Array<Token>} Words in order
+ */
+export const tokenize = text => [...text.matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu)].map(match => ({
+  term: stem(match[0].normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase().replace(/['’]s$/, "").replace(/['’]/g, "")),
+  start: match.index,
+  end: match.index + match[0].length,
+}));
+
+/**
+ * One part of a query: a word or a phrase, required or excluded
+ * @typedef {Object} QueryClause
+ * @property {string} text - Clause as written, without quotes or minus
+ * @property {Array<string>} terms - Stemmed words; more than one is a phrase
+ * @property {boolean} negated - True for clauses written with a leading minus
+ */
+
+/**
+ * Parses a query such as `"ocean view" -shared parking`.
+ * Every word and phrase must match; clauses with a leading minus must not.
+ * @param {string} query - Query text
+ * @returns {Array<QueryClause>} Clauses
+ * @throws {TextSearchError} If the query has no words, only negations or an unclosed quote
+ */
+export const parseTextQuery = query => {
+  const text = String(query ?? "");
+  if ((text.match(/"/g) ?? []).length % 2 !== 0) {
+    throw new TextSearchError(`Unclosed quote in search "${text}"`);
+  }
+  const clauses = [...text.matchAll(/(-?)(?:"([^"]*)"|(\S+))/g)]
+    .map(([, minus, phrase, word]) => {
+      const written = phrase ?? word;
+      return { text: written, terms: tokenize(written).map(({ term }) => term), negated: minus === "-" };
+    })
+    .filter(({ terms }) => terms.length > 0);
+  if (clauses.length === 0) {
+    throw new TextSearchError(`Search "${text}" has no words`);
+  }
+  if (clauses.every(({ negated }) => negated)) {
+    throw new TextSearchError(`Search "${text}" only excludes words; add a word or phrase to look for`);
+  }
+  return clauses;
+};
+
+/**
+ * Inverted index over the text columns of a set of listings
+ * @typedef {Object} TextIndex
+ * @property {Array<Object>} listings - Indexed listings, in order
+ * @property {Object<string, number>} fields - Indexed columns and their weights
+ * @property {Array<Object<string, {text: string, tokens: Array<Token>}>>} documents - Plain text and
+ *   tokens of each listing's columns
+ * @property {Map<string, Map<number, Object<string, Array<number>>>>} postings - For each term, the
+ *   listings containing it and its word positions per column
+ * @property {Object<string, number>} averageLength - Mean words per column
+ */
+
+/**
+ * Builds the inverted index
+ * @param {Array<Object>} listings - Listings
+ * @param {Object<string, number>} [fields=DEFAULT_TEXT_FIELDS] - Columns to index and their weights
+ * @returns {TextIndex} Index
+ */
+export const createTextIndex = (listings, fields = DEFAULT_TEXT_FIELDS) => {
+  const postings = new Map();
+  const totals = Object.fromEntries(Object.keys(fields).map(field => [field, 0]));
+  const documents = listings.map((listing, doc) => Object.fromEntries(Object.keys(fields).map(field => {
+    const text = stripHtml(listing[field]);
+    const tokens = tokenize(text);
+    totals[field] += tokens.length;
+    tokens.forEach(({ term }, position) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      const docs = postings.get(term);
+      if (!docs.has(doc)) docs.set(doc, {});
+      (docs.get(doc)[field] ??= []).push(position);
+    });
+    return [field, { text, tokens }];
+  })));
+  return {
+    listings,
+    fields,
+    documents,
+    postings,
+    averageLength: Object.fromEntries(Object.entries(totals)
+      .map(([field, total]) => [field, listings.length > 0 ? total / listings.length : 0])),
+  };
+};
+
+/**
+ * Finds where a clause occurs in each listing
+ * @param {TextIndex} index - Index
+ * @param {QueryClause} clause - Word or phrase
+ * @returns {Map<number, Object<string, Array<number>>>} For each matching listing, the start
+ *   positions of the clause per column
+ */
+const clauseMatches = (index, { terms }) => {
+  const [first, ...rest] = terms.map(term => index.postings.get(term) ?? new Map());
+  const matches = new Map();
+  first.forEach((fields, doc) => {
+    const found = {};
+    Object.entries(fields).forEach(([field, positions]) => {
+      const starts = positions.filter(start => rest.every((docs, offset) =>
+        docs.get(doc)?.[field]?.includes(start + offset + 1)));
+      if (starts.length > 0) found[field] = starts;
+    });
+    if (Object.keys(found).length > 0) matches.set(doc, found);
+  });
+  return matches;
+};
+
+/**
+ * Builds a snippet of the column with the most matches, the longer one on ties,
+ * with the matched words highlighted
+ * @param {Object<string, {text: string, tokens: Array<Token>}>} document - Indexed columns of a listing
+ * @param {Array<{field: string, start: number, length: number}>} hits - Matched word positions
+ * @param {Object} options - Snippet options
+ * @returns {string} Snippet, empty when nothing matched
+ */
+const buildSnippet = (document, hits, { words, highlight: [open, close] }) => {
+  if (hits.length === 0) return "";
+  const counts = hits.reduce((acc, { field }) => ({ ...acc, [field]: (acc[field] ?? 0) + 1 }), {});
+  const field = Object.keys(counts)
+    .sort((a, b) => counts[b] - counts[a] || document[b].tokens.length - document[a].tokens.length)[0];
+  const { text, tokens } = document[field];
+  const marked = new Set(hits.filter(hit => hit.field === field)
+    .flatMap(({ start, length }) => Array.from({ length }, (_, offset) => start + offset)));
+  const firstHit = Math.min(...marked);
+  const from = Math.max(0, Math.min(firstHit - Math.floor(words / 4), tokens.length - words));
+  const to = Math.min(tokens.length, from + words);
+
+  let snippet = "";
+  let cursor = tokens[from].start;
+  for (let position = from; position < to; position += 1) {
+    const { start, end } = tokens[position];
+    snippet += text.slice(cursor, start);
+    const word = text.slice(start, end);
+    const opens = marked.has(position) && (position === from || !marked.has(position - 1));
+    const closes = marked.has(position) && (position + 1 === to || !marked.has(position + 1));
+    snippet += `${opens ? open : ""}${word}${closes ? close : ""}`;
+    cursor = end;
+  }
+  return `${from > 0 ? "…" : ""}${snippet}${to < tokens.length ? "…" : ""}`;
+};
+
+/**
+ * A listing matching a search
+ * @typedef {Object} SearchHit
+ * @property {Object} listing - Matching listing
+ * @property {number} score - BM25 relevance, higher is better
+ * @property {string} snippet - Text around the first match with the matched words highlighted
+ */
+
+/**
+ * Searches an index
+ * @param {TextIndex} index - Index from createTextIndex
+ * @param {string|Array<QueryClause>} query - Query text or parsed clauses
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit=Infinity] - Most hits to return
+ * @param {number} [options.snippetWords=30] - Words per snippet
+ * @param {Array<string>} [options.highlight=["**", "**"]] - Markers around matched words
+ * @returns {Array<SearchHit>} Hits, most relevant first; ties keep the index order
+ * @throws {TextSearchError} If the query cannot be parsed
+ */
+export const searchIndex = (index, query, { limit = Infinity, snippetWords = 30, highlight = ["**", "**"] } = {}) => {
+  const clauses = typeof query === "string" ? parseTextQuery(query) : query;
+  const size = index.listings.length;
+  const required = clauses.filter(({ negated }) => !negated).map(clause => ({ clause, matches: clauseMatches(index, clause) }));
+  const excluded = clauses.filter(({ negated }) => negated).map(clause => clauseMatches(index, clause));
+
+  const [rarest, ...others] = [...required].sort((a, b) => a.matches.size - b.matches.size);
+  const candidates = [...rarest.matches.keys()].filter(doc =>
+    others.every(({ matches }) => matches.has(doc)) && excluded.every(matches => !matches.has(doc)));
+
+  const hits = candidates.map(doc => {
+    const document = index.documents[doc];
+    let score = 0;
+    const positions = [];
+    required.forEach(({ clause, matches }) => {
+      const found = matches.get(doc);
+      const weighted = Object.entries(found).reduce((sum, [field, starts]) => {
+        const average = index.averageLength[field] || 1;
+        positions.push(...starts.map(start => ({ field, start, length: clause.terms.length })));
+        return sum + (index.fields[field] * starts.length) / (1 - B + (B * document[field].tokens.length) / average);
+      }, 0);
+      const idf = Math.log(1 + (size - matches.size + 0.5) / (matches.size + 0.5));
+      score += idf * ((weighted * (K1 + 1)) / (weighted + K1));
+    });
+    return {
+      listing: index.listings[doc],
+      doc,
+      score,
+      positions,
+    };
+  });
+
+  return hits
+    .sort((a, b) => b.score - a.score || a.doc - b.doc)
+    .slice(0, limit)
+    .map(({ listing, doc, score, positions }) => ({
+      listing,
+      score: Number(score.toFixed(4)),
+      snippet: buildSnippet(index.documents[doc], positions, { words: snippetWords, highlight }),
+    }));
+};
+
+/** @type {WeakMap<Array<Object>, Map<string, TextIndex>>} */
+const indexCache = new WeakMap();
+
+/**
+ * Returns the index of a listings array, building it on first use.
+ * Indexes are cached per array and field weights, so repeated searches of
+ * loaded data reuse the index built at load time.
+ * @param {Array<Object>} listings - Listings; the array must not be modified afterwards
+ * @param {Object<string, number>} [fields=DEFAULT_TEXT_FIELDS] - Columns to index and their weights
+ * @returns {TextIndex} Index
+ */
+export const textIndexFor = (listings, fields = DEFAULT_TEXT_FIELDS) => {
+  if (!indexCache.has(listings)) indexCache.set(listings, new Map());
+  const indexes = indexCache.get(listings);
+  const key = JSON.stringify(fields);
+  if (!indexes.has(key)) indexes.set(key, createTextIndex(listings, fields));
+  return indexes.get(key);
+};
+
+/**
+ * Columns added to the listings returned by a search
+ * @type {Array<string>}
+ */
+export const SEARCH_COLUMNS = ["search_score", "search_snippet"];
+
+/**
+ * Searches listings and returns the matches with search_score and search_snippet columns
+ * @param {Array<Object>} listings - Listings
+ * @param {string} query - Query text, e.g. `"ocean view" -shared`
+ * @param {Object} [options] - searchIndex options, plus fields: columns and weights to search
+ * @returns {Array<Object>} Matching listings, most relevant first
+ * @throws {TextSearchError} If the query cannot be parsed
+ */
+export const searchListings = (listings, query, { fields, ...options } = {}) =>
+  searchIndex(textIndexFor(listings, fields), query, options)
+    .map(({ listing, score, snippet }) => ({ ...listing, search_score: score, search_snippet: snippet }));
+
+/**
+ * Prints the best search matches to the console
+ * @param {Array<Object>} listings - Listings with search_score and search_snippet, in the order to show
+ * @param {Object} [options] - Printing options
+ * @param {string} [options.query] - Query, shown in the heading
+ * @param {number} [options.limit=10] - Matches to show
+ */
+export const printSearchResults = (listings, { query, limit = 10 } = {}) => {
+  console.log(`\n${listings.length} listing${listings.length === 1 ? "" : "s"} match${listings.length === 1 ? "es" : ""}` +
+    `${query ? ` '${query}'` : ""}${listings.length > limit ? `, top ${limit}` : ""}:`);
+  listings.slice(0, limit).forEach((listing, index) => {
+    console.log(`${index + 1}. ${listing.name ?? "(no name)"} (id: ${listing.id}, score ${listing.search_score})`);
+    if (listing.search_snippet) console.log(`   ${listing.search_snippet}`);
+  });
+};
@@ -0,0 +1,108 @@
+import { createApiServer, createDataset } from "../src/ApiServer.js";
+
+const listings = [
+  { id: "1", name: "Sunny loft", room_type: "Entire home/apt", bedrooms: 2, price: 150, amenities: ["Wifi", "Kitchen"] },
+  { id: "2", name: "Quiet room", room_type: "Private room", bedrooms: 1, price: 80, amenities: ["Wifi"] },
+  { id: "3", name: "Big house", room_type: "Entire home/apt", bedrooms: 4, price: 400, amenities: ["Kitchen"] },
+];
+
+const logged = [];
+let server;
+let base;
+
+beforeAll(async () => {
+  server = createApiServer({ datasets: [createDataset("sf", listings)], log: line => logged.push(line) });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+const post = (path, body) => fetch(`${base}${path}`, {
+  method: "POST",
+  headers: { "Content-Type": "application/json" },
+  body: typeof body === "string" ? body : JSON.stringify(body),
+});
+
+const errorOf = async response => ({ status: response.status, code: (await response.json()).error.code });
+
+describe("query endpoints", () => {
+  test("filter, order and page listings from the query string or a JSON body", async () => {
+    const response = await fetch(`${base}/listings?where=bedrooms>=2&order=price desc&columns=id,price`);
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      dataset: "sf", total: 2, offset: 0, limit: 50, items: [{ id: "3", price: 400 }, { id: "1", price: 150 }],
+    });
+    const body = await (await post("/datasets/sf/listings", { amenities: ["Wifi"], order: "price", columns: ["id"] })).json();
+    expect(body.items).toEqual([{ id: "2" }, { id: "1" }]);
+  });
+
+  test("log one line per request and print nothing else", async () => {
+    const printed = [];
+    const { log } = console;
+    console.log = (...args) => printed.push(args.join(" "));
+    try {
+      logged.length = 0;
+      await fetch(`${base}/listings?where=price%3C100`);
+    } finally {
+      console.log = log;
+    }
+    expect(printed).toEqual([]);
+    expect(logged).toEqual([expect.stringMatching(/^GET \/listings\?where=price%3C100 200 \d+ms$/)]);
+  });
+});
+
+describe("conditional requests", () => {
+  test("answer 304 without a body when the ETag matches", async () => {
+    const first = await fetch(`${base}/listings?order=price`);
+    const etag = first.headers.get("etag");
+    expect(etag).toMatch(/^".+"$/);
+
+    const again = await fetch(`${base}/listings?order=price`, { headers: { "If-None-Match": etag } });
+    expect(again.status).toBe(304);
+    expect(again.headers.get("etag")).toBe(etag);
+    expect(await again.text()).toBe("");
+
+    const weak = await fetch(`${base}/listings?order=price`, { headers: { "If-None-Match": `"other", W/${etag}` } });
+    expect(weak.status).toBe(304);
+  });
+
+  test("answer 200 when the ETag belongs to another query", async () => {
+    const etag = (await fetch(`${base}/listings?order=price`)).headers.get("etag");
+    const other = await fetch(`${base}/listings?order=-price`, { headers: { "If-None-Match": etag } });
+    expect(other.status).toBe(200);
+    expect(other.headers.get("etag")).not.toBe(etag);
+  });
+});
+
+describe("bad requests", () => {
+  test("reject unknown parameters", async () => {
+    expect(await errorOf(await fetch(`${base}/listings?colour=red`))).toEqual({ status: 400, code: "unknown_parameter" });
+    expect(await errorOf(await post("/hosts", { limit: 5, outlierK: 2 }))).toEqual({ status: 400, code: "unknown_parameter" });
+  });
+
+  test("reject malformed filters and out-of-range numbers", async () => {
+    expect(await errorOf(await fetch(`${base}/listings?where=${encodeURIComponent("price >")}`))).toEqual({ status: 400, code: "invalid_query" });
+    expect(await errorOf(await fetch(`${base}/listings?limit=5000`))).toEqual({ status: 400, code: "invalid_parameter" });
+    expect(await errorOf(await fetch(`${base}/listings?price=cheap`))).toEqual({ status: 400, code: "invalid_parameter" });
+  });
+
+  test.each([
+    ["/export", { format: 1 }],
+    ["/export", { columns: 5 }],
+    ["/listings", { amenities: { x: 1 } }],
+    ["/listings", { search: ["a"] }],
+    ["/listings", { where: 5 }],
+  ])("reject body values of the wrong type: %s %j", async (path, body) => {
+    expect(await errorOf(await post(path, body))).toEqual({ status: 400, code: "invalid_parameter" });
+  });
+
+  test("reject bodies that are not JSON objects", async () => {
+    expect(await errorOf(await post("/listings", "{"))).toEqual({ status: 400, code: "invalid_json" });
+    expect(await errorOf(await post("/listings", "[]"))).toEqual({ status: 400, code: "invalid_json" });
+  });
+
+  test("answer 404 for unknown datasets", async () => {
+    expect(await errorOf(await fetch(`${base}/datasets/nyc/listings`))).toEqual({ status: 404, code: "not_found" });
+  });
+});
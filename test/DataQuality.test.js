@@ -0,0 +1,76 @@
+import { QualityError, cleanListings, parseFixes, resolveFixes } from "../src/DataQuality.js";
+
+const listings = [
+  { id: "1", room_type: "Entire home/apt", price: 200, bedrooms: 2, latitude: 37.77, longitude: -122.43, bathrooms: 1, bathrooms_text: "1.5 baths" },
+  { id: "2", room_type: "Entire home/apt", price: 300, bedrooms: 3, latitude: 37.78, longitude: -122.41 },
+  { id: "3", room_type: "Entire home/apt", price: null, bedrooms: 1, latitude: 37.76, longitude: -122.42 },
+  { id: "4", room_type: "Private room", price: 80, bedrooms: 1, latitude: 37.75, longitude: -122.44 },
+  { id: "2", room_type: "Private room", price: 0, bedrooms: 1, latitude: 37.79, longitude: -122.40 },
+  { id: "6", room_type: "Private room", price: 90, bedrooms: 1, latitude: 40.71, longitude: -74.0 },
+];
+
+const issues = result => result.listings.map(listing => listing.quality_issues);
+
+describe("cleanListings", () => {
+  test("flags every problem by default and keeps all rows", () => {
+    const result = cleanListings(listings);
+    expect(issues(result)).toEqual([
+      "bathrooms:bathrooms",
+      null,
+      "missing:price",
+      null,
+      "range:price; duplicate:id",
+      "location:latitude",
+    ]);
+    expect(result.report).toMatchObject({ rows: 6, kept: 6, dropped: 0, imputed: 0, flagged: 4 });
+  });
+
+  test("drops rows whose problem has the drop action and imputes group medians", () => {
+    const result = cleanListings(listings, { fixes: { duplicate: "drop", missing: "impute", default: "keep" } });
+    expect(result.listings.map(listing => listing.id)).toEqual(["1", "2", "3", "4", "6"]);
+    expect(result.listings[2]).toMatchObject({ price: 250, quality_issues: "missing:price (imputed)" });
+    expect(result.report).toMatchObject({ kept: 5, dropped: 1, imputed: 1, flagged: 1 });
+    expect(listings[2].price).toBeNull();
+  });
+
+  test("imputes out-of-range values from valid values of the same group only", () => {
+    const result = cleanListings(listings, { fixes: "impute" });
+    expect(result.listings[4]).toMatchObject({ price: 85, quality_issues: "range:price (imputed); duplicate:id" });
+    expect(result.listings[0]).toMatchObject({ bathrooms: 1.5, quality_issues: "bathrooms:bathrooms (imputed)" });
+  });
+
+  test("checks host listing counts against the rows in the file", () => {
+    const hosted = listings.slice(0, 2).map(listing => ({ ...listing, host_id: "h1", host_listings_count: 1 }));
+    const result = cleanListings(hosted, { fixes: { hostCount: "impute", default: "keep" } });
+    expect(result.listings.map(listing => listing.host_listings_count)).toEqual([2, 2]);
+  });
+
+  test("uses the bounds as the city area when given", () => {
+    const bounds = { minLat: 37.7, maxLat: 37.8, minLon: -122.5, maxLon: -122.42 };
+    const location = cleanListings(listings, { bounds }).report.checks.find(({ check }) => check === "location");
+    expect(location.count).toBe(3);
+    expect(location.examples.map(({ id }) => id)).toEqual(["2", "2", "6"]);
+  });
+
+  test("reports empty cells per column", () => {
+    expect(cleanListings(listings).report.nulls).toEqual([{ column: "price", count: 1, rate: 16.7 }]);
+  });
+
+  test("rejects an invalid city radius", () => {
+    expect(() => cleanListings(listings, { maxDistanceKm: 0 })).toThrow(QualityError);
+  });
+});
+
+describe("fixes", () => {
+  test("parse from one action or check=action pairs", () => {
+    expect(parseFixes("drop")).toEqual(resolveFixes("drop"));
+    expect(parseFixes("duplicate=drop, default=keep")).toMatchObject({ duplicate: "drop", missing: "keep", range: "keep" });
+    expect(resolveFixes()).toMatchObject({ missing: "flag", hostCount: "flag" });
+  });
+
+  test("reject unknown checks, unknown actions and malformed pairs", () => {
+    expect(() => resolveFixes({ dupes: "drop" })).toThrow(QualityError);
+    expect(() => resolveFixes("delete")).toThrow(QualityError);
+    expect(() => parseFixes("duplicate=drop, missing")).toThrow(QualityError);
+  });
+});
@@ -0,0 +1,70 @@
+import { FilterError, compileFilter, fromFilterParameters, parseFilterQuery } from "../src/FilterExpression.js";
+
+const listings = [
+  { id: "1", name: "Sunny loft", room_type: "Entire home/apt", accommodates: 4, bedrooms: 2, price: "$150.00", license: "STR-1" },
+  { id: "2", name: "Quiet room", room_type: "Private room", accommodates: 2, bedrooms: 1, price: "$80.00", license: null },
+  { id: "3", name: "Big house", room_type: "Entire home/apt", accommodates: 8, bedrooms: 4, price: "$1,200.00", license: "" },
+  { id: "4", name: "Shared bunk", room_type: "Shared room", accommodates: 1, bedrooms: null, price: "$40.00", license: "STR-4" },
+];
+
+const matching = query => listings.filter(compileFilter(parseFilterQuery(query))).map(listing => listing.id);
+
+describe("parseFilterQuery", () => {
+  test("compares numbers, including prices written with symbols and separators", () => {
+    expect(matching("price > 100")).toEqual(["1", "3"]);
+    expect(matching("price <= 80")).toEqual(["2", "4"]);
+    expect(matching("accommodates != 4")).toEqual(["2", "3", "4"]);
+  });
+
+  test("compares text case-insensitively and quoted values keep their spaces", () => {
+    expect(matching("room_type = \"entire home/apt\"")).toEqual(["1", "3"]);
+    expect(matching("name ~ room")).toEqual(["2"]);
+    expect(matching("name =~ /^(sunny|big)\\b/")).toEqual(["1", "3"]);
+  });
+
+  test("binds and tighter than or, and honours parentheses and not", () => {
+    expect(matching("bedrooms >= 4 or bedrooms = 1 and price < 100")).toEqual(["2", "3"]);
+    expect(matching("(bedrooms >= 4 or bedrooms = 1) and price < 100")).toEqual(["2"]);
+    expect(matching("not room_type = \"Entire home/apt\"")).toEqual(["2", "4"]);
+  });
+
+  test("supports in, between and null checks", () => {
+    expect(matching("room_type in (\"Private room\", \"Shared room\")")).toEqual(["2", "4"]);
+    expect(matching("accommodates between 2 and 4")).toEqual(["1", "2"]);
+    expect(matching("bedrooms is null")).toEqual(["4"]);
+    expect(matching("license is not null")).toEqual(["1", "4"]);
+  });
+
+  test("reports syntax errors with their position", () => {
+    expect(() => parseFilterQuery("price >")).toThrow(FilterError);
+    expect(() => parseFilterQuery("name = \"unterminated")).toThrow(/position/);
+    expect(() => parseFilterQuery("price > 100 and")).toThrow(FilterError);
+  });
+
+  test("reports invalid regex literals as filter errors at the literal", () => {
+    let error;
+    try {
+      parseFilterQuery("name =~ /(unclosed/");
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(FilterError);
+    expect(error.position).toBe(8);
+  });
+});
+
+describe("typed listings", () => {
+  test("compare boolean cells with t/f and true/false operands", () => {
+    const typed = [{ id: "1", host_is_superhost: true }, { id: "2", host_is_superhost: false }, { id: "3", host_is_superhost: null }];
+    const matches = query => typed.filter(compileFilter(parseFilterQuery(query))).map(listing => listing.id);
+    expect(matches("host_is_superhost = t")).toEqual(["1"]);
+    expect(matches("host_is_superhost = false")).toEqual(["2"]);
+  });
+});
+
+describe("fromFilterParameters", () => {
+  test("keeps the old range filters working, with open maxima", () => {
+    const filter = compileFilter(fromFilterParameters({ price_min: 50, price_max: Infinity, room_min: 2, room_max: 4 }));
+    expect(listings.filter(filter).map(listing => listing.id)).toEqual(["1", "3"]);
+  });
+});
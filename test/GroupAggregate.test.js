@@ -0,0 +1,77 @@
+import { GroupError, groupListings, parseAggregates, pivotListings } from "../src/GroupAggregate.js";
+
+const listings = [
+  { id: "a", room_type: "Entire home/apt", bedrooms: 1, price: 100, host_id: "h1" },
+  { id: "b", room_type: "Entire home/apt", bedrooms: 2, price: 200, host_id: "h1" },
+  { id: "c", room_type: "Private room", bedrooms: 1, price: 60, host_id: "h2" },
+  { id: "d", room_type: "Private room", bedrooms: 5, price: 80, host_id: "h3" },
+  { id: "e", room_type: "Entire home/apt", bedrooms: null, price: 160, host_id: "h4" },
+];
+
+describe("groupListings", () => {
+  test("aggregates each group, in the order of the keys", () => {
+    expect(groupListings(listings, ["room_type"], "count, median(price), min(price), max(price), distinct(host_id)")).toEqual([
+      { room_type: "Entire home/apt", count: 3, median_price: 160, min_price: 100, max_price: 200, distinct_host_id: 2 },
+      { room_type: "Private room", count: 2, median_price: 70, min_price: 60, max_price: 80, distinct_host_id: 2 },
+    ]);
+  });
+
+  test("groups by derived keys and puts missing key values last", () => {
+    expect(groupListings(listings, ["bedroom_bucket"]).map(({ bedroom_bucket: bucket, count }) => [bucket, count]))
+      .toEqual([["1", 2], ["2", 1], ["4+", 1], [null, 1]]);
+    expect(groupListings(listings, ["price_band:100"]).map(({ price_band: band }) => band))
+      .toEqual(["$0–$100", "$100–$200", "$200–$300"]);
+  });
+
+  test("labels price bands with the given currency symbol", () => {
+    expect(groupListings(listings, ["price_band"], "count", { symbol: "€" })[0].price_band).toBe("€50–€100");
+  });
+
+  test("names aggregates by the object keys and computes percentiles", () => {
+    expect(groupListings(listings, ["room_type"], { listings: "count", top: "p90(price)" })[1])
+      .toEqual({ room_type: "Private room", listings: 2, top: 78 });
+  });
+
+  test("finds the minimum and maximum of a group too large to spread into arguments", () => {
+    const large = Array.from({ length: 300000 }, (_, index) => ({ room_type: "Entire home/apt", price: index + 1 }));
+    expect(groupListings(large, ["room_type"], "min(price), max(price)"))
+      .toEqual([{ room_type: "Entire home/apt", min_price: 1, max_price: 300000 }]);
+  });
+
+  test("rejects unknown columns, bad key parameters and names that clash", () => {
+    expect(() => groupListings(listings, ["neighbourhood"])).toThrow(GroupError);
+    expect(() => groupListings(listings, ["room_type"], "median(rating)")).toThrow(GroupError);
+    expect(() => groupListings(listings, ["price_band:0"])).toThrow(GroupError);
+    expect(() => groupListings(listings, ["bedrooms:2"])).toThrow(GroupError);
+    expect(() => groupListings(listings, ["room_type"], { room_type: "count" })).toThrow(GroupError);
+    expect(() => groupListings(listings, [])).toThrow(GroupError);
+  });
+});
+
+describe("parseAggregates", () => {
+  test("rejects unknown functions, missing columns and repeated names", () => {
+    expect(() => parseAggregates("mode(price)")).toThrow(GroupError);
+    expect(() => parseAggregates("sum")).toThrow(GroupError);
+    expect(() => parseAggregates("percentile(price)")).toThrow(GroupError);
+    expect(() => parseAggregates("count, count")).toThrow(GroupError);
+  });
+});
+
+describe("pivotListings", () => {
+  test("builds one cell per pair of key values with total rows and columns", () => {
+    expect(pivotListings(listings, "room_type", "host_id", "sum(price)")).toEqual([
+      { room_type: "Entire home/apt", h1: 300, h2: null, h3: null, h4: 160, Total: 460 },
+      { room_type: "Private room", h1: null, h2: 60, h3: 80, h4: null, Total: 140 },
+      { room_type: "Total", h1: 300, h2: 60, h3: 80, h4: 160, Total: 600 },
+    ]);
+  });
+
+  test("names columns after the key when its values are whole numbers", () => {
+    const [entire] = pivotListings(listings, "room_type", "bedrooms");
+    expect(Object.keys(entire)).toEqual(["room_type", "bedrooms=1", "bedrooms=2", "bedrooms=5", "bedrooms=(none)", "Total"]);
+  });
+
+  test("shows a single aggregate", () => {
+    expect(() => pivotListings(listings, "room_type", "host_id", "count, sum(price)")).toThrow(GroupError);
+  });
+});
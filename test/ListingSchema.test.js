@@ -0,0 +1,75 @@
+import { REJECTED_CELLS, formatListing, parseListing } from "../src/ListingSchema.js";
+
+const record = {
+  id: "1048876445239018790",
+  name: "Café \"Le Nid\" – 2BR",
+  host_id: "2010628",
+  host_since: "2012-03-31",
+  host_response_rate: "98%",
+  host_acceptance_rate: "N/A",
+  host_is_superhost: "t",
+  latitude: "37.76931",
+  longitude: "-122.43386",
+  accommodates: "4",
+  bathrooms: "1.0",
+  bedrooms: "2",
+  amenities: "[\"Wifi\", \"Caf\\u00e9 table\", \"Hair dryer\"]",
+  price: "$1,250.00",
+  instant_bookable: "f",
+  review_scores_rating: "4.87",
+  last_review: "",
+  license: "STR-0001234",
+};
+
+describe("parseListing", () => {
+  test("types each column by the schema", () => {
+    const { listing, issues } = parseListing(record, 1);
+    expect(issues).toEqual([]);
+    expect(listing).toMatchObject({
+      id: "1048876445239018790",
+      host_since: "2012-03-31",
+      host_response_rate: 98,
+      host_acceptance_rate: "N/A",
+      host_is_superhost: true,
+      latitude: 37.76931,
+      bedrooms: 2,
+      amenities: ["Wifi", "Café table", "Hair dryer"],
+      price: 1250,
+      instant_bookable: false,
+      last_review: null,
+    });
+  });
+
+  test("reports invalid cells instead of coercing them", () => {
+    const { listing, issues } = parseListing({ ...record, bedrooms: "two", last_review: "1577836800000" }, 7);
+    expect(listing.bedrooms).toBeNull();
+    expect(listing.last_review).toBeNull();
+    expect(issues).toEqual([
+      expect.objectContaining({ row: 7, id: record.id, column: "bedrooms", value: "two" }),
+      expect.objectContaining({ row: 7, id: record.id, column: "last_review", value: "1577836800000" }),
+    ]);
+  });
+});
+
+describe("formatListing", () => {
+  test("writes a parsed listing back to the same text", () => {
+    expect(formatListing(parseListing(record, 1).listing)).toEqual(record);
+  });
+
+  test("writes integers given as 2.0 back as 2", () => {
+    expect(formatListing(parseListing({ ...record, bedrooms: "2.0" }, 1).listing).bedrooms).toBe("2");
+  });
+
+  test("writes rejected cells back unchanged, also from a copy of the listing", () => {
+    const { listing } = parseListing({ ...record, last_review: "1577836800000" }, 1);
+    expect(Object.keys(listing)).not.toContain(REJECTED_CELLS);
+    expect(JSON.stringify(listing)).not.toContain("1577836800000");
+    expect(formatListing({ ...listing, distance_km: 1.5 }).last_review).toBe("1577836800000");
+  });
+
+  test("leaves columns without a type as text", () => {
+    expect(formatListing({ id: "1", note: "kept", tags: ["a", "b"], flag: true })).toEqual({
+      id: "1", note: "kept", tags: "[\"a\", \"b\"]", flag: "t",
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import { SortError, parseSortSpec, sortListings } from "../src/ListingSort.js";
+
+const listings = [
+  { id: "a", room_type: "Private room", price: 90, bedrooms: 1, review_scores_rating: 4.9, name: "Élan" },
+  { id: "b", room_type: "Entire home/apt", price: 300, bedrooms: 3, review_scores_rating: null, name: "zephyr" },
+  { id: "c", room_type: "Entire home/apt", price: 120, bedrooms: 1, review_scores_rating: 4.5, name: "Alcove" },
+  { id: "d", room_type: "Private room", price: 90, bedrooms: null, review_scores_rating: 4.7, name: "birch" },
+];
+
+const ids = spec => sortListings(listings, spec).map(listing => listing.id);
+
+describe("sortListings", () => {
+  test("sorts by several keys, each with its own direction", () => {
+    expect(ids("room_type, price desc")).toEqual(["b", "c", "a", "d"]);
+    expect(ids("-price, id")).toEqual(["b", "c", "a", "d"]);
+  });
+
+  test("keeps ties in their original order", () => {
+    expect(ids("price")).toEqual(["a", "d", "c", "b"]);
+  });
+
+  test("puts missing values last in either direction unless asked otherwise", () => {
+    expect(ids("review_scores_rating")).toEqual(["c", "d", "a", "b"]);
+    expect(ids("review_scores_rating desc")).toEqual(["a", "d", "c", "b"]);
+    expect(ids("review_scores_rating nulls first")).toEqual(["b", "c", "d", "a"]);
+  });
+
+  test("compares text with locale collation rather than code points", () => {
+    expect(ids("name")).toEqual(["c", "d", "a", "b"]);
+  });
+
+  test("sorts by derived keys such as price_per_bedroom", () => {
+    expect(ids("price_per_bedroom")).toEqual(["a", "b", "c", "d"]);
+  });
+
+  test("does not modify the input", () => {
+    const before = listings.map(listing => listing.id);
+    sortListings(listings, "price desc");
+    expect(listings.map(listing => listing.id)).toEqual(before);
+  });
+
+  test("rejects malformed specifications and unknown columns", () => {
+    expect(() => parseSortSpec("price sideways")).toThrow(SortError);
+    expect(() => sortListings(listings, "nonexistent")).toThrow(SortError);
+  });
+});
@@ -0,0 +1,74 @@
+import { SchemaError } from "../src/ListingSchema.js";
+import { PricingError, convertPrice, createPriceType, parsePrice, stayColumns } from "../src/Pricing.js";
+
+describe("parsePrice", () => {
+  test.each([
+    ["$1,234.00", 1234, null],
+    ["$85", 85, null],
+    ["1.234,50 €", 1234.5, "EUR"],
+    ["CHF 1'250.50", 1250.5, "CHF"],
+    ["-£12", -12, "GBP"],
+    ["R$ 1.200", 1200, "BRL"],
+    ["1 234,00 EUR", 1234, "EUR"],
+  ])("reads %s without a locale", (text, amount, currency) => {
+    expect(parsePrice(text)).toEqual({ amount, currency });
+  });
+
+  test("reads separators by the locale when one is given", () => {
+    expect(parsePrice("1.234", { locale: "de-DE" }).amount).toBe(1234);
+    expect(parsePrice("1,234", { locale: "en-US" }).amount).toBe(1234);
+    expect(parsePrice("1,234", { locale: "de-DE" }).amount).toBe(1.234);
+  });
+
+  test("requires three digits in the last group", () => {
+    expect(() => parsePrice("$150.00", { locale: "de-DE" })).toThrow(PricingError);
+    expect(() => parsePrice("1,23.00", { locale: "en-US" })).toThrow(PricingError);
+  });
+
+  test("allows two-digit groups only where the locale groups that way", () => {
+    expect(parsePrice("1,23,456.00", { locale: "en-IN" }).amount).toBe(123456);
+    expect(() => parsePrice("1,23,456.00", { locale: "en-US" })).toThrow(PricingError);
+  });
+
+  test("rejects text that is not a price", () => {
+    expect(() => parsePrice("call for price")).toThrow(PricingError);
+    expect(() => parsePrice("$12 €")).toThrow(/twice/);
+  });
+});
+
+describe("createPriceType", () => {
+  test("rejects prices in another currency unless converting", () => {
+    expect(() => createPriceType({ currency: "USD" }).parse("1.000,00 €")).toThrow(SchemaError);
+    expect(createPriceType({ currency: "USD", convertTo: "EUR" }).parse("$100.00")).toBe(convertPrice(100, "USD", "EUR"));
+  });
+
+  test("formats amounts with the target currency", () => {
+    expect(createPriceType({ currency: "USD", convertTo: "EUR" }).format(96.6)).toBe("€96.60");
+  });
+});
+
+describe("stayColumns", () => {
+  const listing = { price: 100, cleaning_fee: "$50.00", extra_people: "$10.00", guests_included: 2, accommodates: 4 };
+
+  test("adds the nightly price, cleaning fee and extra guests", () => {
+    expect(stayColumns({ nights: 2, guests: 3 })(listing)).toMatchObject({ stay_cost: 270, stay_cost_per_guest: 90 });
+  });
+
+  test("converts the fees like the price", () => {
+    const toEuro = stayColumns({ nights: 2, guests: 3 }, { currency: "USD", convertTo: "EUR" });
+    const price = convertPrice(100, "USD", "EUR");
+    const expected = price * 2 + convertPrice(50, "USD", "EUR") + convertPrice(10, "USD", "EUR") * 2;
+    expect(toEuro({ ...listing, price }).stay_cost).toBeCloseTo(expected, 2);
+  });
+
+  test("leaves the cost empty when a fee cannot be read or converted", () => {
+    const stay = stayColumns({ nights: 2 });
+    expect(stay({ ...listing, cleaning_fee: "£20.00" }).stay_cost).toBeNull();
+    expect(stay({ ...listing, cleaning_fee: "ask" }).stay_cost).toBeNull();
+  });
+
+  test("leaves the cost empty when the stay breaks the listing's rules", () => {
+    expect(stayColumns({ nights: 2, guests: 5 })(listing).stay_cost).toBeNull();
+    expect(stayColumns({ nights: 1 })({ ...listing, minimum_nights: 3 }).stay_cost).toBeNull();
+  });
+});
@@ -0,0 +1,63 @@
+import {
+  DEFAULT_REVENUE_MODEL,
+  RevenueModelError,
+  estimateRevenue,
+  parseRevenueModel,
+  resolveRevenueModel,
+  revenueColumns,
+} from "../src/RevenueModel.js";
+
+describe("estimateRevenue", () => {
+  test("turns reviews into bookings, nights, occupancy and revenue", () => {
+    expect(estimateRevenue({ number_of_reviews_ltm: 12, minimum_nights: 2, availability_365: 200, price: 150 })).toEqual({
+      estimated_bookings: 24,
+      estimated_nights: 72,
+      estimated_occupancy: 19.7,
+      estimated_revenue: 10800,
+    });
+  });
+
+  test("uses minimum_nights as the stay when it is longer", () => {
+    expect(estimateRevenue({ number_of_reviews_ltm: 3, minimum_nights: 30, availability_365: 0, price: 100 }))
+      .toMatchObject({ estimated_bookings: 6, estimated_nights: 180, estimated_revenue: 18000 });
+  });
+
+  test("caps nights at the maximum occupancy and at the unavailable days", () => {
+    const busy = { number_of_reviews_ltm: 200, minimum_nights: 1, price: 100 };
+    expect(estimateRevenue({ ...busy, availability_365: 0 }).estimated_occupancy).toBe(70);
+    expect(estimateRevenue({ ...busy, availability_365: 300 }).estimated_nights).toBe(65);
+    expect(estimateRevenue({ ...busy, availability_365: 300 }, { ...DEFAULT_REVENUE_MODEL, capByAvailability: false })
+      .estimated_nights).toBe(255.5);
+  });
+
+  test("falls back to reviews_per_month and leaves everything empty without reviews", () => {
+    expect(estimateRevenue({ reviews_per_month: 0.5, minimum_nights: 3, price: 100 }).estimated_bookings).toBe(12);
+    expect(Object.values(estimateRevenue({ price: 100 }))).toEqual([null, null, null, null]);
+  });
+
+  test("leaves revenue empty without a price", () => {
+    expect(estimateRevenue({ number_of_reviews_ltm: 10, price: null })).toMatchObject({ estimated_bookings: 20, estimated_revenue: null });
+  });
+});
+
+describe("revenue model parameters", () => {
+  test("parse from key=value pairs over the defaults", () => {
+    expect(parseRevenueModel("reviewRate=0.4, averageStay=4, capByAvailability=false")).toEqual({
+      ...DEFAULT_REVENUE_MODEL, reviewRate: 0.4, averageStay: 4, capByAvailability: false,
+    });
+  });
+
+  test("reject unknown keys and out-of-range values", () => {
+    expect(() => resolveRevenueModel({ reviewrate: 0.4 })).toThrow(RevenueModelError);
+    expect(() => resolveRevenueModel({ reviewRate: 0 })).toThrow(RevenueModelError);
+    expect(() => resolveRevenueModel({ maxOccupancy: 1.5 })).toThrow(RevenueModelError);
+    expect(() => parseRevenueModel("averageStay")).toThrow(RevenueModelError);
+  });
+
+  test("apply through revenueColumns without changing the listing", () => {
+    const listing = { id: "1", number_of_reviews_ltm: 12, minimum_nights: 2, availability_365: 200, price: 150 };
+    const withRevenue = revenueColumns({ reviewRate: 0.25 })(listing);
+    expect(withRevenue).toMatchObject({ id: "1", estimated_bookings: 48, estimated_nights: 144 });
+    expect(listing).not.toHaveProperty("estimated_bookings");
+  });
+});
@@ -0,0 +1,73 @@
+import { SimilarityError, findDuplicates, nameSimilarity, similarListings } from "../src/Similarity.js";
+
+const listings = [
+  { id: "1", host_id: "h1", name: "Sunny loft in the Mission", latitude: 37.76, longitude: -122.42 },
+  { id: "2", host_id: "h1", name: "Sunny Loft - the Mission", latitude: 37.7605, longitude: -122.42 },
+  { id: "3", host_id: "h1", name: "Harbor view suite", latitude: 37.76, longitude: -122.42 },
+  { id: "4", host_id: "h2", name: "Garden room", picture_url: "https://example.com/p.jpg", latitude: 37.8, longitude: -122.41 },
+  { id: "5", host_id: "h3", name: "Cosy studio", picture_url: "https://example.com/p.jpg", latitude: 37.8003, longitude: -122.41 },
+  { id: "6", host_id: "h1", name: "Sunny loft in the Mission", latitude: 37.77, longitude: -122.42 },
+  { id: "7", host_id: "h4", name: "Sunny loft in the Mission", latitude: 37.76, longitude: -122.42 },
+];
+
+const groups = rows => rows.map(({ id, duplicate_group: group, duplicate_of: of }) => [id, group, of]);
+
+describe("findDuplicates", () => {
+  test("groups nearby listings of one host with alike names, or sharing a photo", () => {
+    const duplicates = findDuplicates(listings);
+    expect(groups(duplicates)).toEqual([["1", 1, null], ["2", 1, "1"], ["4", 2, null], ["5", 2, "4"]]);
+    expect(duplicates.map(({ duplicate_reasons: reasons }) => reasons)).toEqual([
+      "same host; 56 m apart; names 89% alike",
+      "same host; 56 m apart; names 89% alike",
+      "same photo; 33 m apart; names 0% alike",
+      "same photo; 33 m apart; names 0% alike",
+    ]);
+  });
+
+  test("chains matches into one group", () => {
+    const chained = [...listings, { id: "8", host_id: "h1", name: "Sunny loft in the Mission", latitude: 37.7615, longitude: -122.42 }];
+    expect(groups(findDuplicates(chained)).slice(0, 3)).toEqual([["1", 1, null], ["2", 1, "1"], ["8", 1, "1"]]);
+  });
+
+  test("follows the distance and name thresholds", () => {
+    expect(groups(findDuplicates(listings, { maxMeters: 40 }))).toEqual([["4", 1, null], ["5", 1, "4"]]);
+    expect(groups(findDuplicates(listings, { minNameSimilarity: 0.9 })).map(([id]) => id)).toEqual(["4", "5"]);
+    expect(findDuplicates(listings, { maxMeters: 2000 }).map(({ id }) => id)).toContain("6");
+  });
+
+  test("rejects invalid thresholds", () => {
+    expect(() => findDuplicates(listings, { maxMeters: -1 })).toThrow(SimilarityError);
+    expect(() => findDuplicates(listings, { minNameSimilarity: 1.5 })).toThrow(SimilarityError);
+  });
+});
+
+describe("nameSimilarity", () => {
+  test("compares character pairs, ignoring case and punctuation", () => {
+    expect(nameSimilarity("Sunny loft in the Mission", "Sunny Loft, Mission")).toBe(0.8);
+    expect(nameSimilarity("Loft!", "loft")).toBe(1);
+    expect(nameSimilarity("", "loft")).toBe(0);
+  });
+});
+
+describe("similarListings", () => {
+  const target = { id: "t", room_type: "Entire home/apt", bedrooms: 2, latitude: 37.76, longitude: -122.42 };
+  const candidates = [
+    target,
+    { id: "far", room_type: "Entire home/apt", bedrooms: 2, latitude: 37.8, longitude: -122.42 },
+    { id: "room", room_type: "Private room", bedrooms: 2, latitude: 37.76, longitude: -122.42 },
+    { id: "same", room_type: "Entire home/apt", bedrooms: 2, latitude: 37.76, longitude: -122.42 },
+  ];
+
+  test("ranks listings by the weighted feature distance and skips the target", () => {
+    const similar = similarListings(candidates, target);
+    expect(similar.map(({ id }) => id)).toEqual(["same", "room", "far"]);
+    expect(similar[0]).toMatchObject({ similar_distance_km: 0 });
+    const [far, same, room] = similarListings(candidates, target, { weights: { location: 0 } });
+    expect([far.id, same.id, room.id]).toEqual(["far", "same", "room"]);
+    expect(far.similarity).toBe(same.similarity);
+  });
+
+  test("rejects an invalid number of results", () => {
+    expect(() => similarListings(candidates, target, { k: 0 })).toThrow(SimilarityError);
+  });
+});
@@ -0,0 +1,75 @@
+import { TextSearchError, createTextIndex, parseTextQuery, searchIndex, searchListings, stripHtml } from "../src/TextSearch.js";
+
+const listings = [
+  { id: "1", name: "Quiet studio", description: "Shared bathroom, ocean view from the roof.<br />Parking on the street." },
+  { id: "2", name: "Ocean View Loft", description: "Private loft with a view of the ocean &amp; the bridge." },
+  { id: "3", name: "Garden flat", description: "Views over the garden. No ocean in sight, sadly." },
+  { id: "4", name: "Café room", description: "Shared room above a café, viewing deck." },
+];
+
+const index = createTextIndex(listings);
+const ids = (query, options) => searchIndex(index, query, options).map(({ listing }) => listing.id);
+
+describe("searchIndex", () => {
+  test("requires every word, matching stems and ignoring case and accents", () => {
+    expect(ids("ocean views").sort()).toEqual(["1", "2", "3"]);
+    expect(ids("view").sort()).toEqual(["1", "2", "3", "4"]);
+    expect(ids("CAFE")).toEqual(["4"]);
+  });
+
+  test("matches phrases only as consecutive words", () => {
+    expect(ids("\"ocean view\"").sort()).toEqual(["1", "2"]);
+    expect(ids("\"view ocean\"")).toEqual([]);
+  });
+
+  test("leaves out listings matching an excluded word or phrase", () => {
+    expect(ids("ocean -shared").sort()).toEqual(["2", "3"]);
+    expect(ids("view -\"garden flat\"").sort()).toEqual(["1", "2", "4"]);
+  });
+
+  test("ranks matches in the name above matches in the description", () => {
+    expect(ids("\"ocean view\"")).toEqual(["2", "1"]);
+    expect(ids("ocean", { limit: 1 })).toEqual(["2"]);
+  });
+
+  test("highlights the matched words in a snippet of plain text", () => {
+    const [hit] = searchIndex(index, "bridge", { highlight: ["[", "]"] });
+    expect(hit.snippet).toBe("Private loft with a view of the ocean & the [bridge]");
+    const [short] = searchIndex(index, "parking", { snippetWords: 4 });
+    expect(short.snippet).toBe("…roof. **Parking** on the…");
+  });
+});
+
+describe("searchListings", () => {
+  test("adds the score and snippet columns", () => {
+    const [hit] = searchListings(listings, "garden");
+    expect(hit).toMatchObject({ id: "3", search_snippet: "Views over the **garden**. No ocean in sight, sadly" });
+    expect(hit.search_score).toBeGreaterThan(0);
+  });
+
+  test("searches only the given fields", () => {
+    expect(searchListings(listings, "bridge", { fields: { name: 1 } })).toEqual([]);
+  });
+});
+
+describe("parseTextQuery", () => {
+  test("splits words, phrases and exclusions", () => {
+    expect(parseTextQuery("\"Ocean views\" -shared parking")).toEqual([
+      { text: "Ocean views", terms: ["ocean", "view"], negated: false },
+      { text: "shared", terms: ["share"], negated: true },
+      { text: "parking", terms: ["park"], negated: false },
+    ]);
+  });
+
+  test("rejects unclosed quotes, empty queries and queries that only exclude", () => {
+    expect(() => parseTextQuery("\"ocean view")).toThrow(TextSearchError);
+    expect(() => parseTextQuery(" - ")).toThrow(TextSearchError);
+    expect(() => parseTextQuery("-shared")).toThrow(TextSearchError);
+  });
+});
+
+describe("stripHtml", () => {
+  test("turns tags into spaces and decodes entities", () => {
+    expect(stripHtml("Sunny loft<br /><br /><b>Walk</b> to the park &amp; beach")).toBe("Sunny loft Walk to the park & beach");
+  });
+});